@@ -12,6 +12,7 @@
  * 1.  CORE UTILITIES (Utils)
  * - Provides foundational helper functions for UUID generation, deep cloning,
  * debouncing, throttling, and mathematical operations.
+ * - Shared file downloads, XML escaping and DEFLATE compression.
  * - Acts as the standard library for the entire application.
  *
  * 2.  EVENT BUS (EventBus)
@@ -22,14 +23,64 @@
  * 3.  STATE MANAGER (StateManager)
  * - Centralized store for application data (Single Source of Truth).
  * - Implements a robust Undo/Redo history stack.
- * - Persists state to LocalStorage for session restoration.
+ * - Persists state to LocalStorage for session restoration. Photos are
+ * stored once under their own key and referenced from saves and history.
  * - Triggers state-change events for reactive UI updates.
+ * - Models multi-page cards (front, inside left/right, back) and tracks
+ * the page being edited.
+ * - Validates saves and upgrades them through a migration chain keyed on
+ * meta.version; unreadable saves are quarantined instead of loaded.
+ *
+ * 3.1 CARD LIBRARY (CardLibrary)
+ * - Stores many cards side by side, each with its own thumbnail.
+ * - Create, duplicate, rename, delete and switch the active card.
+ * - Feeds the active card into StateManager so Undo/Redo keeps working.
  *
  * 4.  RENDER ENGINE (Renderer)
  * - Advanced HTML5 Canvas rendering pipeline.
  * - Supports high-DPI (Retina) displays via pixel ratio scaling.
- * - Layered rendering approach: Background -> Decorations -> Text -> Overlays.
+ * - Layered rendering approach: Background -> Decorations -> Text -> Stickers -> Overlays.
  * - Optimized redraw loops using requestAnimationFrame.
+ * - The live canvas caches its layers and only redraws the ones whose
+ *   inputs changed (typing repaints just the text).
+ * - Where supported, the live canvas layers are drawn in a render worker
+ *   (OffscreenCanvas) running this same script; the page only shows the
+ *   finished frame and draws the editor overlay on top.
+ *
+ * 4.1 PHOTO LAYER (PhotoLayer)
+ * - Imports, downscales and caches user photos.
+ * - Draws them into the layout's photo slot with zoom, pan and filters.
+ *
+ * 4.2 PAPER TEXTURES (Textures)
+ * - Seeded procedural finishes: fine paper, linen, kraft, watercolor wash.
+ * - Generated once per seed/size/theme and cached for every frame.
+ * - When the live canvas is drawn on the main thread, new textures are
+ *   generated in an OffscreenCanvas worker where supported, so they never
+ *   block typing.
+ *
+ * 4.3 STICKERS (Stickers)
+ * - Vector artwork (hearts, roses, arrows, bows, sparkles, letters, banners)
+ *   placed per page above or below the text.
+ * - Stored as plain records in the page design, so they undo, share and
+ *   export like any other edit.
+ *
+ * 4.4 FRAMES (Frames)
+ * - Border styles: classic and double lines, scallops, dotted hearts, lace,
+ *   art-deco corners and stamp perforation.
+ * - Thickness, margin and a theme color role are set card-wide.
+ *
+ * 4.5 SVG BACKEND (SVGBackend)
+ * - A drop-in 2D context that records the renderer's draw calls as SVG,
+ *   so vector exports come from the very same draw steps as the canvas.
+ * - Its recording core (drawing state, transforms, paths) is shared with
+ *   the PDF backend, which only adds its own painting calls.
+ * - Rasterizes the SVG again to measure how far it drifts from the canvas.
+ *
+ * 4.6 PDF BACKEND (PDFBackend)
+ * - The same kind of drop-in context, drawing PDF paths, shadings and
+ *   images through jsPDF's advanced API.
+ * - Embeds the card fonts as TrueType subsets so text stays selectable;
+ *   emoji and right-to-left runs are placed as images.
  *
  * 5.  UI CONTROLLER (UI)
  * - Manages all DOM interactions and event listeners.
@@ -37,11 +88,56 @@
  * - Controls view transitions (Edit/Preview modes) and theme toggling.
  * - Manages floating UI elements like Toasts and Modals.
  *
+ * 5.1 CANVAS EDITOR (CanvasEditor)
+ * - Select, drag, resize and rotate text blocks directly on the canvas.
+ * - Snapping guides to the card center and safe margins; keyboard nudging.
+ *
+ * 5.2 THEME EDITOR (ThemeEditor)
+ * - Color pickers with live canvas preview for user themes.
+ * - Import/export themes as JSON files.
+ *
+ * 5.3 QUOTE STUDIO (QuoteStudio)
+ * - Offline message writer: phrase banks by tone, length and relationship,
+ *   woven with the card's recipient and sender names.
+ * - No repeats within a session; favorites and a searchable quote library.
+ *
+ * 5.4 SIDEBAR LANGUAGE (I18n)
+ * - Localizes the sidebar labels (data-i18n attributes in index.html).
+ * - Right-to-left languages flip the sidebar direction.
+ *
  * 6.  EXPORT MANAGER (ExportEngine)
  * - Handles complex export logic for PNG and PDF formats.
  * - Generates sanitized filenames based on user content.
+ * - Vector SVG export; compareSVG() checks it against the canvas output.
+ * - Vector PDFs with embedded fonts and document metadata, or raster pages.
  * - interfaces with external libraries (jsPDF) safely.
  *
+ * 6.1 SHARE LINKS (ShareLink)
+ * - Packs a card into a compact, checksummed URL hash.
+ * - Validates incoming links and boots a read-only recipient view.
+ *
+ * 6.2 PRINT IMPOSITION (PrintEngine)
+ * - Half-fold and quarter-fold sheets on A4/Letter with rotated panels.
+ * - Places the front, inside and back pages; optional bleed and crop marks.
+ *
+ * 6.3 BATCH MAIL-MERGE (MailMerge)
+ * - Parses CSV files or pasted lists into {column} tokens for the card text.
+ * - Previews each recipient and exports a ZIP of PNGs or one multi-page PDF.
+ *
+ * 6.4 ANIMATED CARDS (Animator)
+ * - Floating hearts, a fade or typewriter message reveal and a frame shimmer.
+ * - Encodes looping GIFs locally and records WebM video via MediaRecorder.
+ *
+ * 6.5 OFFLINE E-CARD (ECard)
+ * - Saves the card as one HTML file with its state, fonts, styles and this
+ *   engine inlined, so it opens anywhere without a network.
+ * - Opens with an envelope animation, then the card and its particles.
+ *
+ * 6.6 CARD PNG (CardPNG)
+ * - Downloaded PNGs carry the whole card in an iTXt chunk.
+ * - Dropping or opening one checks the chunk and the card, then adds it
+ *   to the library as an editable card.
+ *
  * 7.  ANIMATION CONTROLLER (Motion)
  * - Manages particle systems and CSS-driven transitions.
  * - Provides physics-based animation utilities.
@@ -177,6 +273,21 @@ const Utils = (function() {
         return hex; // Return original if fails
     }
 
+    /**
+     * Checks whether a hex color is dark (relative luminance below 0.4).
+     * @param {string} hex - The hex color string.
+     * @returns {boolean}
+     */
+    function isDarkColor(hex) {
+        const rgba = hexToRgba(hex).match(/\d+/g);
+        if (!rgba || rgba.length < 3) return false;
+        const [r, g, b] = rgba.slice(0, 3).map(v => {
+            const c = v / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b < 0.4;
+    }
+
     /**
      * Sanitizes a string for use in filenames.
      * @param {string} str - The input string.
@@ -186,6 +297,184 @@ const Utils = (function() {
         return str.replace(/[^a-z0-9]/gi, '_').toLowerCase();
     }
 
+    /**
+     * Hashes a string to an unsigned 32-bit integer (FNV-1a).
+     * Not cryptographic; used for checksums and cache keys.
+     * @param {string} str - The input string.
+     * @returns {number} The hash.
+     */
+    function hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    let crcTable = null;
+
+    /**
+     * Computes the CRC-32 (IEEE) of a byte array, as used by ZIP and PNG.
+     * @param {Uint8Array} bytes - The input bytes.
+     * @returns {number} The unsigned checksum.
+     */
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Creates a deterministic pseudo-random generator (mulberry32).
+     * The same seed always yields the same sequence.
+     * @param {number} seed - Any 32-bit integer.
+     * @returns {Function} A Math.random stand-in returning [0, 1).
+     */
+    function seededRandom(seed) {
+        let a = seed >>> 0;
+        return function() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Checks that a value is a plain data object (not null, not an array).
+     * @param {any} value - The value to test.
+     * @returns {boolean}
+     */
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Escapes text so the message markup shows it as typed
+     * (see Renderer.parseMessage). Escaping "[" is enough to break
+     * [text](color), and "#" is escaped anywhere so a value that lands at
+     * the start of a line can't become a heading.
+     * @param {string} text - Plain text.
+     * @returns {string}
+     */
+    function escapeMarkup(text) {
+        return String(text).replace(/[\\*\[#]/g, '\\$&');
+    }
+
+    /**
+     * Escapes text for XML and HTML, in content and attribute values.
+     * @param {string} text - Plain text.
+     * @returns {string}
+     */
+    function escapeXML(text) {
+        return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+    }
+
+    /**
+     * Saves a blob through a temporary download link.
+     * @param {Blob} blob - The file contents.
+     * @param {string} filename - Suggested file name.
+     */
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Compresses bytes where the browser supports it.
+     * @param {Uint8Array} bytes - The input bytes.
+     * @param {string} format - 'deflate-raw', or 'deflate' for a zlib stream.
+     * @returns {Promise<Uint8Array|null>} null when unsupported.
+     */
+    async function deflate(bytes, format) {
+        if (!window.CompressionStream) return null;
+        try {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(format));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (e) {
+            console.warn("Utils: Compression unavailable", e);
+            return null;
+        }
+    }
+
+    /**
+     * Decompresses bytes, aborting once output exceeds `limit` bytes.
+     * @param {Uint8Array} bytes - The compressed bytes.
+     * @param {string} format - As passed to deflate().
+     * @param {number} limit - Largest output accepted.
+     * @returns {Promise<Uint8Array>}
+     * @throws {Error} When unsupported, malformed or over the limit.
+     */
+    async function inflate(bytes, format, limit) {
+        if (!window.DecompressionStream) {
+            throw new Error("Compressed data is not supported in this browser");
+        }
+
+        const reader = new Blob([bytes]).stream()
+            .pipeThrough(new DecompressionStream(format))
+            .getReader();
+        const chunks = [];
+        let total = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            total += value.length;
+            if (total > limit) {
+                reader.cancel();
+                throw new Error("Payload too large");
+            }
+            chunks.push(value);
+        }
+
+        const out = new Uint8Array(total);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return out;
+    }
+
+    // Where this script was loaded from; empty when it is inlined (e-cards).
+    // document.currentScript is only set while the script first runs.
+    const SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : '';
+
+    /**
+     * Creates a blank drawing surface: a canvas element on the page, an
+     * OffscreenCanvas inside a worker.
+     * @param {number} [width=300] - Width in pixels.
+     * @param {number} [height=150] - Height in pixels.
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
+     */
+    function createCanvas(width = 300, height = 150) {
+        if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
     return {
         generateUUID,
         deepClone,
@@ -196,7 +485,19 @@ const Utils = (function() {
         randomInt,
         randomFloat,
         hexToRgba,
-        sanitizeFilename
+        isDarkColor,
+        sanitizeFilename,
+        hashString,
+        crc32,
+        seededRandom,
+        isPlainObject,
+        escapeMarkup,
+        escapeXML,
+        downloadBlob,
+        deflate,
+        inflate,
+        createCanvas,
+        getScriptURL: () => SCRIPT_URL
     };
 })();
 
@@ -248,29 +549,83 @@ const StateManager = (function() {
     // Default Application State
     const DEFAULT_STATE = {
         meta: {
-            version: '5.0.0',
+            version: '6.5.0', // Keep in sync with SCHEMA_VERSION
             lastModified: Date.now()
         },
         content: {
             to: "My Dearest",
             message: "In all the world, there is no heart for me like yours. \n\nHappy Valentine's Day!",
             from: "Yours Always",
-            quoteId: null
+            quoteId: null,
+            photo: null
         },
         design: {
             themeId: 'rose',
             fontFamily: 'Great Vibes',
             layoutMode: 'centered',
-            showWatermark: true
+            showWatermark: true,
+            autoFit: true, // Shrink long messages to fit the layout
+            decorations: 'full', // See DECORATIONS
+            texture: 'paper', // Textures.getTextures() id
+            textureSeed: 1, // Seeds the texture grain (see Utils.seededRandom)
+            frame: { style: 'classic', thickness: 2, margin: 30, color: 'primary' }, // See Frames
+            animation: { hearts: true, reveal: 'fade', shimmer: true }, // See Animator
+            transforms: {}, // Per-element {x, y, scale, rotation} set on the canvas
+            stickers: [] // Stickers.create() records, in paint order
+        },
+        // The front cover is the top-level content/design above; the other
+        // pages carry their own content and page-level design (see resolvePage)
+        pages: {
+            insideLeft: {
+                content: { to: "", message: "", from: "", photo: null },
+                design: { layoutMode: 'minimal', decorations: 'heart', showWatermark: false, transforms: {}, stickers: [] }
+            },
+            insideRight: {
+                content: { to: "", message: "Thinking of you today and every day.", from: "With love", photo: null },
+                design: { layoutMode: 'minimal', decorations: 'frame', showWatermark: false, transforms: {}, stickers: [] }
+            },
+            back: {
+                content: { to: "", message: "", from: "", photo: null },
+                design: { layoutMode: 'minimal', decorations: 'branding', showWatermark: false, transforms: {}, stickers: [] }
+            }
         },
         config: {
             canvasScale: 2, // High DPI factor
+            sizeId: 'classic',
             width: 600,
             height: 800,
-            exportQuality: 1.0
+            exportQuality: 1.0,
+            pdfMode: 'vector', // 'vector' (selectable text) | 'raster' (one image per page)
+            animation: { duration: 4, fps: 15 }, // GIF/WebM loop length (seconds) and frame rate
+            print: {
+                fold: 'half', // 'half' | 'quarter'
+                paper: 'a4', // 'a4' | 'letter'
+                bleed: false,
+                cropMarks: false
+            }
         }
     };
 
+    // Card Pages in reading order
+    const PAGES = [
+        { id: 'front', label: 'Front' },
+        { id: 'insideLeft', label: 'Inside Left' },
+        { id: 'insideRight', label: 'Inside Right' },
+        { id: 'back', label: 'Back' }
+    ];
+
+    // Design fields a page may set for itself; everything else is card-wide
+    const PAGE_DESIGN_KEYS = ['layoutMode', 'decorations', 'showWatermark', 'transforms', 'stickers'];
+
+    // Page Decoration Styles
+    const DECORATIONS = {
+        full: { id: 'full', label: 'Frame & Hearts' },
+        frame: { id: 'frame', label: 'Frame' },
+        heart: { id: 'heart', label: 'Big Heart' },
+        branding: { id: 'branding', label: 'Branding' },
+        none: { id: 'none', label: 'None' }
+    };
+
     // Theme Definitions (Configuration Data)
     const THEMES = {
         rose: { 
@@ -280,6 +635,7 @@ const StateManager = (function() {
             primary: '#be123c', 
             accent: '#fb7185',
             text: '#881337',
+            message: '#475569',
             particleColors: ['#be123c', '#fb7185', '#fff']
         },
         midnight: { 
@@ -289,6 +645,7 @@ const StateManager = (function() {
             primary: '#fbbf24', 
             accent: '#f59e0b',
             text: '#e2e8f0',
+            message: '#cbd5e1',
             particleColors: ['#fbbf24', '#f59e0b', '#ffffff']
         },
         lavender: { 
@@ -298,6 +655,7 @@ const StateManager = (function() {
             primary: '#6d28d9', 
             accent: '#8b5cf6',
             text: '#4c1d95',
+            message: '#475569',
             particleColors: ['#6d28d9', '#8b5cf6', '#e9d5ff']
         },
         gold: { 
@@ -307,43 +665,574 @@ const StateManager = (function() {
             primary: '#92400e', 
             accent: '#b45309',
             text: '#451a03',
+            message: '#475569',
             particleColors: ['#92400e', '#b45309', '#fcd34d']
         }
     };
 
-    // AI Quotes Database
-    const QUOTES = [
-        "You are my sun, my moon, and all my stars.",
-        "I look at you and see the rest of my life.",
-        "Every love story is beautiful, but ours is my favorite.",
-        "You make my heart smile.",
-        "I love you more than words can say.",
-        "To the world you may be one person, but to me you are the world.",
-        "Whatever our souls are made of, his and mine are the same.",
-        "If I know what love is, it is because of you.",
-        "I swear I couldn't love you more than I do right now, and yet I know I will tomorrow.",
-        "You are the finest, loveliest, tenderest, and most beautiful person I have ever known."
-    ];
+    // User Themes (persisted separately from cards, shared by all of them)
+    const CUSTOM_THEMES_KEY = 'heartify_themes_v1';
+    let customThemes = {};
+
+    // Layout Definitions (Configuration Data)
+    // All positions are fractions of the card width/height so layouts reflow
+    // with the card size. Text `y` values are baselines; `bottom` is the lowest
+    // baseline the message may use before it collides with the sender line.
+    // `photo` is the slot a user photo fills (full-bleed when omitted).
+    const LAYOUTS = {
+        centered: {
+            id: 'centered',
+            label: 'Centered',
+            icon: 'align-center',
+            to: { x: 0.5, y: 0.2, size: 36, align: 'center' },
+            divider: { x: 0.5, y: 0.2375, length: 100, align: 'center' },
+            message: { x: 0.5, y: 0.4, width: 0.8, bottom: 0.8, size: 24, lineHeight: 38, align: 'center' },
+            from: { x: 0.5, y: 0.875, size: 28, align: 'center' }
+        },
+        letter: {
+            id: 'letter',
+            label: 'Letter',
+            icon: 'align-left',
+            to: { x: 0.14, y: 0.17, size: 34, align: 'left' },
+            divider: { x: 0.14, y: 0.2, length: 140, align: 'left' },
+            message: { x: 0.14, y: 0.29, width: 0.72, bottom: 0.79, size: 22, lineHeight: 36, align: 'left' },
+            from: { x: 0.86, y: 0.87, size: 28, align: 'right' }
+        },
+        split: {
+            id: 'split',
+            label: 'Split',
+            icon: 'rows-2',
+            photo: { x: 0, y: 0, width: 1, height: 0.44 },
+            to: { x: 0.5, y: 0.26, size: 44, align: 'center' },
+            divider: { x: 0.5, y: 0.44, length: 0, align: 'center' },
+            message: { x: 0.5, y: 0.54, width: 0.78, bottom: 0.81, size: 22, lineHeight: 34, align: 'center' },
+            from: { x: 0.5, y: 0.885, size: 28, align: 'center' }
+        },
+        polaroid: {
+            id: 'polaroid',
+            label: 'Polaroid',
+            icon: 'image',
+            photo: { x: 0.16, y: 0.09, width: 0.68, height: 0.42, tilt: -2, frame: 'polaroid' },
+            to: { x: 0.5, y: 0.6, size: 34, align: 'center' },
+            divider: { x: 0.5, y: 0.63, length: 80, align: 'center' },
+            message: { x: 0.5, y: 0.695, width: 0.76, bottom: 0.83, size: 20, lineHeight: 30, align: 'center' },
+            from: { x: 0.5, y: 0.9, size: 26, align: 'center' }
+        },
+        minimal: {
+            id: 'minimal',
+            label: 'Minimal',
+            icon: 'minus',
+            hideFlourishes: true,
+            to: { x: 0.5, y: 0.34, size: 30, align: 'center' },
+            divider: null,
+            message: { x: 0.5, y: 0.44, width: 0.66, bottom: 0.74, size: 20, lineHeight: 32, align: 'center' },
+            from: { x: 0.5, y: 0.8, size: 24, align: 'center' }
+        }
+    };
+
+    // Card Size Presets (Configuration Data)
+    // `width`/`height` are logical canvas units (short side 600 so layouts
+    // keep their type sizes), `mm` is the physical page used for PDF export
+    // and `exportScale` sets the PNG resolution.
+    const SIZES = {
+        classic: { id: 'classic', label: 'Classic 3:4', width: 600, height: 800, mm: [158.75, 211.67], exportScale: 2 },
+        square: { id: 'square', label: 'Instagram Square', width: 600, height: 600, mm: [152.4, 152.4], exportScale: 1.8 },
+        story: { id: 'story', label: 'Story 9:16', width: 600, height: 1067, mm: [101.6, 180.6], exportScale: 1.8 },
+        postcard: { id: 'postcard', label: 'Landscape Postcard (6×4 in)', width: 900, height: 600, mm: [152.4, 101.6], exportScale: 2 },
+        a5: { id: 'a5', label: 'A5 (148×210 mm)', width: 600, height: 851, mm: [148, 210], exportScale: 2.9 },
+        a6: { id: 'a6', label: 'A6 (105×148 mm)', width: 600, height: 846, mm: [105, 148], exportScale: 2.1 },
+        halfLetter: { id: 'halfLetter', label: 'US Letter Half-Fold (5.5×8.5 in)', width: 600, height: 927, mm: [139.7, 215.9], exportScale: 2.75 }
+    };
+
+    // Bounds for user-entered custom sizes (logical units, 96 per inch)
+    const CUSTOM_SIZE_LIMITS = { min: 300, max: 2400 };
+
+    // Font Families offered in the Typography picker
+    const FONTS = ['Great Vibes', 'Dancing Script', 'Playfair Display', 'Montserrat'];
+
+    // Save as PDF modes (config.pdfMode)
+    const PDF_MODES = {
+        vector: { id: 'vector', label: 'Vector (selectable text)' },
+        raster: { id: 'raster', label: 'Image per page' }
+    };
 
     // Current State Container
     let currentState = Utils.deepClone(DEFAULT_STATE);
     
-    // History Stack for Undo/Redo
-    const historyStack = [];
-    const redoStack = [];
-    const MAX_HISTORY = 50;
+    // Undo History: a list of steps stored as path-level diffs, and a
+    // cursor counting how many of them are applied (the rest can be redone)
+    let history = [];
+    let historyCursor = 0;
+    const MAX_HISTORY = 200;
+    const HISTORY_KEY = 'heartify_history_v1';
+
+    // Typing into one field within this window extends the same step
+    const COALESCE_MS = 1500;
+    const COALESCE_PATHS = /(^|\.)content\.(to|message|from|photo\.(zoom|panX|panY))$/;
+
+    // Step labels by path prefix (longest match wins)
+    const HISTORY_LABELS = {
+        'content.to': 'Edit recipient',
+        'content.message': 'Edit message',
+        'content.from': 'Edit sender',
+        'content.photo': 'Change photo',
+        'content.photo.zoom': 'Zoom photo',
+        'content.photo.panX': 'Move photo',
+        'content.photo.panY': 'Move photo',
+        'content.photo.filter': 'Photo filter',
+        'design.themeId': 'Change theme',
+        'design.fontFamily': 'Change font',
+        'design.layoutMode': 'Change layout',
+        'design.decorations': 'Change decorations',
+        'design.texture': 'Change texture',
+        'design.textureSeed': 'Shuffle grain',
+        'design.frame': 'Change frame',
+        'design.frame.thickness': 'Frame thickness',
+        'design.frame.margin': 'Frame margin',
+        'design.frame.color': 'Frame color',
+        'design.autoFit': 'Toggle auto-fit',
+        'design.showWatermark': 'Toggle watermark',
+        'design.transforms': 'Reset positions',
+        'design.stickers': 'Edit stickers',
+        'design.animation': 'Animation settings',
+        'config.sizeId': 'Change card size',
+        'config.width': 'Resize card',
+        'config.height': 'Resize card',
+        'config.print': 'Print settings',
+        'config.animation': 'Animation export',
+        'config.pdfMode': 'PDF mode'
+    };
+
+    // When false, nothing is read from or written to localStorage
+    let persist = true;
+
+    // Page shown and edited in the UI (session only, never saved)
+    let activePage = 'front';
+
+    // Storage Keys
+    const STATE_KEY = 'heartify_state_v5';
+    const QUARANTINE_PREFIX = 'heartify_quarantine_';
+    const MAX_QUARANTINE = 3;
+
+    // Photo data lives once under its own key, named after its content;
+    // saved states, library cards and history only keep { ref } to it
+    const PHOTO_PREFIX = 'heartify_photo_';
+    const storedPhotos = new Set(); // Keys known to be written this session
+
+    // Schema written to meta.version. Changing the state shape means bumping
+    // this and adding a MIGRATIONS step from the previous version.
+    const SCHEMA_VERSION = '6.5.0';
+
+    // Saves without meta.version come from the first release of this key
+    const LEGACY_VERSION = '5.0.0';
+
+    // Upgrade steps keyed on the version they start from. A step only has to
+    // move or rename data; missing fields are filled from DEFAULT_STATE once
+    // the chain has run (see upgradeState).
+    const MIGRATIONS = {
+        // 6.0.0: multi-page cards. The folded card's inside message moves
+        // onto the Inside Right page.
+        '5.0.0': {
+            to: '6.0.0',
+            migrate(state) {
+                const content = Utils.isPlainObject(state.content) ? state.content : {};
+                if (typeof content.inside === 'string' && content.inside.trim()) {
+                    const pages = state.pages = Utils.isPlainObject(state.pages) ? state.pages : {};
+                    const page = pages.insideRight = Utils.isPlainObject(pages.insideRight) ? pages.insideRight : {};
+                    page.content = Object.assign({}, page.content, { message: content.inside });
+                }
+                delete content.inside;
+                return state;
+            }
+        },
+        // 6.1.0: seeded paper textures. Older cards get the default
+        // fine paper grain from DEFAULT_STATE.
+        '6.0.0': {
+            to: '6.1.0',
+            migrate: (state) => state
+        },
+        // 6.2.0: per-page stickers and message markup. Older pages start
+        // with no stickers, and older messages are escaped so a literal
+        // *, [ or leading # still shows as typed.
+        '6.1.0': {
+            to: '6.2.0',
+            migrate(state) {
+                const pages = Utils.isPlainObject(state.pages) ? state.pages : {};
+                [state.content].concat(Object.keys(pages).map(id => Utils.isPlainObject(pages[id]) ? pages[id].content : null))
+                    .forEach(content => {
+                        if (Utils.isPlainObject(content) && typeof content.message === 'string') {
+                            content.message = Utils.escapeMarkup(content.message);
+                        }
+                    });
+                return state;
+            }
+        },
+        // 6.3.0: frame styles. The default classic line matches the old
+        // fixed frame.
+        '6.2.0': {
+            to: '6.3.0',
+            migrate: (state) => state
+        },
+        // 6.4.0: animated cards. Older cards get the default hearts,
+        // fade-in and shimmer.
+        '6.3.0': {
+            to: '6.4.0',
+            migrate: (state) => state
+        },
+        // 6.5.0: vector PDF export. Older cards get the default vector mode.
+        '6.4.0': {
+            to: '6.5.0',
+            migrate: (state) => state
+        }
+    };
+
+    /**
+     * Brings any stored state up to the current schema.
+     * Runs the migration chain, fills missing or mistyped fields from
+     * DEFAULT_STATE, resets unknown ids (e.g. a deleted custom theme),
+     * then validates the result.
+     * @param {object} data - Parsed, untrusted save.
+     * @returns {object} A state tree safe to render.
+     * @throws {Error} If the save can't be upgraded or stays invalid.
+     */
+    function upgradeState(data) {
+        if (!Utils.isPlainObject(data)) throw new Error("Save is not an object");
+
+        let state = Utils.deepClone(data);
+        let version = Utils.isPlainObject(state.meta) && typeof state.meta.version === 'string'
+            ? state.meta.version
+            : LEGACY_VERSION;
+
+        while (version !== SCHEMA_VERSION) {
+            const step = MIGRATIONS[version];
+            if (!step) throw new Error(`Unknown save version ${version}`);
+            state = step.migrate(state);
+            version = step.to;
+        }
+
+        state = fillDefaults(state, DEFAULT_STATE);
+        state.meta.version = SCHEMA_VERSION;
+        repairState(state);
+
+        const problems = validateState(state);
+        if (problems.length > 0) throw new Error(`Invalid save: ${problems.join('; ')}`);
+        return state;
+    }
+
+    /**
+     * Recursively copies defaults into a value. Extra keys are kept (element
+     * transforms, pages), mistyped values are replaced. A null default marks
+     * an optional slot (photo, quoteId) that accepts any value.
+     */
+    function fillDefaults(value, fallback) {
+        if (Utils.isPlainObject(fallback)) {
+            if (!Utils.isPlainObject(value)) return Utils.deepClone(fallback);
+
+            const out = Object.assign({}, value);
+            Object.keys(fallback).forEach(key => {
+                out[key] = fillDefaults(value[key], fallback[key]);
+            });
+            return out;
+        }
+
+        if (value === undefined) return Utils.deepClone(fallback);
+        if (fallback === null) return value;
+        return typeof value === typeof fallback ? value : Utils.deepClone(fallback);
+    }
+
+    /**
+     * Soft fixes that keep a card usable: unknown ids fall back to their
+     * defaults, sizes are clamped, broken photos, transforms and stickers
+     * are dropped.
+     */
+    function repairState(state) {
+        const reset = (target, key, allowed, fallback) => {
+            if (!has(allowed, target[key])) {
+                console.warn(`StateManager: Unknown ${key} "${target[key]}", using "${fallback}"`);
+                target[key] = fallback;
+            }
+        };
+        const designs = [[state.design, DEFAULT_STATE.design]].concat(
+            Object.keys(DEFAULT_STATE.pages).map(id => [state.pages[id].design, DEFAULT_STATE.pages[id].design]));
+        const contents = [state.content].concat(Object.keys(DEFAULT_STATE.pages).map(id => state.pages[id].content));
+
+        reset(state.design, 'themeId', getThemes(), DEFAULT_STATE.design.themeId);
+        if (FONTS.indexOf(state.design.fontFamily) === -1) state.design.fontFamily = FONTS[0];
+        reset(state.design, 'texture', Textures.getTextures(), DEFAULT_STATE.design.texture);
+        state.design.textureSeed = Number.isFinite(state.design.textureSeed) ? state.design.textureSeed >>> 0 : DEFAULT_STATE.design.textureSeed;
+        repairFrame(state.design.frame);
+        reset(state.design.animation, 'reveal', Animator.getReveals(), DEFAULT_STATE.design.animation.reveal);
+        designs.forEach(([design, fallback]) => {
+            reset(design, 'layoutMode', LAYOUTS, fallback.layoutMode);
+            reset(design, 'decorations', DECORATIONS, fallback.decorations);
+            design.transforms = cleanTransforms(design.transforms);
+            design.stickers = Stickers.clean(design.stickers);
+        });
+        contents.forEach(content => {
+            if (content.photo !== null && !isValidPhoto(content.photo)) {
+                console.warn("StateManager: Dropping unreadable photo");
+                content.photo = null;
+            }
+        });
+
+        const config = state.config;
+        if (config.sizeId !== 'custom' && !has(SIZES, config.sizeId)) config.sizeId = 'custom';
+        config.width = Math.round(Utils.clamp(config.width, CUSTOM_SIZE_LIMITS.min, CUSTOM_SIZE_LIMITS.max));
+        config.height = Math.round(Utils.clamp(config.height, CUSTOM_SIZE_LIMITS.min, CUSTOM_SIZE_LIMITS.max));
+        if (!(config.canvasScale > 0)) config.canvasScale = DEFAULT_STATE.config.canvasScale;
+        repairAnimation(config.animation);
+        reset(config.print, 'fold', { half: true, quarter: true }, DEFAULT_STATE.config.print.fold);
+        reset(config.print, 'paper', { a4: true, letter: true }, DEFAULT_STATE.config.print.paper);
+        reset(config, 'pdfMode', PDF_MODES, DEFAULT_STATE.config.pdfMode);
+    }
+
+    function has(map, key) {
+        return Object.prototype.hasOwnProperty.call(map, key);
+    }
+
+    function repairFrame(frame) {
+        const fallback = DEFAULT_STATE.design.frame;
+        const limits = Frames.getLimits();
+        if (!has(Frames.getStyles(), frame.style)) frame.style = fallback.style;
+        if (Frames.getColorRoles().indexOf(frame.color) === -1) frame.color = fallback.color;
+        ['thickness', 'margin'].forEach(key => {
+            frame[key] = Number.isFinite(frame[key]) ? Utils.clamp(frame[key], limits[key].min, limits[key].max) : fallback[key];
+        });
+    }
+
+    function repairAnimation(animation) {
+        const fallback = DEFAULT_STATE.config.animation;
+        const limits = Animator.getLimits();
+        ['duration', 'fps'].forEach(key => {
+            animation[key] = Number.isFinite(animation[key]) ? Math.round(Utils.clamp(animation[key], limits[key].min, limits[key].max)) : fallback[key];
+        });
+    }
+
+    function cleanTransforms(transforms) {
+        const clean = {};
+        Object.keys(transforms).forEach(id => {
+            const t = transforms[id];
+            if (Utils.isPlainObject(t) && [t.x, t.y, t.scale, t.rotation].every(Number.isFinite)) clean[id] = t;
+        });
+        return clean;
+    }
+
+    function isValidPhoto(photo) {
+        return Utils.isPlainObject(photo) &&
+            typeof photo.src === 'string' && photo.src.indexOf('data:image/') === 0 &&
+            [photo.zoom, photo.panX, photo.panY].every(Number.isFinite) &&
+            typeof photo.filter === 'string';
+    }
+
+    /**
+     * Checks a state tree against the current schema without changing it.
+     * @param {object} state - Candidate state.
+     * @returns {string[]} Problems found (empty when valid).
+     */
+    function validateState(state) {
+        const problems = [];
+        const expect = (ok, message) => {
+            if (!ok) problems.push(message);
+        };
+
+        if (!Utils.isPlainObject(state)) return ["state is not an object"];
+        ['meta', 'content', 'design', 'config', 'pages'].forEach(branch => {
+            expect(Utils.isPlainObject(state[branch]), `${branch} is missing`);
+        });
+        if (problems.length > 0) return problems;
+
+        expect(state.meta.version === SCHEMA_VERSION, `meta.version is not ${SCHEMA_VERSION}`);
+
+        const checkPage = (content, design, where) => {
+            ['to', 'message', 'from'].forEach(key => {
+                expect(typeof content[key] === 'string', `${where}content.${key} is not text`);
+            });
+            expect(content.photo === null || isValidPhoto(content.photo), `${where}content.photo is unreadable`);
+            expect(has(LAYOUTS, design.layoutMode), `${where}design.layoutMode is unknown`);
+            expect(has(DECORATIONS, design.decorations), `${where}design.decorations is unknown`);
+            expect(typeof design.showWatermark === 'boolean', `${where}design.showWatermark is not a boolean`);
+            expect(Utils.isPlainObject(design.transforms), `${where}design.transforms is not an object`);
+            expect(Array.isArray(design.stickers) && design.stickers.every(Stickers.isValid), `${where}design.stickers is invalid`);
+        };
+
+        checkPage(state.content, state.design, '');
+        Object.keys(DEFAULT_STATE.pages).forEach(id => {
+            const page = state.pages[id];
+            if (!Utils.isPlainObject(page) || !Utils.isPlainObject(page.content) || !Utils.isPlainObject(page.design)) {
+                problems.push(`pages.${id} is missing`);
+                return;
+            }
+            checkPage(page.content, page.design, `pages.${id}.`);
+        });
+
+        expect(has(getThemes(), state.design.themeId), "design.themeId is unknown");
+        expect(FONTS.indexOf(state.design.fontFamily) !== -1, "design.fontFamily is unknown");
+        expect(has(Textures.getTextures(), state.design.texture), "design.texture is unknown");
+        expect(Number.isInteger(state.design.textureSeed) && state.design.textureSeed >= 0, "design.textureSeed is not a seed");
+
+        const frame = state.design.frame;
+        const limits = Frames.getLimits();
+        expect(Utils.isPlainObject(frame) && has(Frames.getStyles(), frame.style), "design.frame.style is unknown");
+        if (Utils.isPlainObject(frame)) {
+            expect(Frames.getColorRoles().indexOf(frame.color) !== -1, "design.frame.color is unknown");
+            ['thickness', 'margin'].forEach(key => {
+                expect(Number.isFinite(frame[key]) && frame[key] >= limits[key].min && frame[key] <= limits[key].max,
+                    `design.frame.${key} is out of range`);
+            });
+        }
+
+        const animation = state.design.animation;
+        expect(Utils.isPlainObject(animation) && has(Animator.getReveals(), animation.reveal), "design.animation.reveal is unknown");
+        if (Utils.isPlainObject(animation)) {
+            ['hearts', 'shimmer'].forEach(key => {
+                expect(typeof animation[key] === 'boolean', `design.animation.${key} is not a boolean`);
+            });
+        }
+
+        const config = state.config;
+        const animationLimits = Animator.getLimits();
+        ['duration', 'fps'].forEach(key => {
+            const value = Utils.isPlainObject(config.animation) ? config.animation[key] : undefined;
+            expect(Number.isFinite(value) && value >= animationLimits[key].min && value <= animationLimits[key].max,
+                `config.animation.${key} is out of range`);
+        });
+        ['width', 'height'].forEach(key => {
+            const value = config[key];
+            expect(Number.isFinite(value) && value >= CUSTOM_SIZE_LIMITS.min && value <= CUSTOM_SIZE_LIMITS.max,
+                `config.${key} is out of range`);
+        });
+        expect(config.sizeId === 'custom' || has(SIZES, config.sizeId), "config.sizeId is unknown");
+        expect(has(PDF_MODES, config.pdfMode), "config.pdfMode is unknown");
+
+        return problems;
+    }
+
+    /**
+     * Sets an unreadable save aside under its own key so it can be
+     * recovered by hand, keeping only the newest few.
+     * @param {string} raw - The stored text.
+     * @param {string} reason - Why it was rejected.
+     */
+    function quarantine(raw, reason) {
+        if (!persist) return;
+        try {
+            localStorage.setItem(QUARANTINE_PREFIX + Date.now(), JSON.stringify({ reason, raw }));
+
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.indexOf(QUARANTINE_PREFIX) === 0) keys.push(key);
+            }
+            keys.sort().slice(0, -MAX_QUARANTINE).forEach(key => localStorage.removeItem(key));
+        } catch (e) {
+            console.error("StateManager: Quarantine failed", e);
+        }
+    }
+
+    /**
+     * Copies a value for storage, moving every photo's data URL to its own
+     * key and leaving { ref } in its place. Works on whole states as well
+     * as history changes, whose values can be a bare photo.
+     * @param {any} value - State tree or part of one.
+     * @returns {any} A copy safe to serialize.
+     * @throws {Error} When storage refuses a new photo (e.g. full).
+     */
+    function storePhotos(value) {
+        if (Array.isArray(value)) return value.map(storePhotos);
+        if (!Utils.isPlainObject(value)) return value;
+
+        if (typeof value.src === 'string' && value.src.indexOf('data:image/') === 0) {
+            const key = `${PHOTO_PREFIX}${Utils.hashString(value.src).toString(36)}_${value.src.length.toString(36)}`;
+            if (!storedPhotos.has(key)) {
+                if (localStorage.getItem(key) !== value.src) localStorage.setItem(key, value.src);
+                storedPhotos.add(key);
+            }
+            const copy = Object.assign({}, value, { ref: key });
+            delete copy.src;
+            return copy;
+        }
+
+        const copy = {};
+        Object.keys(value).forEach(key => { copy[key] = storePhotos(value[key]); });
+        return copy;
+    }
+
+    /**
+     * Reverses storePhotos() on parsed storage. A photo whose data is gone
+     * comes back as null.
+     * @param {any} value - Parsed state tree or part of one.
+     * @returns {any} The value with photo data URLs in place.
+     */
+    function restorePhotos(value) {
+        if (Array.isArray(value)) return value.map(restorePhotos);
+        if (!Utils.isPlainObject(value)) return value;
+
+        if (typeof value.ref === 'string' && value.ref.indexOf(PHOTO_PREFIX) === 0) {
+            const src = localStorage.getItem(value.ref);
+            if (!src) return null;
+            storedPhotos.add(value.ref);
+            const photo = Object.assign({}, value, { src });
+            delete photo.ref;
+            return photo;
+        }
+
+        const copy = {};
+        Object.keys(value).forEach(key => { copy[key] = restorePhotos(value[key]); });
+        return copy;
+    }
+
+    /**
+     * Removes stored photos nothing refers to any more: not the saved
+     * state, its history, a library card or a quarantined save.
+     */
+    const prunePhotos = Utils.debounce(() => {
+        if (!persist) return;
+        try {
+            const photos = [];
+            const texts = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key || key.indexOf('heartify_') !== 0) continue;
+                if (key.indexOf(PHOTO_PREFIX) === 0) {
+                    photos.push(key);
+                } else {
+                    texts.push(localStorage.getItem(key));
+                }
+            }
+            photos.filter(key => !texts.some(text => text && text.indexOf(key) !== -1)).forEach(key => {
+                localStorage.removeItem(key);
+                storedPhotos.delete(key);
+            });
+        } catch (e) {
+            console.warn("StateManager: Photo cleanup failed", e);
+        }
+    }, 2000);
 
     /**
      * Initializes the state manager.
      * Tries to load from localStorage first.
+     * @param {object} [options]
+     * @param {object} [options.state] - Start from this state instead of storage.
+     * @param {boolean} [options.persist=true] - Whether to use localStorage at all.
      */
-    function init() {
+    function init(options = {}) {
         console.log("StateManager: Initializing...");
+        persist = options.persist !== false;
+        customThemes = loadCustomThemes();
+
+        if (options.state) {
+            console.log("StateManager: Using provided state.");
+            currentState = Utils.deepClone(options.state);
+            EventBus.publish('state:updated', currentState);
+            return;
+        }
+
         // Attempt to load saved state
         const saved = loadFromStorage();
         if (saved) {
             console.log("StateManager: Loaded from storage.");
             currentState = saved;
+            loadHistory(saved);
         } else {
             console.log("StateManager: Using default state.");
         }
@@ -356,11 +1245,19 @@ const StateManager = (function() {
      * Loads state from localStorage.
      */
     function loadFromStorage() {
+        if (!persist) return null;
+
+        let raw = null;
         try {
-            const raw = localStorage.getItem('heartify_state_v5');
-            if (raw) return JSON.parse(raw);
+            raw = localStorage.getItem(STATE_KEY);
+            if (raw) return upgradeState(restorePhotos(JSON.parse(raw)));
         } catch (e) {
             console.error("StateManager: Load failed", e);
+            if (raw) {
+                quarantine(raw, e.message);
+                localStorage.removeItem(STATE_KEY);
+                Utils.notify("Your last card couldn't be opened, so it was set aside");
+            }
         }
         return null;
     }
@@ -369,34 +1266,49 @@ const StateManager = (function() {
      * Saves current state to localStorage.
      */
     function saveToStorage() {
+        if (!persist) return;
         try {
-            localStorage.setItem('heartify_state_v5', JSON.stringify(currentState));
+            localStorage.setItem(STATE_KEY, JSON.stringify(storePhotos(currentState)));
+            saveHistory();
+            prunePhotos();
         } catch (e) {
             console.error("StateManager: Save failed", e);
+            if (e && e.name === 'QuotaExceededError') {
+                Utils.notify("Storage is full, this card could not be saved");
+            }
         }
     }
 
     /**
-     * Updates a specific part of the state tree.
-     * Pushes the previous state to history before updating.
+     * Updates a specific part of the state tree as one undoable step.
      * @param {string} path - Dot notation path (e.g., 'content.to').
      * @param {any} value - The new value.
+     * @param {object} [options]
+     * @param {boolean} [options.skipHistory=false] - Fold the change into the
+     * latest step instead of adding one (mid-gesture, after a checkpoint()).
+     * @param {string} [options.label] - Step label for the history panel.
+     * @param {boolean} [options.coalesce] - Merge with the previous step when it
+     * touched the same paths moments ago. Defaults to true for typing.
      */
-    function updateState(path, value) {
-        // Push to history
-        pushHistory();
+    function updateState(path, value, options = {}) {
+        updateMany({ [path]: value }, options);
+    }
 
-        // Parse path
-        const keys = path.split('.');
-        let target = currentState;
-        
-        for (let i = 0; i < keys.length - 1; i++) {
-            if (!target[keys[i]]) target[keys[i]] = {};
-            target = target[keys[i]];
-        }
-        
-        // Update value
-        target[keys[keys.length - 1]] = value;
+    /**
+     * Applies several path updates as a single undoable step.
+     * @param {object} changes - Map of dot notation paths to new values.
+     * @param {object} [options] - Same as updateState.
+     */
+    function updateMany(changes, options = {}) {
+        const paths = Object.keys(changes);
+        const diff = paths.map(path => ({
+            path,
+            before: Utils.deepClone(getPath(currentState, path)),
+            after: Utils.deepClone(changes[path])
+        }));
+
+        paths.forEach(path => setPath(currentState, path, changes[path]));
+        record(diff, paths, options);
         
         // Update timestamp
         currentState.meta.lastModified = Date.now();
@@ -406,63 +1318,455 @@ const StateManager = (function() {
         EventBus.publish('state:updated', currentState);
     }
 
-    /**
-     * Pushes a snapshot of the current state to the history stack.
-     */
-    function pushHistory() {
-        if (historyStack.length >= MAX_HISTORY) {
-            historyStack.shift(); // Remove oldest
-        }
-        historyStack.push(Utils.deepClone(currentState));
-        // Clear redo stack on new action
-        redoStack.length = 0; 
+    function getPath(obj, path) {
+        return path.split('.').reduce((target, key) => (target == null ? undefined : target[key]), obj);
     }
 
     /**
-     * Reverts to the previous state.
+     * Writes a dot notation path, creating missing branches.
+     * Writing undefined removes the key (undoing a newly created field).
      */
-    function undo() {
-        if (historyStack.length > 0) {
-            const previous = historyStack.pop();
-            redoStack.push(Utils.deepClone(currentState));
-            currentState = previous;
-            saveToStorage();
-            EventBus.publish('state:updated', currentState);
-            Utils.notify("Undo successful");
+    function setPath(obj, path, value) {
+        const keys = path.split('.');
+        let target = obj;
+
+        for (let i = 0; i < keys.length - 1; i++) {
+            if (!Utils.isPlainObject(target[keys[i]])) target[keys[i]] = {};
+            target = target[keys[i]];
+        }
+
+        const last = keys[keys.length - 1];
+        if (value === undefined) {
+            delete target[last];
+        } else {
+            target[last] = Utils.deepClone(value);
+        }
+    }
+
+    /**
+     * Describes a change for the history panel, e.g. "Edit message (Inside Right)".
+     */
+    function labelFor(paths) {
+        const match = /^pages\.([^.]+)\.(.*)$/.exec(paths[0] || '');
+        const path = match ? match[2] : paths[0] || '';
+        const page = match && PAGES.find(p => p.id === match[1]);
+
+        const key = Object.keys(HISTORY_LABELS)
+            .filter(prefix => path === prefix || path.indexOf(prefix + '.') === 0)
+            .sort((a, b) => b.length - a.length)[0];
+        const label = key ? HISTORY_LABELS[key] : 'Edit card';
+        return page ? `${label} (${page.label})` : label;
+    }
+
+    /**
+     * Adds a diff to the history, merging it into the latest step when
+     * it continues a typing burst or an open gesture.
+     */
+    function record(diff, paths, options) {
+        const key = paths.slice().sort().join('|');
+        const now = Date.now();
+        const top = historyCursor === history.length ? history[history.length - 1] : null;
+        const coalesce = options.coalesce !== undefined ? options.coalesce : paths.every(path => COALESCE_PATHS.test(path));
+
+        const continues = top && (
+            (options.skipHistory && top.open) ||
+            (coalesce && top.key === key && now - top.time < COALESCE_MS)
+        );
+
+        if (continues) {
+            diff.forEach(change => {
+                const existing = top.changes.find(c => c.path === change.path);
+                if (existing) {
+                    existing.after = change.after;
+                } else {
+                    top.changes.push(change);
+                }
+            });
+            top.time = now;
+        } else if (options.skipHistory) {
+            return; // Nothing open to fold into
+        } else {
+            pushStep({ label: options.label || labelFor(paths), key, time: now, changes: diff });
+        }
+
+        publishHistory();
+    }
+
+    function pushStep(step) {
+        history.length = historyCursor; // Drop redo steps
+        if (history.length > 0 && history[history.length - 1].changes.length === 0) {
+            history.pop(); // A checkpoint nothing was folded into
         }
+
+        history.push(step);
+        if (history.length > MAX_HISTORY) history.shift(); // Remove oldest
+        historyCursor = history.length;
+    }
+
+    /**
+     * Opens a step for a multi-event gesture (e.g. dragging on the canvas).
+     * Following updates with skipHistory fold into it.
+     * @param {string} [label] - Step label for the history panel.
+     */
+    function checkpoint(label) {
+        pushStep({ label: label || 'Edit card', key: null, time: Date.now(), changes: [], open: true });
+    }
+
+    /**
+     * Applies or reverts one step in place.
+     */
+    function applyStep(step, forward) {
+        const changes = forward ? step.changes : step.changes.slice().reverse();
+        changes.forEach(change => setPath(currentState, change.path, forward ? change.after : change.before));
+        step.open = false;
+        step.time = 0; // Never extend a step after undo/redo
+    }
+
+    function commitHistoryMove() {
+        currentState.meta.lastModified = Date.now();
+        saveToStorage();
+        publishHistory();
+        EventBus.publish('state:updated', currentState);
+    }
+
+    /**
+     * Reverts to the previous state.
+     */
+    function undo() {
+        if (historyCursor === 0) return;
+
+        const step = history[--historyCursor];
+        applyStep(step, false);
+        commitHistoryMove();
+        Utils.notify(`Undo: ${step.label}`);
     }
 
     /**
      * Re-applies a reverted state.
      */
     function redo() {
-        if (redoStack.length > 0) {
-            const next = redoStack.pop();
-            historyStack.push(Utils.deepClone(currentState));
-            currentState = next;
-            saveToStorage();
-            EventBus.publish('state:updated', currentState);
-            Utils.notify("Redo successful");
+        if (historyCursor === history.length) return;
+
+        const step = history[historyCursor++];
+        applyStep(step, true);
+        commitHistoryMove();
+        Utils.notify(`Redo: ${step.label}`);
+    }
+
+    /**
+     * Moves through history to just after a given step.
+     * @param {number} cursor - Number of steps to keep applied (0 = oldest state).
+     */
+    function jumpTo(cursor) {
+        const target = Utils.clamp(cursor, 0, history.length);
+        if (target === historyCursor) return;
+
+        while (historyCursor > target) applyStep(history[--historyCursor], false);
+        while (historyCursor < target) applyStep(history[historyCursor++], true);
+        commitHistoryMove();
+    }
+
+    /**
+     * Publishes the step list for the history panel.
+     */
+    function publishHistory() {
+        EventBus.publish('history:updated', getHistory());
+    }
+
+    function getHistory() {
+        return {
+            steps: history.map(step => ({ label: step.label })),
+            cursor: historyCursor
+        };
+    }
+
+    /**
+     * Persists the history next to the card it belongs to. The stamp ties
+     * it to the saved state, so a mismatched pair is discarded on load.
+     */
+    const saveHistory = Utils.debounce(() => {
+        if (!persist) return;
+
+        const write = (dropped) => localStorage.setItem(HISTORY_KEY, JSON.stringify({
+            version: SCHEMA_VERSION,
+            stamp: currentState.meta.lastModified,
+            cursor: Math.max(0, historyCursor - dropped),
+            steps: history.slice(dropped).map(step => ({ label: step.label, key: step.key, changes: storePhotos(step.changes) }))
+        }));
+
+        // Photos can make history big; keep the newest half on quota errors
+        try {
+            write(0);
+        } catch (e) {
+            try {
+                write(Math.ceil(history.length / 2));
+            } catch (err) {
+                console.warn("StateManager: History not saved", err);
+                localStorage.removeItem(HISTORY_KEY);
+            }
+        }
+    }, 400);
+
+    function loadHistory(state) {
+        if (!persist) return;
+        try {
+            const data = restorePhotos(JSON.parse(localStorage.getItem(HISTORY_KEY) || 'null'));
+            if (!data || data.version !== SCHEMA_VERSION || data.stamp !== state.meta.lastModified) return;
+            if (!Array.isArray(data.steps) || !data.steps.every(isValidStep)) return;
+
+            history = data.steps.map(step => ({ label: step.label, key: step.key, time: 0, changes: step.changes }));
+            historyCursor = Utils.clamp(Math.round(data.cursor) || 0, 0, history.length);
+        } catch (e) {
+            console.error("StateManager: History load failed", e);
         }
     }
 
+    function isValidStep(step) {
+        return Utils.isPlainObject(step) && typeof step.label === 'string' && Array.isArray(step.changes) &&
+            step.changes.every(change => Utils.isPlainObject(change) && typeof change.path === 'string');
+    }
+
+    function clearHistory() {
+        history = [];
+        historyCursor = 0;
+        publishHistory();
+    }
+
     /**
      * Resets the application to default state.
      */
     function reset() {
-        pushHistory();
-        currentState = Utils.deepClone(DEFAULT_STATE);
-        saveToStorage();
-        EventBus.publish('state:updated', currentState);
+        const fresh = Utils.deepClone(DEFAULT_STATE);
+        const changes = {};
+        ['content', 'design', 'config', 'pages'].forEach(branch => {
+            changes[branch] = fresh[branch];
+        });
+        updateMany(changes, { label: 'Reset card', coalesce: false });
         EventBus.publish('app:reset');
         Utils.notify("Canvas Reset");
     }
 
     /**
-     * Gets a random quote.
+     * Swaps in a completely different state tree (e.g. another saved card).
+     * History belongs to the card being edited, so it is cleared.
+     * @param {object} state - The state tree to activate.
+     */
+    function replaceState(state) {
+        currentState = Utils.deepClone(state);
+        clearHistory();
+        saveToStorage();
+        setActivePage('front');
+        EventBus.publish('state:updated', currentState);
+    }
+
+    /**
+     * Builds the state tree of a single page: the page's content and
+     * design fields are swapped in, card-wide settings (theme, font, size)
+     * are shared. The front cover is the state itself.
+     * Pages missing from older saves fall back to their defaults.
+     * @param {object} state - The full state tree.
+     * @param {string} pageId - One of PAGES.
+     * @returns {object} A state tree renderable like a single card.
+     */
+    function resolvePage(state, pageId) {
+        const fallback = DEFAULT_STATE.pages[pageId];
+        if (!fallback) return state;
+
+        const page = (state.pages && state.pages[pageId]) || {};
+        const design = Object.assign({}, fallback.design, page.design);
+        const shared = {};
+        Object.keys(state.design).forEach(key => {
+            if (PAGE_DESIGN_KEYS.indexOf(key) === -1) shared[key] = state.design[key];
+        });
+
+        return Object.assign({}, state, {
+            content: Object.assign({}, fallback.content, page.content),
+            design: Object.assign(shared, design)
+        });
+    }
+
+    /**
+     * Maps a front-cover path ('content.to', 'design.transforms') onto a page.
+     * Card-wide design fields keep their top-level path.
+     * @param {string} path - Dot notation path as used on the front.
+     * @param {string} [pageId] - Defaults to the active page.
+     * @returns {string} The path to update.
+     */
+    function pagePath(path, pageId = activePage) {
+        if (!DEFAULT_STATE.pages[pageId]) return path;
+
+        const [branch, key] = path.split('.');
+        const perPage = branch === 'content' || (branch === 'design' && PAGE_DESIGN_KEYS.indexOf(key) !== -1);
+        return perPage ? `pages.${pageId}.${path}` : path;
+    }
+
+    /**
+     * Switches the page shown in the editor.
+     * @param {string} pageId - One of PAGES.
+     */
+    function setActivePage(pageId) {
+        if (!PAGES.some(page => page.id === pageId) || pageId === activePage) return;
+        activePage = pageId;
+        EventBus.publish('page:changed', pageId);
+    }
+
+    /**
+     * Looks up a theme, falling back to Rose for unknown or deleted ids.
+     * @param {string} id - The theme id.
+     * @returns {object} A theme definition.
+     */
+    function getTheme(id) {
+        return THEMES[id] || customThemes[id] || THEMES.rose;
+    }
+
+    /**
+     * Validates untrusted theme data (e.g. an imported file).
+     * @param {object} data - Candidate theme.
+     * @returns {object} A normalized theme without id.
+     * @throws {Error} If any field is missing or malformed.
+     */
+    function validateTheme(data) {
+        const isHex = (v) => typeof v === 'string' && /^#([A-Fa-f0-9]{3}){1,2}$/.test(v);
+
+        if (!Utils.isPlainObject(data)) throw new Error("Theme must be an object");
+        if (typeof data.label !== 'string' || !data.label.trim() || data.label.length > 40) {
+            throw new Error("Theme needs a name up to 40 characters");
+        }
+        if (!Array.isArray(data.bg) || data.bg.length !== 2 || !data.bg.every(isHex)) {
+            throw new Error("Theme background needs two hex colors");
+        }
+        ['primary', 'accent', 'text'].forEach(key => {
+            if (!isHex(data[key])) throw new Error(`Theme ${key} must be a hex color`);
+        });
+        if (!Array.isArray(data.particleColors) || data.particleColors.length < 1 ||
+            data.particleColors.length > 6 || !data.particleColors.every(isHex)) {
+            throw new Error("Theme needs 1 to 6 particle colors");
+        }
+
+        return {
+            label: data.label.trim(),
+            bg: data.bg.slice(),
+            primary: data.primary,
+            accent: data.accent,
+            text: data.text,
+            particleColors: data.particleColors.slice()
+        };
+    }
+
+    /**
+     * Reads the user themes, validating each one like an import.
+     * Malformed entries are quarantined and dropped from the list.
+     * @returns {object} Valid custom themes keyed by id.
+     */
+    function loadCustomThemes() {
+        if (!persist) return {};
+
+        let raw = null;
+        let stored = null;
+        try {
+            raw = localStorage.getItem(CUSTOM_THEMES_KEY);
+            if (!raw) return {};
+            stored = JSON.parse(raw);
+        } catch (e) {
+            console.error("StateManager: Theme load failed", e);
+        }
+        if (!Utils.isPlainObject(stored)) {
+            quarantine(raw, "Custom themes are not an object");
+            return {};
+        }
+
+        const themes = {};
+        const rejected = {};
+        const reasons = [];
+        Object.keys(stored).forEach(id => {
+            try {
+                if (!/^custom-[\w-]+$/.test(id)) throw new Error("Unknown theme id");
+                themes[id] = Object.assign(validateTheme(stored[id]), { id, custom: true });
+            } catch (e) {
+                rejected[id] = stored[id];
+                reasons.push(`${id}: ${e.message}`);
+            }
+        });
+
+        // One quarantine entry for all of them, then keep only the valid ones
+        if (reasons.length > 0) {
+            console.warn("StateManager: Dropped custom themes", reasons);
+            quarantine(JSON.stringify(rejected), `Invalid custom themes (${reasons.join('; ')})`);
+            customThemes = themes;
+            saveCustomThemes();
+        }
+        return themes;
+    }
+
+    function saveCustomThemes() {
+        if (!persist) return;
+        try {
+            localStorage.setItem(CUSTOM_THEMES_KEY, JSON.stringify(customThemes));
+        } catch (e) {
+            console.error("StateManager: Theme save failed", e);
+        }
+    }
+
+    /**
+     * Adds or replaces a user theme.
+     * @param {object} data - Theme fields; an existing custom `id` is updated in place.
+     * @returns {object} The stored theme.
+     */
+    function saveCustomTheme(data) {
+        const theme = validateTheme(data);
+        theme.id = (data.id && customThemes[data.id]) ? data.id : `custom-${Utils.generateUUID()}`;
+        theme.custom = true;
+
+        customThemes[theme.id] = theme;
+        saveCustomThemes();
+        EventBus.publish('themes:updated', getThemes());
+        return theme;
+    }
+
+    /**
+     * Registers a theme for this session only (e.g. one carried by a share link).
+     */
+    function registerTemporaryTheme(theme) {
+        customThemes[theme.id] = Object.assign({}, theme, { custom: true });
+        EventBus.publish('themes:updated', getThemes());
+    }
+
+    /**
+     * Removes a user theme. Cards using it fall back to Rose.
+     * @param {string} id - The theme id.
+     */
+    function deleteCustomTheme(id) {
+        if (!customThemes[id]) return;
+        delete customThemes[id];
+        saveCustomThemes();
+        EventBus.publish('themes:updated', getThemes());
+    }
+
+    function getThemes() {
+        return Object.assign({}, THEMES, customThemes);
+    }
+
+    /**
+     * Describes the card size of a config, including custom sizes.
+     * @param {object} config - The config branch of the state.
+     * @returns {object} A size definition with physical `mm` dimensions.
      */
-    function getRandomQuote() {
-        return QUOTES[Math.floor(Math.random() * QUOTES.length)];
+    function getSize(config) {
+        if (config.sizeId !== 'custom' && SIZES[config.sizeId]) return SIZES[config.sizeId];
+
+        // Custom (or legacy saves without sizeId): 96 units per inch
+        const toMm = (units) => Math.round(units * 25.4 / 96 * 100) / 100;
+        const isClassic = !config.sizeId && config.width === 600 && config.height === 800;
+        if (isClassic) return SIZES.classic;
+
+        return {
+            id: 'custom',
+            label: 'Custom',
+            width: config.width,
+            height: config.height,
+            mm: [toMm(config.width), toMm(config.height)],
+            exportScale: 2
+        };
     }
 
     // Public API
@@ -470,485 +1774,8564 @@ const StateManager = (function() {
         init,
         get: () => Utils.deepClone(currentState),
         update: updateState,
+        updateMany,
+        checkpoint,
         undo,
         redo,
+        jumpTo,
+        getHistory,
         reset,
-        getThemes: () => THEMES,
-        getRandomQuote,
-        getQuotes: () => QUOTES
+        load: replaceState,
+        getDefault: () => Utils.deepClone(DEFAULT_STATE),
+        upgrade: upgradeState,
+        validate: validateState,
+        quarantine,
+        storePhotos,
+        restorePhotos,
+        prunePhotos,
+        getThemes,
+        getTheme,
+        validateTheme,
+        saveCustomTheme,
+        deleteCustomTheme,
+        registerTemporaryTheme,
+        getLayouts: () => LAYOUTS,
+        getFonts: () => FONTS,
+        getPdfModes: () => PDF_MODES,
+        getSizes: () => SIZES,
+        getSize,
+        getCustomSizeLimits: () => CUSTOM_SIZE_LIMITS,
+        getPages: () => PAGES,
+        getDecorations: () => DECORATIONS,
+        resolvePage,
+        pagePath,
+        getActivePage: () => activePage,
+        setActivePage
     };
 })();
 
 /* =========================================
-   4.0 RENDER ENGINE (CANVAS PIPELINE)
+   3.1 CARD LIBRARY (MULTI-CARD STORE)
    ========================================= */
-const Renderer = (function() {
-    let canvas = null;
-    let ctx = null;
-    let isDrawing = false;
-    let animationFrameId = null;
+const CardLibrary = (function() {
+    const INDEX_KEY = 'heartify_library_v1';
+    const CARD_PREFIX = 'heartify_card_';
+
+    // Library Index: card metadata only, states live under their own keys
+    let index = { activeId: null, cards: [] };
 
     /**
-     * Initializes the rendering engine.
+     * Initializes the library.
+     * On first run, the card already held by StateManager becomes card #1.
      */
     function init() {
-        canvas = document.getElementById('cardCanvas');
-        if (!canvas) {
-            console.error("Renderer: Canvas element #cardCanvas not found!");
-            return;
+        console.log("CardLibrary: Initializing...");
+        const saved = loadIndex();
+
+        if (saved && saved.cards.length > 0) {
+            index = saved;
+            if (!findCard(index.activeId)) {
+                index.activeId = index.cards[0].id;
+            }
+        } else {
+            console.log("CardLibrary: Migrating current card into library.");
+            const state = StateManager.get();
+            const entry = createEntry("My First Card");
+            index.cards.push(entry);
+            index.activeId = entry.id;
+            saveCardState(entry.id, state);
+            entry.thumbnail = Renderer.createThumbnail(state);
+            saveIndex();
         }
 
-        ctx = canvas.getContext('2d', { alpha: false }); // Optimize for no transparency on body
-        
-        console.log("Renderer: Initialized context.");
+        // Keep the active card's stored copy in sync with the editor
+        EventBus.subscribe('state:updated', persistActive);
 
-        // Subscribe to state changes
-        EventBus.subscribe('state:updated', (state) => {
-            requestRender();
-        });
+        EventBus.publish('library:updated', getCards());
+    }
 
-        // Initial render
-        requestRender();
+    function loadIndex() {
+        try {
+            const raw = localStorage.getItem(INDEX_KEY);
+            if (raw) return JSON.parse(raw);
+        } catch (e) {
+            console.error("CardLibrary: Index load failed", e);
+        }
+        return null;
+    }
+
+    function saveIndex() {
+        try {
+            localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+        } catch (e) {
+            console.error("CardLibrary: Index save failed", e);
+        }
     }
 
     /**
-     * Requests a render frame via requestAnimationFrame.
-     * Prevents excessive draw calls.
+     * Reads a saved card, upgraded to the current schema.
+     * Unreadable cards are quarantined (see StateManager.quarantine).
      */
-    function requestRender() {
-        if (!isDrawing) {
-            isDrawing = true;
-            animationFrameId = requestAnimationFrame(renderFrame);
+    function loadCardState(id) {
+        let raw = null;
+        try {
+            raw = localStorage.getItem(CARD_PREFIX + id);
+            if (raw) return StateManager.upgrade(StateManager.restorePhotos(JSON.parse(raw)));
+        } catch (e) {
+            console.error("CardLibrary: Card load failed", e);
+            if (raw) {
+                StateManager.quarantine(raw, e.message);
+                localStorage.removeItem(CARD_PREFIX + id);
+            }
         }
+        return null;
     }
 
     /**
-     * Main rendering loop function.
+     * @returns {boolean} False when storage refused the card (e.g. full).
      */
-    function renderFrame() {
-        const state = StateManager.get();
-        const config = state.config;
-        const theme = StateManager.getThemes()[state.design.themeId];
+    function saveCardState(id, state) {
+        try {
+            localStorage.setItem(CARD_PREFIX + id, JSON.stringify(StateManager.storePhotos(state)));
+            return true;
+        } catch (e) {
+            console.error("CardLibrary: Card save failed", e);
+            return false;
+        }
+    }
 
-        // 1. Setup Canvas Dimensions (High DPI)
-        // We set the internal resolution higher than display size
-        const scale = config.canvasScale;
-        const w = config.width * scale;
-        const h = config.height * scale;
+    function createEntry(name) {
+        const now = Date.now();
+        return {
+            id: Utils.generateUUID(),
+            name: name,
+            createdAt: now,
+            updatedAt: now,
+            thumbnail: null
+        };
+    }
 
-        if (canvas.width !== w || canvas.height !== h) {
-            canvas.width = w;
-            canvas.height = h;
-        }
+    function findCard(id) {
+        return index.cards.find(card => card.id === id) || null;
+    }
 
-        // 2. Setup Context Scaling
-        ctx.setTransform(scale, 0, 0, scale, 0, 0); // Reset and scale
-        
-        // 3. Clear Screen
-        ctx.clearRect(0, 0, config.width, config.height);
+    /**
+     * Writes the editor state back to the active card.
+     * Thumbnails are comparatively expensive, so they trail behind typing.
+     */
+    function persistActive(state) {
+        const entry = findCard(index.activeId);
+        if (!entry) return;
 
-        // 4. Render Layers
-        drawBackground(ctx, theme, config.width, config.height);
-        drawDecorations(ctx, theme, config.width, config.height);
-        drawTextContent(ctx, state.content, state.design, theme, config.width, config.height);
-        
-        // 5. Watermark (Optional)
-        if (state.design.showWatermark) {
-            drawWatermark(ctx, theme, config.width, config.height);
+        saveCardState(entry.id, state);
+        entry.updatedAt = state.meta.lastModified;
+        refreshThumbnail();
+    }
+
+    const refreshThumbnail = Utils.debounce(() => {
+        const entry = findCard(index.activeId);
+        if (!entry) return;
+
+        entry.thumbnail = Renderer.createThumbnail(StateManager.get());
+        saveIndex();
+        EventBus.publish('library:updated', getCards());
+    }, 600);
+
+    /**
+     * Makes a card the one being edited.
+     * @param {string} id - The card id.
+     */
+    function switchTo(id) {
+        if (id === index.activeId) return;
+
+        const state = loadCardState(id);
+        if (!state) {
+            Utils.notify("Card could not be opened");
+            return;
         }
 
-        isDrawing = false;
+        index.activeId = id;
+        saveIndex();
+        StateManager.load(state);
+        EventBus.publish('library:updated', getCards());
     }
 
     /**
-     * Layer 1: Background
+     * Creates a blank card and opens it.
+     * @returns {string} The new card id.
      */
-    function drawBackground(ctx, theme, w, h) {
-        // Gradient
-        const grad = ctx.createLinearGradient(0, 0, w, h);
-        grad.addColorStop(0, theme.bg[0]);
-        grad.addColorStop(1, theme.bg[1]);
-        ctx.fillStyle = grad;
-        ctx.fillRect(0, 0, w, h);
+    function createCard() {
+        const entry = createEntry(`Card ${index.cards.length + 1}`);
+        const state = StateManager.getDefault();
+        state.meta.lastModified = entry.createdAt;
 
-        // Procedural Noise (Paper Texture)
-        ctx.save();
-        ctx.globalAlpha = 0.03;
-        ctx.fillStyle = '#000000';
-        // Optimization: Draw larger noise blocks for performance
-        const noiseSize = 2;
-        const step = 4;
-        for (let i = 0; i < w; i += step) {
-            for (let j = 0; j < h; j += step) {
-                if (Math.random() > 0.6) {
-                    ctx.fillRect(i, j, noiseSize, noiseSize);
-                }
-            }
+        entry.thumbnail = Renderer.createThumbnail(state);
+        index.cards.push(entry);
+        saveCardState(entry.id, state);
+        switchTo(entry.id);
+
+        Utils.notify("New Card Created 💌");
+        return entry.id;
+    }
+
+    /**
+     * Adds a card from outside the library (e.g. a card PNG) and opens it.
+     * Nothing is added when the card can't be stored.
+     * @param {object} state - A complete, validated state tree.
+     * @param {string} name - The display name.
+     * @returns {string|null} The new card id, or null if it wasn't added.
+     */
+    function importCard(state, name) {
+        const entry = createEntry((name || '').trim().slice(0, 60) || `Card ${index.cards.length + 1}`);
+        state.meta.lastModified = entry.createdAt;
+        if (!saveCardState(entry.id, state)) return null;
+
+        entry.thumbnail = Renderer.createThumbnail(state);
+        index.cards.push(entry);
+        switchTo(entry.id);
+
+        if (index.activeId !== entry.id) {
+            index.cards.splice(index.cards.indexOf(entry), 1);
+            localStorage.removeItem(CARD_PREFIX + entry.id);
+            saveIndex();
+            EventBus.publish('library:updated', getCards());
+            return null;
         }
-        ctx.restore();
+        return entry.id;
     }
 
     /**
-     * Layer 2: Decorations (Frame, Icons)
+     * Copies a card (including its current edits) and opens the copy.
+     * @param {string} id - The card id to copy.
+     * @returns {string|null} The new card id.
      */
-    function drawDecorations(ctx, theme, w, h) {
-        ctx.save();
-        ctx.strokeStyle = theme.primary;
-        ctx.lineWidth = 2;
-        ctx.lineJoin = 'round';
+    function duplicateCard(id) {
+        const source = findCard(id);
+        if (!source) return null;
 
-        // Elegant Inner Frame
-        const margin = 30;
-        ctx.strokeRect(margin, margin, w - (margin * 2), h - (margin * 2));
+        const state = (id === index.activeId) ? StateManager.get() : loadCardState(id);
+        if (!state) return null;
 
-        // Corner Flourishes
-        ctx.fillStyle = theme.primary;
-        ctx.globalAlpha = 0.15;
+        const entry = createEntry(`${source.name} (Copy)`);
+        entry.thumbnail = source.thumbnail;
+        index.cards.splice(index.cards.indexOf(source) + 1, 0, entry);
+        saveCardState(entry.id, state);
+        switchTo(entry.id);
+
+        Utils.notify("Card Duplicated ✨");
+        return entry.id;
+    }
+
+    /**
+     * Renames a card.
+     * @param {string} id - The card id.
+     * @param {string} name - The new display name.
+     */
+    function renameCard(id, name) {
+        const entry = findCard(id);
+        const clean = (name || '').trim();
+        if (!entry || !clean) return;
+
+        entry.name = clean.slice(0, 60);
+        saveIndex();
+        EventBus.publish('library:updated', getCards());
+    }
+
+    /**
+     * Deletes a card. The library always keeps at least one card,
+     * so removing the last one replaces it with a blank card.
+     * @param {string} id - The card id.
+     */
+    function deleteCard(id) {
+        const entry = findCard(id);
+        if (!entry) return;
+
+        const position = index.cards.indexOf(entry);
+        index.cards.splice(position, 1);
+        localStorage.removeItem(CARD_PREFIX + id);
+        StateManager.prunePhotos();
+
+        if (index.cards.length === 0) {
+            index.activeId = null;
+            createCard();
+        } else if (id === index.activeId) {
+            const neighbour = index.cards[Math.min(position, index.cards.length - 1)];
+            index.activeId = null;
+            switchTo(neighbour.id);
+        } else {
+            saveIndex();
+            EventBus.publish('library:updated', getCards());
+        }
+
+        Utils.notify("Card Deleted");
+    }
+
+    /**
+     * Returns a copy of the card list with an `active` flag.
+     */
+    function getCards() {
+        return index.cards.map(card => Object.assign({}, card, {
+            active: card.id === index.activeId
+        }));
+    }
+
+    // Public API
+    return {
+        init,
+        getCards,
+        getActiveId: () => index.activeId,
+        switchTo,
+        create: createCard,
+        import: importCard,
+        duplicate: duplicateCard,
+        rename: renameCard,
+        remove: deleteCard
+    };
+})();
+
+/* =========================================
+   4.0 RENDER ENGINE (CANVAS PIPELINE)
+   ========================================= */
+const Renderer = (function() {
+    let canvas = null;
+    let ctx = null;
+    let isDrawing = false;
+    let animationFrameId = null;
+
+    // Element bounds from the last live frame, used for hit-testing
+    let lastBoxes = {};
+
+    // Unsaved theme shown by the theme editor (live canvas only)
+    let previewTheme = null;
+
+    // Maps the state before painting the live canvas (mail-merge preview)
+    let previewFilter = null;
+
+    // Editor overlay state, pushed in by CanvasEditor
+    let overlay = { selectedId: null, guides: [] };
+    const HANDLE_SIZE = 10;
+    const HANDLE_OFFSET = 24;
+
+    // Smallest message font auto-fit may shrink to
+    const MIN_MESSAGE_SIZE = 14;
+
+    // Scripts the card fonts can't draw fall through to these faces
+    // (loaded from Google Fonts in index.html, subset per script)
+    const FALLBACK_FONTS = ["'Noto Sans JP'", "'Noto Sans SC'", "'Noto Sans KR'", "'Noto Naskh Arabic'",
+        "'Noto Sans Hebrew'", "'Noto Color Emoji'", 'sans-serif'];
+
+    // Line breaking: word segments (dictionary based for CJK) and grapheme
+    // clusters (keeps emoji sequences whole). Null without Intl.Segmenter.
+    const wordSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
+    const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+
+    // Scripts written without spaces, where any word boundary may break a line
+    const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+    const RTL = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}]/u;
+
+    // Fallback faces already loaded, so a finished load redraws only once
+    const loadedFaces = new Set();
+
+    // Message markup: **bold**, *italic*, [text](primary) or [text](accent),
+    // and "# " / "## " headings. A backslash escapes a markup character.
+    const INLINE_MARKUP = /\\([\\*\[\]()#])|\*\*(.+?)\*\*|\*(?!\*)((?:\*\*.+?\*\*|[^*])+?)\*(?!\*)|\[([^\]\n]+)\]\((primary|accent)\)/g;
+    const HEADING_SCALES = [1.35, 1.15];
+
+    // Last fit report published to the UI (to skip duplicates)
+    let lastFitKey = '';
+
+    // Animation frame shown on the live canvas instead of the cached
+    // layers while a preview plays ({time, duration}), else null
+    let playback = null;
+
+    // Animated cards: the message reveal takes this share of the loop and
+    // then holds; floating hearts are placed from a fixed seed.
+    const REVEAL_SHARE = 0.6;
+    const FLOATING_HEARTS = 14;
+    const HEARTS_SEED = 0x48454152;
+
+    // Cached layers of the live canvas. Each one keeps the inputs it was
+    // drawn from and is only redrawn when those change, so typing repaints
+    // the text layer alone. Overlays are cheap and drawn every frame.
+    const layers = {};
+
+    // Where supported the layers are drawn in a render worker running this
+    // same script, and each finished frame comes back as a bitmap; the page
+    // only draws the editor overlay on top. Undefined until started, null
+    // where unsupported or after it fails (frames are then drawn here).
+    const IN_WORKER = typeof document === 'undefined';
+    let worker;
+    let workerReady = false;
+    let workerBusy = false;  // A frame is being drawn in the worker
+    let workerDirty = false; // The card changed while it was
+    let workerJob = null;    // Worker side: the last frame it was sent
+
+    /**
+     * Initializes the rendering engine.
+     */
+    function init() {
+        canvas = document.getElementById('cardCanvas');
+        if (!canvas) {
+            console.error("Renderer: Canvas element #cardCanvas not found!");
+            return;
+        }
+
+        ctx = canvas.getContext('2d', { alpha: false }); // Optimize for no transparency on body
         
-        // Top Left Heart
-        drawHeartPath(ctx, margin + 30, margin + 30, 25);
-        ctx.fill();
+        console.log("Renderer: Initialized context.");
+
+        // Subscribe to state changes
+        EventBus.subscribe('state:updated', (state) => {
+            refresh();
+        });
+        EventBus.subscribe('page:changed', refresh);
+
+        // Initial render
+        refresh();
+        startWorker();
+    }
+
+    /**
+     * Requests a render frame via requestAnimationFrame.
+     * Prevents excessive draw calls.
+     */
+    function requestRender() {
+        if (!isDrawing) {
+            isDrawing = true;
+            animationFrameId = IN_WORKER ? setTimeout(renderFrame, 0) : requestAnimationFrame(renderFrame);
+        }
+    }
+
+    /**
+     * Redraws after the card (or what is previewed over it) changed,
+     * fetching any fonts its new text needs first.
+     */
+    function refresh() {
+        loadExtraFonts(frameJob().state);
+        requestRender();
+    }
+
+    /**
+     * Main rendering loop function.
+     * Hands the frame to the render worker when it is running, else draws
+     * it here.
+     */
+    function renderFrame() {
+        isDrawing = false;
+
+        if (IN_WORKER) {
+            sendFrame();
+            return;
+        }
+
+        const job = frameJob();
+        if (workerReady) {
+            postFrame(job);
+            return;
+        }
+        showFrame(drawLive(canvas, ctx, job), job.state.config, job.state.content.message);
+    }
+
+    /**
+     * Everything a live frame is drawn from: the active page (through the
+     * mail-merge preview filter), its theme and the animation time. Only
+     * the branches the renderer reads are kept, so it posts cheaply.
+     * @returns {{state: object, theme: object, motion: object|null}}
+     */
+    function frameJob() {
+        const source = previewFilter ? previewFilter(StateManager.get()) : StateManager.get();
+        const page = StateManager.resolvePage(source, StateManager.getActivePage());
+        return {
+            state: { config: page.config, design: page.design, content: page.content },
+            theme: previewTheme || StateManager.getTheme(page.design.themeId),
+            motion: playback
+        };
+    }
+
+    /**
+     * Draws a live frame into a target canvas: the cached layers, redrawing
+     * only the stale ones, or the whole card while an animation plays.
+     * Runs on the main thread or in the render worker.
+     * @param {{state: object, theme: object, motion: object|null}} job - From frameJob().
+     * @returns {{fit: object, boxes: object}|null} Null for animation frames.
+     */
+    function drawLive(target, targetCtx, job) {
+        const { state, theme, motion } = job;
+        const config = state.config;
+        const design = state.design;
+        const layout = resolveLayout(state);
+        const scale = config.canvasScale;
+        const photo = state.content.photo || {};
+
+        if (motion) {
+            paint(target, targetCtx, state, scale, null, theme, motion);
+            return null;
+        }
+
+        const w = Math.round(config.width * scale);
+        const h = Math.round(config.height * scale);
+        if (target.width !== w || target.height !== h) {
+            target.width = w;
+            target.height = h;
+        }
+
+        // Inputs shared by every layer: pixel size and theme colors
+        const base = [w, h, scale, theme.bg[0], theme.bg[1], theme.primary, theme.accent, theme.text, theme.message];
+
+        const background = updateLayer('background',
+            base.concat(design.layoutMode, design.texture, design.textureSeed,
+                photo.src, photo.zoom, photo.panX, photo.panY, photo.filter),
+            scale, (layerCtx) => drawBackgroundLayer(layerCtx, state, layout, theme, !IN_WORKER));
+
+        // Stickers below the text share the decorations layer
+        const stickers = JSON.stringify(design.stickers || []);
+        const decorations = updateLayer('decorations',
+            base.concat(design.layoutMode, design.decorations, JSON.stringify(design.frame), stickers),
+            scale, (layerCtx) => {
+                const boxes = {};
+                drawDecorations(layerCtx, layout, design, theme, config.width, config.height);
+                Stickers.draw(layerCtx, design.stickers, 'below', theme, config.width, config.height, boxes);
+                return boxes;
+            });
+
+        const text = updateLayer('text',
+            base.concat(design.layoutMode, design.fontFamily, design.autoFit, design.showWatermark,
+                JSON.stringify(design.transforms || {}), state.content.to, state.content.message, state.content.from),
+            scale, (layerCtx) => {
+                const boxes = {};
+                return { fit: drawTextLayer(layerCtx, state, layout, theme, boxes), boxes };
+            });
+
+        const overText = updateLayer('stickers', base.concat(stickers), scale, (layerCtx) => {
+            const boxes = {};
+            Stickers.draw(layerCtx, design.stickers, 'above', theme, config.width, config.height, boxes);
+            return boxes;
+        });
+
+        targetCtx.setTransform(1, 0, 0, 1, 0, 0);
+        [background, decorations, text, overText].forEach(layer => targetCtx.drawImage(layer.canvas, 0, 0));
+
+        return {
+            fit: text.result.fit,
+            boxes: Object.assign({}, decorations.result, text.result.boxes, overText.result)
+        };
+    }
+
+    /**
+     * Finishes a live frame already on the canvas: keeps its element bounds
+     * for hit-testing, reports the fit and draws the editor overlay.
+     * @param {object|null} result - From drawLive() (null while animating).
+     * @param {object} config - The config branch the frame was drawn with.
+     * @param {string} message - Its message text.
+     */
+    function showFrame(result, config, message) {
+        if (!result) return;
+
+        ctx.setTransform(config.canvasScale, 0, 0, config.canvasScale, 0, 0);
+        lastBoxes = result.boxes;
+        publishFit(result.fit, message);
+        drawOverlay(ctx, config.width, config.height);
+    }
+
+    /**
+     * Returns a live-canvas layer, redrawing it first if its inputs changed.
+     * @param {string} id - Layer name.
+     * @param {Array} inputs - Flat list of everything the layer depends on.
+     *     The first two entries are its pixel width and height.
+     * @param {number} scale - Pixel ratio for the layer's context.
+     * @param {Function} draw - Draws the layer in card units; its return
+     *     value is kept as the layer's result.
+     * @returns {{canvas: HTMLCanvasElement, result: *}}
+     */
+    function updateLayer(id, inputs, scale, draw) {
+        let layer = layers[id];
+        if (!layer) {
+            const layerCanvas = Utils.createCanvas();
+            layer = layers[id] = { canvas: layerCanvas, ctx: layerCanvas.getContext('2d'), inputs: null, result: null };
+        }
+
+        const fresh = layer.inputs && layer.inputs.length === inputs.length &&
+            layer.inputs.every((value, i) => value === inputs[i]);
+        if (fresh) return layer;
+
+        if (layer.canvas.width !== inputs[0] || layer.canvas.height !== inputs[1]) {
+            layer.canvas.width = inputs[0];
+            layer.canvas.height = inputs[1];
+        }
+        layer.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        layer.ctx.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+        layer.ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+        layer.result = draw(layer.ctx);
+        layer.inputs = inputs;
+        return layer;
+    }
+
+    /**
+     * Fetches the faces a page's text needs beyond the regular card fonts:
+     * script fallbacks and the bold/italic message styles. The render
+     * worker is sent the page too, as it keeps fonts of its own.
+     * @param {object} state - The page (see frameJob).
+     */
+    function loadExtraFonts(state) {
+        if (workerReady) worker.postMessage({ type: 'fonts', state });
+        if (!document.fonts) return;
+
+        loadFonts(document.fonts, state, false).then(fresh => {
+            if (fresh) invalidate();
+        });
+    }
+
+    /**
+     * Loads the faces a page draws with into a font set. Canvas text never
+     * triggers web font downloads itself, so the card is redrawn once they
+     * arrive.
+     * @param {FontFaceSet} fontSet - The page's or the render worker's.
+     * @param {object} state - The page (see frameJob).
+     * @param {boolean} cardFonts - Also load the card, message and branding
+     *     faces (the page's own stylesheet loads these on the main thread).
+     * @returns {Promise<boolean>} True if any face was new.
+     */
+    function loadFonts(fontSet, state, cardFonts) {
+        const content = state.content;
+        const text = [content.to, content.message, content.from].join(' ');
+
+        const fonts = [];
+        if (cardFonts) fonts.push(`italic 16px '${state.design.fontFamily}'`, runFont({}, 16), "600 16px 'Montserrat'");
+        if (/[^\u0000-\u024F\u2000-\u206F]/.test(text)) fonts.push(`16px ${FALLBACK_FONTS.join(', ')}`);
+        if (/[*#]/.test(text)) fonts.push(runFont({ bold: true }, 16), runFont({ italic: true }, 16), runFont({ bold: true, italic: true }, 16));
+        if (fonts.length === 0) return Promise.resolve(false);
+
+        return Promise.all(fonts.map(font => fontSet.load(font, text))).then(results => {
+            const fresh = [].concat(...results).filter(face => !loadedFaces.has(face));
+            fresh.forEach(face => loadedFaces.add(face));
+            return fresh.length > 0;
+        }).catch(e => {
+            console.warn("Renderer: Extra fonts failed to load", e);
+            return false;
+        });
+    }
+
+    /**
+     * CSS font family list for a card font, with the script fallbacks.
+     */
+    function fontStack(family) {
+        return [`'${family}'`].concat(FALLBACK_FONTS).join(', ');
+    }
+
+    /**
+     * Paragraph direction from the first letter (Unicode bidi rule P2).
+     * @returns {string} 'rtl' or 'ltr'.
+     */
+    function textDirection(text) {
+        const first = String(text).match(/\p{L}/u);
+        return first && RTL.test(first[0]) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Marks every cached layer stale and schedules a redraw. Used when
+     * something outside the state changes, e.g. a photo or texture finishes
+     * loading.
+     */
+    function invalidate() {
+        dropLayers();
+        if (workerReady) worker.postMessage({ type: 'invalidate' });
+        requestRender();
+    }
+
+    function dropLayers() {
+        Object.keys(layers).forEach(id => {
+            layers[id].inputs = null;
+        });
+    }
+
+    /**
+     * Starts the render worker. Frames are drawn here until it reports
+     * ready (engine loaded, card fonts registered) and again if it fails.
+     * Needs the script's own URL, so inlined copies (e-cards) never use it.
+     */
+    function startWorker() {
+        if (worker !== undefined) return;
+        worker = null;
+
+        if (!Utils.getScriptURL() || typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' ||
+            typeof OffscreenCanvas.prototype.transferToImageBitmap !== 'function') {
+            return;
+        }
+
+        try {
+            const source = [
+                // The engine publishes its page helpers on window (section 8)
+                'self.window = self;',
+                `importScripts(${JSON.stringify(Utils.getScriptURL())});`
+            ].join('\n');
+            const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            worker = new Worker(url);
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            console.warn("Renderer: Render worker unavailable, drawing on the main thread", e);
+            return;
+        }
+
+        worker.onmessage = (e) => {
+            const data = e.data;
+            if (data.type === 'ready') {
+                workerReady = true;
+                Object.keys(layers).forEach(id => delete layers[id]);
+                refresh(); // Sends the fonts of any edit made meanwhile
+            } else if (data.type === 'frame') {
+                workerBusy = false;
+                if (canvas.width !== data.bitmap.width || canvas.height !== data.bitmap.height) {
+                    canvas.width = data.bitmap.width;
+                    canvas.height = data.bitmap.height;
+                }
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                ctx.drawImage(data.bitmap, 0, 0);
+                data.bitmap.close();
+                showFrame(data.result, data.config, data.message);
+
+                if (workerDirty) {
+                    workerDirty = false;
+                    requestRender();
+                }
+            } else if (data.type === 'failed') {
+                stopWorker(data.message);
+            }
+        };
+        worker.onerror = (e) => stopWorker(e.message);
+
+        const fonts = document.querySelectorAll('link[href*="fonts.googleapis.com"]');
+        worker.postMessage({ type: 'init', stylesheets: Array.from(fonts, link => link.href), state: frameJob().state });
+    }
+
+    function stopWorker(reason) {
+        if (!worker) return;
+        console.warn("Renderer: Render worker failed, drawing on the main thread", reason);
+        worker.terminate();
+        worker = null;
+        workerReady = false;
+        workerBusy = false;
+        invalidate();
+    }
+
+    // Posts a frame, or marks the card dirty while the worker is drawing
+    function postFrame(job) {
+        if (workerBusy) {
+            workerDirty = true;
+            return;
+        }
+        workerBusy = true;
+        worker.postMessage({ type: 'frame', job });
+    }
+
+    /**
+     * Runs this engine as the render worker (see startWorker): draws the
+     * frames it is sent into an OffscreenCanvas and posts each back as a
+     * bitmap, along with its element bounds and fit.
+     */
+    function serveWorker() {
+        canvas = new OffscreenCanvas(1, 1);
+        ctx = canvas.getContext('2d', { alpha: false });
+
+        self.onmessage = (e) => {
+            const data = e.data;
+            if (data.type === 'init') {
+                registerFonts(data.stylesheets)
+                    .then(() => loadFonts(self.fonts, data.state, true))
+                    .then(() => self.postMessage({ type: 'ready' }))
+                    .catch(error => self.postMessage({ type: 'failed', message: String(error) }));
+            } else if (data.type === 'frame') {
+                workerJob = data.job;
+                renderFrame();
+            } else if (data.type === 'fonts') {
+                loadFonts(self.fonts, data.state, true).then(fresh => {
+                    if (fresh) invalidate();
+                });
+            } else if (data.type === 'invalidate') {
+                dropLayers();
+            }
+        };
+    }
+
+    // Worker side: draws the last frame it was sent and posts it back
+    function sendFrame() {
+        if (!workerJob) return;
+
+        const result = drawLive(canvas, ctx, workerJob);
+        const bitmap = canvas.transferToImageBitmap();
+        const { config, content } = workerJob.state;
+        self.postMessage({ type: 'frame', bitmap, result, config, message: content.message }, [bitmap]);
+    }
+
+    /**
+     * Worker side: adds the @font-face rules of the page's font stylesheets
+     * to the worker's own font set, which starts out empty. Faces download
+     * when loadFonts() asks for them.
+     * @param {string[]} urls - Stylesheet URLs (Google Fonts).
+     */
+    async function registerFonts(urls) {
+        if (!self.fonts || typeof FontFace === 'undefined') throw new Error("No font loading in workers");
+
+        const sheets = await Promise.all(urls.map(async url => {
+            const res = await fetch(url);
+            if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+            return res.text();
+        }));
+
+        const rules = sheets.join('\n').match(/@font-face\s*{[^}]*}/g) || [];
+        rules.forEach(rule => {
+            const descriptor = (name) => ((new RegExp(`${name}:\\s*([^;}]+)`).exec(rule) || [])[1] || '').trim();
+            const family = descriptor('font-family').replace(/['"]/g, '');
+            const src = descriptor('src');
+            if (!family || !src) return;
+
+            self.fonts.add(new FontFace(family, src, {
+                style: descriptor('font-style') || 'normal',
+                weight: descriptor('font-weight') || 'normal',
+                unicodeRange: descriptor('unicode-range') || 'U+0-10FFFF'
+            }));
+        });
+    }
+
+    /**
+     * Tells the UI how the message fits, only when that changes.
+     */
+    function publishFit(fit, text) {
+        const info = {
+            overflow: fit.overflow,
+            size: fit.size,
+            usedLines: fit.lines.length,
+            maxLines: fit.maxLines,
+            chars: text.length,
+            charBudget: fit.charBudget
+        };
+        const key = JSON.stringify(info);
+        if (key === lastFitKey) return;
+
+        lastFitKey = key;
+        EventBus.publish('render:fit', info);
+    }
+
+    /**
+     * Draws a full card into any canvas/context pair.
+     * Shared by the live preview and off-screen renders (thumbnails, exports).
+     * @param {HTMLCanvasElement} target - The canvas to size and draw into.
+     * @param {CanvasRenderingContext2D} targetCtx - Its 2D context.
+     * @param {object} state - The state tree to render.
+     * @param {number} scale - Pixel ratio applied on top of config dimensions.
+     * @param {object} [boxes] - Receives element bounds for hit-testing.
+     * @param {object} [previewTheme] - Draws with this theme instead of the saved one.
+     * @param {{time: number, duration: number}} [motion] - Draws one frame of
+     *     the card's animation (design.animation), time in seconds into the loop.
+     * @returns {{fit: object}} Layout report (see fitMessage).
+     */
+    function paint(target, targetCtx, state, scale, boxes, previewTheme, motion) {
+        const config = state.config;
+        const theme = previewTheme || StateManager.getTheme(state.design.themeId);
+        const layout = resolveLayout(state);
+
+        // 1. Setup Canvas Dimensions (High DPI)
+        // We set the internal resolution higher than display size
+        const w = Math.round(config.width * scale);
+        const h = Math.round(config.height * scale);
+
+        if (target.width !== w || target.height !== h) {
+            target.width = w;
+            target.height = h;
+        }
+
+        // 2. Setup Context Scaling
+        targetCtx.setTransform(scale, 0, 0, scale, 0, 0); // Reset and scale
         
-        // Bottom Right Heart
-        drawHeartPath(ctx, w - (margin + 30), h - (margin + 30), 35);
-        ctx.fill();
+        // 3. Clear Screen
+        targetCtx.clearRect(0, 0, config.width, config.height);
+
+        // 4. Render Layers (the live canvas caches these, see renderFrame)
+        drawBackgroundLayer(targetCtx, state, layout, theme, false);
+        drawDecorations(targetCtx, layout, state.design, theme, config.width, config.height);
+
+        const animation = motion && state.design.animation;
+        if (animation && animation.shimmer) drawShimmer(targetCtx, state.design, theme, config.width, config.height, motion);
+        Stickers.draw(targetCtx, state.design.stickers, 'below', theme, config.width, config.height, boxes);
+        if (animation && animation.hearts) drawFloatingHearts(targetCtx, theme, config.width, config.height, motion);
+
+        const reveal = animation && animation.reveal !== 'none' ? {
+            mode: animation.reveal,
+            progress: Utils.clamp(motion.time / (motion.duration * REVEAL_SHARE), 0, 1)
+        } : null;
+        const fit = drawTextLayer(targetCtx, state, layout, theme, boxes, reveal);
+        Stickers.draw(targetCtx, state.design.stickers, 'above', theme, config.width, config.height, boxes);
+
+        return { fit };
+    }
+
+    /**
+     * Background layer: gradient, paper texture and layout backdrop (photo).
+     * @param {boolean} deferTexture - Let the texture render in the worker
+     *     (live canvas only; exports always draw it in place).
+     */
+    function drawBackgroundLayer(ctx, state, layout, theme, deferTexture) {
+        const { width, height } = state.config;
+        drawBackground(ctx, state.design, theme, width, height, deferTexture);
+        drawLayoutBackdrop(ctx, layout, state.content.photo, theme, width, height);
+    }
+
+    /**
+     * Text layer: recipient, message, sender and the optional watermark.
+     * @param {object} [reveal] - Animated message reveal: {mode, progress}
+     *     with mode 'fade' or 'typewriter' and progress 0..1.
+     * @returns {object} The message fit report (see fitMessage).
+     */
+    function drawTextLayer(ctx, state, layout, theme, boxes, reveal) {
+        const { width, height } = state.config;
+        const fit = drawTextContent(ctx, state.content, state.design, layout, theme, width, height, boxes, reveal);
+
+        if (state.design.showWatermark) {
+            drawWatermark(ctx, state.design, theme, width, height, boxes);
+        }
+        return fit;
+    }
+
+    /**
+     * Resolves the active layout, falling back to 'centered' for unknown ids.
+     * @param {object} design - The design branch of the state.
+     * @returns {object} A layout definition.
+     */
+    function getLayout(design) {
+        const layouts = StateManager.getLayouts();
+        return layouts[design.layoutMode] || layouts.centered;
+    }
+
+    /**
+     * Resolves the layout for a state with text metrics scaled to the card.
+     * Layout sizes are authored for a 600px short side; bigger custom
+     * cards scale their type up so the composition keeps its proportions.
+     * @param {object} state - The state tree.
+     * @returns {object} A layout definition safe to draw with.
+     */
+    function resolveLayout(state) {
+        const layout = getLayout(state.design);
+        const k = Math.min(state.config.width, state.config.height) / 600;
+        if (k === 1) return layout;
+
+        const scaleText = (spec) => spec && Object.assign({}, spec, {
+            size: Math.round(spec.size * k),
+            lineHeight: spec.lineHeight && spec.lineHeight * k
+        });
+
+        return Object.assign({}, layout, {
+            to: scaleText(layout.to),
+            message: Object.assign(scaleText(layout.message), { minSize: Math.round(MIN_MESSAGE_SIZE * k) }),
+            from: scaleText(layout.from),
+            divider: layout.divider && Object.assign({}, layout.divider, { length: layout.divider.length * k })
+        });
+    }
+
+    /**
+     * Renders a state into a detached canvas.
+     * @param {object} state - The state tree to render.
+     * @param {number} [scale] - Pixel ratio (defaults to config.canvasScale).
+     * @returns {HTMLCanvasElement} The rendered canvas.
+     */
+    function renderToCanvas(state, scale = state.config.canvasScale) {
+        const offscreen = document.createElement('canvas');
+        paint(offscreen, offscreen.getContext('2d', { alpha: false }), state, scale);
+        return offscreen;
+    }
+
+    /**
+     * Renders one page of a card into a detached canvas.
+     * @param {object} state - The full state tree.
+     * @param {string} pageId - See StateManager.getPages().
+     * @param {number} [scale] - Pixel ratio (defaults to config.canvasScale).
+     * @returns {HTMLCanvasElement} The rendered canvas.
+     */
+    function renderPage(state, pageId, scale) {
+        return renderToCanvas(StateManager.resolvePage(state, pageId), scale);
+    }
+
+    /**
+     * Renders one page of a card as an SVG document, through the same
+     * paint() steps as the canvas (see SVGBackend).
+     * @param {object} state - The full state tree.
+     * @param {string} pageId - See StateManager.getPages().
+     * @param {string} [css] - Stylesheet to embed (e.g. @font-face rules).
+     * @returns {string} SVG markup sized in card units.
+     */
+    function renderPageSVG(state, pageId, css) {
+        const page = StateManager.resolvePage(state, pageId);
+        const svg = SVGBackend.createContext(page.config.width, page.config.height);
+        paint(svg.canvas, svg, page, 1);
+        return svg.toSVG(css);
+    }
+
+    /**
+     * Draws one page of a card onto the current page of a jsPDF document,
+     * through the same paint() steps as the canvas (see PDFBackend).
+     * @param {jsPDF} pdf - Target document, sized to the card.
+     * @param {object} state - The full state tree.
+     * @param {string} pageId - See StateManager.getPages().
+     * @param {object} resources - From PDFBackend.prepare().
+     */
+    function renderPagePDF(pdf, state, pageId, resources) {
+        const page = StateManager.resolvePage(state, pageId);
+        pdf.advancedAPI(() => {
+            const context = PDFBackend.createContext(pdf, page.config.width, page.config.height, resources);
+            paint(context.canvas, context, page, 1);
+        });
+    }
+
+    /**
+     * Draws one frame of a page's animation into a reusable canvas.
+     * @param {HTMLCanvasElement} target - Canvas to draw into (resized as needed).
+     * @param {object} state - A page state (see StateManager.resolvePage).
+     * @param {number} scale - Pixel ratio.
+     * @param {{time: number, duration: number}} motion - Seconds into the loop.
+     * @returns {HTMLCanvasElement} The target.
+     */
+    function renderAnimationFrame(target, state, scale, motion) {
+        paint(target, target.getContext('2d', { alpha: false }), state, scale, null, null, motion);
+        return target;
+    }
+
+    /**
+     * Animated light band sweeping across the frame once per loop. The
+     * frame is drawn again in a moving highlight gradient; it starts and
+     * ends off the card so the loop is seamless.
+     */
+    function drawShimmer(ctx, design, theme, w, h, motion) {
+        if (design.decorations !== 'full' && design.decorations !== 'frame') return;
+
+        const sweep = motion.time / motion.duration * 1.6 - 0.3;
+        const band = 0.12;
+        const grad = ctx.createLinearGradient((sweep - band) * w, (sweep - band) * h, (sweep + band) * w, (sweep + band) * h);
+        grad.addColorStop(0, 'rgba(255,255,255,0)');
+        grad.addColorStop(0.5, 'rgba(255,255,255,0.9)');
+        grad.addColorStop(1, 'rgba(255,255,255,0)');
+
+        Frames.draw(ctx, design.frame, theme, w, h, grad);
+    }
+
+    /**
+     * Hearts drifting up the card. Each one rises a whole number of times
+     * per loop, so the last frame leads straight back into the first.
+     */
+    function drawFloatingHearts(ctx, theme, w, h, motion) {
+        const random = Utils.seededRandom(HEARTS_SEED);
+        const colors = theme.particleColors || [theme.primary, theme.accent];
+        const k = Math.min(w, h) / 600;
+        const loop = motion.time / motion.duration;
+
+        ctx.save();
+        for (let i = 0; i < FLOATING_HEARTS; i++) {
+            const size = (10 + random() * 16) * k;
+            const laps = 1 + Math.floor(random() * 2);
+            const phase = random();
+            const x = random() * w;
+            const sway = (8 + random() * 16) * k;
+
+            const rise = (loop * laps + phase) % 1;
+            const y = h + size - rise * (h + size * 3);
+            ctx.globalAlpha = (0.2 + random() * 0.3) * Math.sin(rise * Math.PI);
+            ctx.fillStyle = colors[i % colors.length];
+            drawHeartPath(ctx, x + Math.sin((loop + phase) * Math.PI * 2) * sway, y, size);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Creates a small JPEG preview of a card.
+     * @param {object} state - The state tree to render.
+     * @param {number} [width=120] - Thumbnail width in pixels.
+     * @returns {string} A data URL.
+     */
+    function createThumbnail(state, width = 120) {
+        const scale = width / state.config.width;
+        return renderToCanvas(state, scale).toDataURL('image/jpeg', 0.7);
+    }
+
+    /**
+     * Layer 1: Background
+     */
+    function drawBackground(ctx, design, theme, w, h, deferTexture) {
+        // Gradient
+        const grad = ctx.createLinearGradient(0, 0, w, h);
+        grad.addColorStop(0, theme.bg[0]);
+        grad.addColorStop(1, theme.bg[1]);
+        ctx.fillStyle = grad;
+        ctx.fillRect(0, 0, w, h);
+
+        // Seeded paper texture (cached, identical on every frame)
+        Textures.draw(ctx, design, theme, w, h, deferTexture);
+    }
+
+    /**
+     * Layer 1.5: Layout Backdrop (Color Bands, Photo Slots)
+     */
+    function drawLayoutBackdrop(ctx, layout, photo, theme, w, h) {
+        const slot = PhotoLayer.getSlot(layout);
+
+        // Layouts without a slot show the photo full-bleed under a theme wash
+        if (!layout.photo) {
+            if (PhotoLayer.draw(ctx, photo, layout, w, h)) {
+                ctx.save();
+                ctx.globalAlpha = slot.wash;
+                const grad = ctx.createLinearGradient(0, 0, w, h);
+                grad.addColorStop(0, theme.bg[0]);
+                grad.addColorStop(1, theme.bg[1]);
+                ctx.fillStyle = grad;
+                ctx.fillRect(0, 0, w, h);
+                ctx.restore();
+            }
+            return;
+        }
+
+        if (slot.frame === 'polaroid') {
+            const sw = slot.width * w;
+            const sh = slot.height * h;
+            const pad = 14;
+
+            ctx.save();
+            ctx.translate(slot.x * w + sw / 2, slot.y * h + sh / 2);
+            ctx.rotate((slot.tilt || 0) * Math.PI / 180);
+
+            // Polaroid Paper
+            ctx.shadowColor = 'rgba(0,0,0,0.18)';
+            ctx.shadowBlur = 18;
+            ctx.shadowOffsetY = 6;
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(-sw / 2 - pad, -sh / 2 - pad, sw + pad * 2, sh + pad * 3);
+            ctx.restore();
+        }
+
+        if (PhotoLayer.draw(ctx, photo, layout, w, h)) return;
+
+        // Empty Photo Well (or plain color band)
+        const sw = slot.width * w;
+        const sh = slot.height * h;
+
+        ctx.save();
+        ctx.translate(slot.x * w + sw / 2, slot.y * h + sh / 2);
+        ctx.rotate((slot.tilt || 0) * Math.PI / 180);
+        ctx.fillStyle = Utils.hexToRgba(theme.accent, slot.frame ? 0.15 : 0.18);
+        ctx.fillRect(-sw / 2, -sh / 2, sw, sh);
+
+        if (slot.frame === 'polaroid') {
+            ctx.fillStyle = Utils.hexToRgba(theme.primary, 0.25);
+            drawHeartPath(ctx, 0, -sh / 8, Math.min(sw, sh) / 4);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Layer 2: Decorations (Frame, Icons)
+     * @param {object} design - Page design: decorations picks what is drawn
+     *     (a StateManager.getDecorations() id), frame how the frame looks.
+     */
+    function drawDecorations(ctx, layout, design, theme, w, h) {
+        const style = design.decorations || 'full';
+        if (style === 'none') return;
+
+        const frame = design.frame || StateManager.getDefault().design.frame;
+
+        ctx.save();
+        ctx.strokeStyle = theme.primary;
+        ctx.fillStyle = theme.primary;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+
+        const margin = frame.margin;
+        const k = Math.min(w, h) / 600;
+
+        if (style === 'heart') {
+            // One large, faint heart (e.g. the blank inside-left page)
+            ctx.globalAlpha = 0.08;
+            drawHeartPath(ctx, w / 2, h / 2 - 80 * k, 160 * k);
+            ctx.fill();
+            ctx.restore();
+            return;
+        }
+
+        if (style === 'branding') {
+            // Small maker's mark, as on the back of a shop-bought card
+            ctx.textAlign = 'center';
+            ctx.globalAlpha = 0.35;
+            drawHeartPath(ctx, w / 2, h - 150 * k, 28 * k);
+            ctx.fill();
+
+            ctx.globalAlpha = 0.6;
+            ctx.font = `600 ${Math.round(13 * k)}px 'Montserrat'`;
+            ctx.fillText("Made with Heartify", w / 2, h - 80 * k);
+            ctx.globalAlpha = 0.4;
+            ctx.font = `${Math.round(10 * k)}px sans-serif`;
+            ctx.fillText("HEARTIFY STUDIO", w / 2, h - 62 * k);
+            ctx.restore();
+            return;
+        }
+
+        // Inner Frame (see Frames for the styles)
+        Frames.draw(ctx, frame, theme, w, h);
+
+        if (style === 'frame' || layout.hideFlourishes) {
+            ctx.restore();
+            return;
+        }
+
+        // Corner Flourishes
+        ctx.globalAlpha = 0.15;
+        
+        // Top Left Heart
+        drawHeartPath(ctx, margin + 30, margin + 30, 25);
+        ctx.fill();
+        
+        // Bottom Right Heart
+        drawHeartPath(ctx, w - (margin + 30), h - (margin + 30), 35);
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    /**
+     * Helper to draw a heart path
+     */
+    function drawHeartPath(ctx, x, y, size) {
+        ctx.beginPath();
+        heartPath(ctx, x, y + size * 0.45, size);
+    }
+
+    /**
+     * Adds the card's heart outline to the current path, centered on (x, y).
+     * Shared by the decorations, stickers and frames; it doesn't begin a new
+     * path, so many hearts can be filled at once.
+     * @param {number} size - Notch-to-tip height; the heart is about 1.15
+     *     times as wide and tall.
+     */
+    function heartPath(ctx, x, y, size) {
+        const top = y - size * 0.45;
+        ctx.moveTo(x, top);
+        ctx.bezierCurveTo(x - size / 2, top - size / 2, x - size, top + size / 3, x, top + size);
+        ctx.bezierCurveTo(x + size, top + size / 3, x + size / 2, top - size / 2, x, top);
+        ctx.closePath();
+    }
+
+    /**
+     * Layer 3: Text Content
+     * Every element is placed by the active layout definition, then moved by
+     * the user's per-element transform (see drawElement).
+     */
+    function drawTextContent(ctx, content, design, layout, theme, w, h, boxes, reveal) {
+        const transforms = design.transforms || {};
+
+        ctx.save();
+        ctx.fillStyle = theme.primary;
+
+        // 1. Recipient Name
+        // Font loading check could be implemented here, but we rely on window.onload
+        const to = layout.to;
+        ctx.textAlign = to.align;
+        ctx.direction = textDirection(content.to);
+        ctx.font = `italic ${to.size}px ${fontStack(design.fontFamily)}`;
+        drawElement(ctx, 'to', measureLine(ctx, content.to, to.x * w, to.y * h, to.size, to.align), transforms, w, h, boxes, () => {
+            ctx.fillText(content.to, to.x * w, to.y * h);
+        });
+
+        // 2. Divider Graphic
+        const divider = layout.divider;
+        if (divider) {
+            // A zero length divider spans the inner frame
+            const length = divider.length || (w - 60);
+            const startX = divider.align === 'left' ? divider.x * w : divider.x * w - length / 2;
+            ctx.beginPath();
+            ctx.moveTo(startX, divider.y * h);
+            ctx.lineTo(startX + length, divider.y * h);
+            ctx.strokeStyle = theme.primary;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+
+        // 3. Message Body
+        const msg = layout.message;
+        ctx.textAlign = msg.align;
+        // High contrast logic (custom themes use their text color)
+        ctx.fillStyle = theme.message || theme.text;
+        
+        const msgWidth = msg.width * w;
+        const fit = fitMessage(ctx, content.message, msg, msgWidth, h, design.autoFit !== false);
+        const msgBox = {
+            x: alignedLeft(msg.x * w, msgWidth, msg.align),
+            y: msg.y * h - fit.size,
+            w: msgWidth,
+            h: fit.height + fit.size * 1.3
+        };
+        drawElement(ctx, 'message', msgBox, transforms, w, h, boxes, () => {
+            if (!reveal) {
+                drawLines(ctx, fit, msgBox.x, msg.y * h, msgWidth, msg.align, theme);
+            } else if (reveal.mode === 'fade') {
+                ctx.globalAlpha = reveal.progress * (2 - reveal.progress); // Ease out
+                drawLines(ctx, fit, msgBox.x, msg.y * h, msgWidth, msg.align, theme);
+            } else {
+                const total = fit.lines.reduce((sum, line) =>
+                    sum + line.pieces.reduce((n, piece) => n + graphemes(piece.text).length, 0), 0);
+                drawLines(ctx, fit, msgBox.x, msg.y * h, msgWidth, msg.align, theme, Math.round(total * reveal.progress));
+            }
+        });
+
+        // 4. Sender Name (Footer)
+        const from = layout.from;
+        ctx.textAlign = from.align;
+        ctx.fillStyle = theme.accent;
+        ctx.direction = textDirection(content.from);
+        ctx.font = `italic ${from.size}px ${fontStack(design.fontFamily)}`;
+        drawElement(ctx, 'from', measureLine(ctx, content.from, from.x * w, from.y * h, from.size, from.align), transforms, w, h, boxes, () => {
+            ctx.fillText(content.from, from.x * w, from.y * h);
+        });
+
+        ctx.restore();
+
+        return fit;
+    }
+
+    /**
+     * Finds the message font size that fits the layout's message box.
+     * With autoFit on, the size shrinks from the layout size down to
+     * MIN_MESSAGE_SIZE; line height scales along with it.
+     * Leaves ctx.font set to the chosen size.
+     * @returns {{size, lineHeight, lines, height, maxLines, overflow, charBudget}}
+     *     height is the distance from the first baseline to the last.
+     */
+    function fitMessage(ctx, text, msg, maxWidth, h, autoFit) {
+        const boxHeight = (msg.bottom - msg.y) * h;
+        const minSize = autoFit ? Math.min(msg.minSize || MIN_MESSAGE_SIZE, msg.size) : msg.size;
+        const paragraphs = parseMessage(text);
+        let result = null;
+
+        for (let size = msg.size; size >= minSize; size--) {
+            const lineHeight = msg.lineHeight * size / msg.size;
+            const lines = breakLines(ctx, paragraphs, maxWidth, size);
+            const height = lines.slice(1).reduce((sum, line) => sum + lineHeight * line.scale, 0);
+            const tooTall = height > boxHeight;
+            const tooWide = lines.some(line => line.width > maxWidth);
+
+            result = {
+                size,
+                lineHeight,
+                lines,
+                height,
+                maxLines: Math.floor(boxHeight / lineHeight) + 1,
+                overflow: tooTall || tooWide
+            };
+            if (!result.overflow) break;
+        }
+        ctx.font = runFont({}, result.size);
+
+        // Rough character budget at the final size, for the UI warning.
+        // Word wrapping leaves ragged line ends, hence the 0.9 fill factor.
+        const sample = "the quick brown fox jumps over a lazy dog ";
+        const charWidth = ctx.measureText(sample).width / sample.length;
+        result.charBudget = Math.floor(result.maxLines * maxWidth / charWidth * 0.9);
+
+        return result;
+    }
+
+    /**
+     * Measures how the message fits for a given state, without drawing.
+     * Used by exports to refuse silently clipped cards.
+     * @param {object} state - The state tree.
+     * @returns {object} Same shape as fitMessage().
+     */
+    function analyzeFit(state) {
+        const scratch = document.createElement('canvas').getContext('2d');
+        const layout = resolveLayout(state);
+        const msg = layout.message;
+        return fitMessage(scratch, state.content.message, msg, msg.width * state.config.width,
+            state.config.height, state.design.autoFit !== false);
+    }
+
+    /**
+     * Layer 4: Watermark
+     */
+    function drawWatermark(ctx, design, theme, w, h, boxes) {
+        const label = "HEARTIFY STUDIO";
+
+        ctx.save();
+        ctx.font = "10px sans-serif";
+        ctx.textAlign = "center";
+        
+        if (Utils.isDarkColor(theme.bg[0])) {
+            ctx.fillStyle = "rgba(255,255,255,0.15)";
+        } else {
+            ctx.fillStyle = "rgba(0,0,0,0.1)";
+        }
+        
+        const box = measureLine(ctx, label, w / 2, h - 20, 10, 'center');
+        drawElement(ctx, 'watermark', box, design.transforms || {}, w, h, boxes, () => {
+            ctx.fillText(label, w/2, h - 20);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Draws one movable element with its user transform applied.
+     * Scale and rotation pivot around the element's box center; the offset
+     * is stored as a fraction of the card size so it survives resizing.
+     * @param {object} box - Untransformed bounds {x, y, w, h} in card units.
+     * @param {object} boxes - Optional collector for hit-testing (live canvas only).
+     * @param {Function} draw - Paints the element at its layout position.
+     */
+    function drawElement(ctx, id, box, transforms, w, h, boxes, draw) {
+        const t = Object.assign({ x: 0, y: 0, scale: 1, rotation: 0 }, transforms[id]);
+        const cx = box.x + box.w / 2;
+        const cy = box.y + box.h / 2;
+        const px = cx + t.x * w;
+        const py = cy + t.y * h;
+
+        ctx.save();
+        ctx.translate(px, py);
+        ctx.rotate(t.rotation * Math.PI / 180);
+        ctx.scale(t.scale, t.scale);
+        ctx.translate(-cx, -cy);
+        draw();
+        ctx.restore();
+
+        if (boxes) {
+            boxes[id] = { cx: px, cy: py, w: box.w, h: box.h, scale: t.scale, rotation: t.rotation };
+        }
+    }
+
+    /**
+     * Bounds of a single line of text drawn at a baseline.
+     * Uses the font size as a stand-in for ascent/descent so script fonts
+     * with tall swashes still get a comfortable hit area.
+     */
+    function measureLine(ctx, text, x, y, size, align) {
+        const width = Math.max(ctx.measureText(text).width, 20);
+        return {
+            x: alignedLeft(x, width, align),
+            y: y - size,
+            w: width,
+            h: size * 1.3
+        };
+    }
+
+    function alignedLeft(x, width, align) {
+        if (align === 'left') return x;
+        if (align === 'right') return x - width;
+        return x - width / 2;
+    }
+
+    /**
+     * Parses the message markup into styled paragraphs.
+     * @param {string} text - The message as typed.
+     * @returns {{heading: boolean, scale: number, runs: object[]}[]} One entry
+     *     per line; runs are {text, bold, italic, color} with color null,
+     *     'primary' or 'accent'.
+     */
+    function parseMessage(text) {
+        return String(text).split('\n').map(line => {
+            const heading = line.match(/^(#{1,2})\s+(.*)$/);
+            const style = heading
+                ? { bold: true, italic: false, color: 'primary' }
+                : { bold: false, italic: false, color: null };
+
+            return {
+                heading: !!heading,
+                scale: heading ? HEADING_SCALES[heading[1].length - 1] : 1,
+                runs: parseInline(heading ? heading[2] : line, style, [])
+            };
+        });
+    }
+
+    function parseInline(text, style, runs) {
+        let last = 0;
+        text.replace(INLINE_MARKUP, (match, escaped, bold, italic, label, color, offset) => {
+            pushRun(runs, text.slice(last, offset), style);
+            if (escaped) pushRun(runs, escaped, style);
+            else if (bold) parseInline(bold, Object.assign({}, style, { bold: true }), runs);
+            else if (italic) parseInline(italic, Object.assign({}, style, { italic: true }), runs);
+            else parseInline(label, Object.assign({}, style, { color }), runs);
+            last = offset + match.length;
+            return match;
+        });
+        pushRun(runs, text.slice(last), style);
+        return runs;
+    }
+
+    function pushRun(runs, text, style) {
+        if (!text) return;
+        const prev = runs[runs.length - 1];
+        if (prev && prev.bold === style.bold && prev.italic === style.italic && prev.color === style.color) {
+            prev.text += text;
+        } else {
+            runs.push(Object.assign({ text }, style));
+        }
+    }
+
+    /**
+     * Canvas font for a message run at a base size.
+     */
+    function runFont(style, size) {
+        return `${style.italic ? 'italic ' : ''}${style.bold ? 700 : 400} ${Math.round(size)}px ${fontStack('Lato')}`;
+    }
+
+    /**
+     * Breaks styled paragraphs into lines that fit within maxWidth.
+     * Lines break after spaces and, in CJK text, between words; a run
+     * wider than the box on its own is split between grapheme clusters.
+     * Widths are measured piece by piece in each run's own font.
+     * @param {object[]} paragraphs - From parseMessage().
+     * @param {number} size - Base font size (headings scale it up).
+     * @returns {{text, pieces, width, rtl, heading, scale}[]} The lines, in
+     *     drawing order; pieces are {text, style, width}.
+     */
+    function breakLines(ctx, paragraphs, maxWidth, size) {
+        const lines = [];
+
+        paragraphs.forEach(paragraph => {
+            const fontSize = size * paragraph.scale;
+            const clusters = [];
+            paragraph.runs.forEach(run => {
+                graphemes(run.text).forEach(cluster => clusters.push({ text: cluster, style: run }));
+            });
+
+            const plain = clusters.map(cluster => cluster.text).join('');
+            const rtl = textDirection(plain) === 'rtl';
+            const measure = (list) => toPieces(ctx, trimClusters(list, false), fontSize);
+            const width = (list) => measure(list).reduce((sum, piece) => sum + piece.width, 0);
+            const fits = (list) => width(list) <= maxWidth;
+            const push = (list) => {
+                const pieces = measure(list);
+                lines.push({
+                    text: pieces.map(piece => piece.text).join(''),
+                    pieces,
+                    width: pieces.reduce((sum, piece) => sum + piece.width, 0),
+                    rtl,
+                    heading: paragraph.heading,
+                    scale: paragraph.scale
+                });
+            };
+
+            let line = [];
+            let next = 0;
+            breakUnits(plain).forEach(unitText => {
+                // Word boundaries fall between grapheme clusters
+                const unit = [];
+                for (let length = 0; length < unitText.length && next < clusters.length; next++) {
+                    unit.push(clusters[next]);
+                    length += clusters[next].text.length;
+                }
+
+                if (line.length && !fits(line.concat(unit))) {
+                    push(line);
+                    line = trimClusters(unit, true);
+                } else {
+                    line = line.concat(unit);
+                }
+
+                if (!fits(line)) {
+                    let part = [];
+                    line.forEach(cluster => {
+                        if (part.length && !fits(part.concat(cluster))) {
+                            push(part);
+                            part = [cluster];
+                        } else {
+                            part.push(cluster);
+                        }
+                    });
+                    line = part;
+                }
+            });
+            push(line); // Newline for paragraph break
+        });
+
+        return lines;
+    }
+
+    // Drops whitespace clusters from the start (or end) of a line
+    function trimClusters(list, fromStart) {
+        const blank = (cluster) => /^\s+$/.test(cluster.text);
+        if (fromStart) {
+            let i = 0;
+            while (i < list.length && blank(list[i])) i++;
+            return list.slice(i);
+        }
+        let end = list.length;
+        while (end > 0 && blank(list[end - 1])) end--;
+        return list.slice(0, end);
+    }
+
+    // Joins clusters that share a run into measured pieces
+    function toPieces(ctx, list, fontSize) {
+        const pieces = [];
+        list.forEach(cluster => {
+            const prev = pieces[pieces.length - 1];
+            if (prev && prev.style === cluster.style) prev.text += cluster.text;
+            else pieces.push({ text: cluster.text, style: cluster.style, width: 0 });
+        });
+        pieces.forEach(piece => {
+            ctx.font = runFont(piece.style, fontSize);
+            piece.width = ctx.measureText(piece.text).width;
+        });
+        return pieces;
+    }
+
+    /**
+     * Splits a paragraph into the pieces a line may break between, each
+     * keeping its trailing spaces.
+     */
+    function breakUnits(paragraph) {
+        if (!wordSegmenter) {
+            return paragraph.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}][\p{Pe}\p{Pf}\p{Po}]*\s*|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+\s*|\s+/gu) || [''];
+        }
+
+        const units = [];
+        for (const { segment, isWordLike } of wordSegmenter.segment(paragraph)) {
+            const last = units[units.length - 1];
+            const breakable = !last || /\s$/.test(last) ||
+                (CJK.test(last.slice(-1)) || CJK.test(segment)) && (isWordLike || /^[\p{Ps}\p{Pi}]/u.test(segment));
+
+            if (breakable && !/^\s+$/.test(segment)) units.push(segment);
+            else if (last !== undefined) units[units.length - 1] = last + segment;
+            else units.push(segment);
+        }
+        return units.length ? units : [''];
+    }
+
+    function graphemes(text) {
+        return graphemeSegmenter
+            ? Array.from(graphemeSegmenter.segment(text), part => part.segment)
+            : Array.from(text);
+    }
+
+    /**
+     * Draws the message lines from fitMessage() starting at a baseline.
+     * Each piece is drawn in its run's font and color. Headings are
+     * centered; right-to-left lines are laid out from the right edge and
+     * mirror left or right alignment within the box.
+     * @param {number} left - Left edge of the message box.
+     * @param {number} width - Width of the message box.
+     * @param {number} [limit] - Draw only this many grapheme clusters
+     *     (typewriter reveal); lines keep their full-text layout.
+     */
+    function drawLines(ctx, fit, left, y, width, align, theme, limit = Infinity) {
+        const baseColor = theme.message || theme.text;
+        let baseline = y;
+        let remaining = limit;
+
+        fit.lines.forEach((line, i) => {
+            if (i > 0) baseline += fit.lineHeight * line.scale;
+
+            let lineAlign = line.heading ? 'center' : align;
+            if (line.rtl && lineAlign !== 'center') lineAlign = lineAlign === 'left' ? 'right' : 'left';
+
+            let cursor = lineAlign === 'left' ? left
+                : lineAlign === 'right' ? left + width - line.width
+                : left + (width - line.width) / 2;
+            if (line.rtl) cursor += line.width;
+
+            ctx.direction = line.rtl ? 'rtl' : 'ltr';
+            ctx.textAlign = line.rtl ? 'right' : 'left';
+            line.pieces.forEach(piece => {
+                if (remaining <= 0) return;
+                let text = piece.text;
+                if (remaining !== Infinity) {
+                    const clusters = graphemes(text);
+                    text = clusters.slice(0, remaining).join('');
+                    remaining -= clusters.length;
+                }
+
+                ctx.font = runFont(piece.style, fit.size * line.scale);
+                ctx.fillStyle = piece.style.color ? theme[piece.style.color] : baseColor;
+                ctx.fillText(text, cursor, baseline);
+                cursor += line.rtl ? -piece.width : piece.width;
+            });
+        });
+    }
+
+    /**
+     * Layer 5: Editor Overlays (selection box, handles, snap guides)
+     * Only ever drawn on the live canvas, never in exports.
+     */
+    function drawOverlay(ctx, w, h) {
+        if (overlay.guides.length) {
+            ctx.save();
+            ctx.strokeStyle = '#ec4899';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
+            overlay.guides.forEach(guide => {
+                ctx.beginPath();
+                if (guide.axis === 'x') {
+                    ctx.moveTo(guide.value, 0);
+                    ctx.lineTo(guide.value, h);
+                } else {
+                    ctx.moveTo(0, guide.value);
+                    ctx.lineTo(w, guide.value);
+                }
+                ctx.stroke();
+            });
+            ctx.restore();
+        }
+
+        const box = overlay.selectedId && lastBoxes[overlay.selectedId];
+        if (!box) return;
+
+        const bw = box.w * box.scale;
+        const bh = box.h * box.scale;
+
+        ctx.save();
+        ctx.translate(box.cx, box.cy);
+        ctx.rotate(box.rotation * Math.PI / 180);
+
+        ctx.strokeStyle = '#ec4899';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([]);
+        ctx.strokeRect(-bw / 2, -bh / 2, bw, bh);
+
+        // Rotation handle stem
+        ctx.beginPath();
+        ctx.moveTo(0, -bh / 2);
+        ctx.lineTo(0, -bh / 2 - HANDLE_OFFSET);
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(0, -bh / 2 - HANDLE_OFFSET, HANDLE_SIZE / 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        // Resize handle (bottom right)
+        ctx.fillRect(bw / 2 - HANDLE_SIZE / 2, bh / 2 - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+        ctx.strokeRect(bw / 2 - HANDLE_SIZE / 2, bh / 2 - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+
+        ctx.restore();
+    }
+
+    // Public API
+    return {
+        init,
+        update: invalidate,
+        getCanvas: () => canvas,
+        getElementBoxes: () => lastBoxes,
+        setPreviewTheme: (theme) => {
+            previewTheme = theme;
+            requestRender();
+        },
+        setPreviewFilter: (filter) => {
+            previewFilter = filter;
+            refresh();
+        },
+        getHandleMetrics: () => ({ size: HANDLE_SIZE, offset: HANDLE_OFFSET }),
+        setOverlay: (next) => {
+            overlay = Object.assign({ selectedId: null, guides: [] }, next);
+            requestRender();
+        },
+        setPlayback: (motion) => {
+            playback = motion;
+            requestRender();
+        },
+        renderToCanvas,
+        renderPage,
+        renderPageSVG,
+        renderPagePDF,
+        renderAnimationFrame,
+        createThumbnail,
+        analyzeFit,
+        parseMessage,
+        heartPath,
+        serveWorker
+    };
+})();
+
+/* =========================================
+   4.1 PHOTO LAYER (IMAGE IMPORT & DRAWING)
+   ========================================= */
+const PhotoLayer = (function() {
+    // Uploads are downscaled so a card (and its history) stays storage friendly
+    const MAX_DIMENSION = 1200;
+    const MAX_FILE_BYTES = 15 * 1024 * 1024;
+    const JPEG_QUALITY = 0.85;
+
+    // Used when the active layout has no dedicated photo slot
+    const BACKGROUND_SLOT = { x: 0, y: 0, width: 1, height: 1, wash: 0.6 };
+
+    // Filter Definitions (CSS filter syntax, understood by ctx.filter)
+    const FILTERS = {
+        none: { id: 'none', label: 'Original', css: 'none' },
+        sepia: { id: 'sepia', label: 'Sepia', css: 'sepia(0.85) contrast(1.05)' },
+        warm: { id: 'warm', label: 'Warm', css: 'sepia(0.25) saturate(1.35) hue-rotate(-8deg) brightness(1.04)' },
+        bw: { id: 'bw', label: 'B&W', css: 'grayscale(1) contrast(1.1)' },
+        soft: { id: 'soft', label: 'Soft Blur', css: 'blur(1.5px) brightness(1.05)' }
+    };
+
+    // Decoded images keyed by their data URL, as {image} with image null
+    // until decoded (an ImageBitmap in the render worker, which has no Image)
+    const imageCache = new Map();
+
+    /**
+     * Reads a user file and returns a downscaled JPEG data URL.
+     * @param {File} file - The image file.
+     * @returns {Promise<string>}
+     */
+    function importFile(file) {
+        return new Promise((resolve, reject) => {
+            if (!file || !/^image\//.test(file.type)) {
+                reject(new Error("PhotoLayer: Not an image file"));
+                return;
+            }
+            if (file.size > MAX_FILE_BYTES) {
+                reject(new Error("PhotoLayer: Image is larger than 15 MB"));
+                return;
+            }
+
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+
+                const ratio = Math.min(1, MAX_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(img.naturalWidth * ratio));
+                canvas.height = Math.max(1, Math.round(img.naturalHeight * ratio));
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+                resolve(canvas.toDataURL('image/jpeg', JPEG_QUALITY));
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error("PhotoLayer: Image could not be decoded"));
+            };
+            img.src = url;
+        });
+    }
+
+    /**
+     * Creates the default photo record for a freshly imported image.
+     * @param {string} src - Data URL from importFile().
+     */
+    function createPhoto(src) {
+        return { src, zoom: 1, panX: 0, panY: 0, filter: 'none' };
+    }
+
+    /**
+     * Returns a decoded image, or null while it is still loading.
+     * The Renderer is asked to redraw once decoding finishes.
+     */
+    function getImage(src) {
+        const cached = imageCache.get(src);
+        if (cached) return cached.image;
+
+        const entry = { image: null };
+        imageCache.set(src, entry);
+        decode(src).then(image => {
+            entry.image = image;
+            Renderer.update();
+        }).catch(e => console.warn("PhotoLayer: Photo could not be decoded", e));
+
+        // Keep the cache from growing with every replaced photo
+        if (imageCache.size > 8) {
+            const oldest = imageCache.keys().next().value;
+            const evicted = imageCache.get(oldest).image;
+            if (evicted && evicted.close) evicted.close();
+            imageCache.delete(oldest);
+        }
+        return null;
+    }
+
+    function decode(src) {
+        if (typeof Image === 'undefined') {
+            return fetch(src).then(res => res.blob()).then(blob => createImageBitmap(blob));
+        }
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error("Image failed to load"));
+            img.src = src;
+        });
+    }
+
+    /**
+     * Resolves which area of the card the photo occupies.
+     * @param {object} layout - The active layout definition.
+     */
+    function getSlot(layout) {
+        return layout.photo || BACKGROUND_SLOT;
+    }
+
+    /**
+     * Draws the photo into its slot with cover fit, zoom, pan and filter.
+     * @returns {boolean} True if something was drawn.
+     */
+    function draw(ctx, photo, layout, w, h) {
+        if (!photo || !photo.src) return false;
+
+        const img = getImage(photo.src);
+        if (!img) return false;
+
+        const slot = getSlot(layout);
+        const sw = slot.width * w;
+        const sh = slot.height * h;
+
+        // Cover fit, then zoom; pan moves across the overflow (-1..1)
+        const zoom = Utils.clamp(photo.zoom || 1, 1, 4);
+        const iw = img.naturalWidth || img.width;
+        const ih = img.naturalHeight || img.height;
+        const cover = Math.max(sw / iw, sh / ih) * zoom;
+        const dw = iw * cover;
+        const dh = ih * cover;
+        const dx = -dw / 2 - Utils.clamp(photo.panX || 0, -1, 1) * (dw - sw) / 2;
+        const dy = -dh / 2 - Utils.clamp(photo.panY || 0, -1, 1) * (dh - sh) / 2;
+
+        ctx.save();
+        ctx.translate(slot.x * w + sw / 2, slot.y * h + sh / 2);
+        ctx.rotate((slot.tilt || 0) * Math.PI / 180);
+
+        ctx.beginPath();
+        ctx.rect(-sw / 2, -sh / 2, sw, sh);
+        ctx.clip();
+
+        const filter = FILTERS[photo.filter] || FILTERS.none;
+        if ('filter' in ctx) ctx.filter = filter.css;
+        ctx.drawImage(img, dx, dy, dw, dh);
+        if ('filter' in ctx) ctx.filter = 'none';
+
+        ctx.restore();
+        return true;
+    }
+
+    return {
+        importFile,
+        createPhoto,
+        getSlot,
+        draw,
+        getFilters: () => FILTERS
+    };
+})();
+
+/* =========================================
+   4.2 PAPER TEXTURES (SEEDED & CACHED)
+   ========================================= */
+const Textures = (function() {
+    // Procedural paper finishes. Each one is generated from the card's
+    // texture seed, so the same state always yields the same grain.
+    // Generators must only use their arguments, Math and Utils.hexToRgba:
+    // they are also serialized into the texture worker.
+    const TEXTURES = {
+        paper: { id: 'paper', label: 'Fine Paper', generate: generatePaper },
+        linen: { id: 'linen', label: 'Linen', generate: generateLinen },
+        kraft: { id: 'kraft', label: 'Kraft', generate: generateKraft },
+        watercolor: { id: 'watercolor', label: 'Watercolor Wash', generate: generateWatercolor },
+        none: { id: 'none', label: 'None', generate: null }
+    };
+
+    // Generated layers by texture, seed, size and colors (most recent last)
+    const cache = new Map();
+    const CACHE_SIZE = 8;
+
+    // Background generator (OffscreenCanvas in a worker). Undefined until
+    // first needed, null where unsupported or after it fails.
+    let worker;
+    const pending = new Set();
+
+    /**
+     * Draws the card's texture over its background gradient.
+     * @param {CanvasRenderingContext2D} ctx - Context scaled to card units.
+     * @param {object} design - The design branch (texture, textureSeed).
+     * @param {object} theme - Active theme (watercolor uses its colors).
+     * @param {number} w - Card width in card units.
+     * @param {number} h - Card height in card units.
+     * @param {boolean} [defer=false] - If the texture isn't cached yet, hand it
+     *     to the worker and draw nothing; the Renderer is asked to redraw
+     *     once it arrives. Without a worker it is generated in place.
+     * @returns {boolean} False if the texture is still being generated.
+     */
+    function draw(ctx, design, theme, w, h, defer = false) {
+        const texture = TEXTURES[design.texture] || TEXTURES.paper;
+        if (!texture.generate) return true;
+
+        const job = createJob(texture, design.textureSeed >>> 0, theme, Math.round(w), Math.round(h));
+        let layer = fromCache(job.key);
+
+        if (!layer && defer && getWorker()) {
+            if (!pending.has(job.key)) {
+                pending.add(job.key);
+                worker.postMessage(job);
+            }
+            return false;
+        }
+
+        if (!layer) {
+            const canvas = Utils.createCanvas(job.w, job.h);
+            texture.generate(canvas.getContext('2d'), Utils.seededRandom(job.seed), theme, job.w, job.h);
+            layer = store(job.key, canvas);
+        }
+
+        ctx.drawImage(layer, 0, 0, w, h);
+        return true;
+    }
+
+    // Everything a generator needs, in a form that can be posted to the worker
+    function createJob(texture, seed, theme, w, h) {
+        const colors = { primary: theme.primary, accent: theme.accent, bg: theme.bg.slice() };
+        return {
+            key: [texture.id, seed, w, h, colors.primary, colors.accent, colors.bg.join()].join('|'),
+            id: texture.id,
+            seed: (seed ^ Utils.hashString(texture.id)) >>> 0,
+            theme: colors,
+            w,
+            h
+        };
+    }
+
+    function fromCache(key) {
+        if (!cache.has(key)) return null;
+        const hit = cache.get(key);
+        cache.delete(key); // Refresh its position
+        cache.set(key, hit);
+        return hit;
+    }
+
+    function store(key, layer) {
+        cache.set(key, layer);
+        if (cache.size > CACHE_SIZE) {
+            const oldest = cache.keys().next().value;
+            const evicted = cache.get(oldest);
+            if (evicted.close) evicted.close(); // Free ImageBitmaps right away
+            cache.delete(oldest);
+        }
+        return layer;
+    }
+
+    /**
+     * Starts the worker on first use. It runs the same generator functions
+     * (and seeded random) as the main thread, so its output is identical.
+     */
+    function getWorker() {
+        if (worker !== undefined) return worker;
+        worker = null;
+
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' ||
+            typeof OffscreenCanvas.prototype.transferToImageBitmap !== 'function') {
+            return worker;
+        }
+
+        try {
+            const url = URL.createObjectURL(new Blob([buildWorkerSource()], { type: 'text/javascript' }));
+            worker = new Worker(url);
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            console.warn("Textures: Worker unavailable, generating on the main thread", e);
+            return worker;
+        }
+
+        worker.onmessage = (e) => {
+            pending.delete(e.data.key);
+            store(e.data.key, e.data.bitmap);
+            Renderer.update();
+        };
+        worker.onerror = (e) => {
+            console.warn("Textures: Worker failed, generating on the main thread", e.message);
+            worker.terminate();
+            worker = null;
+            pending.clear();
+            Renderer.update();
+        };
+        return worker;
+    }
+
+    function buildWorkerSource() {
+        const generators = Object.values(TEXTURES)
+            .filter(texture => texture.generate)
+            .map(texture => `${JSON.stringify(texture.id)}: ${texture.generate.toString()}`);
+
+        return [
+            `const Utils = { seededRandom: ${Utils.seededRandom.toString()}, hexToRgba: ${Utils.hexToRgba.toString()} };`,
+            `const GENERATORS = { ${generators.join(',\n')} };`,
+            `self.onmessage = (e) => {`,
+            `    const job = e.data;`,
+            `    const canvas = new OffscreenCanvas(job.w, job.h);`,
+            `    GENERATORS[job.id](canvas.getContext('2d'), Utils.seededRandom(job.seed), job.theme, job.w, job.h);`,
+            `    const bitmap = canvas.transferToImageBitmap();`,
+            `    self.postMessage({ key: job.key, bitmap }, [bitmap]);`,
+            `};`
+        ].join('\n');
+    }
+
+    // Sparse 2×2 specks, the original Heartify grain
+    function generatePaper(ctx, random, theme, w, h) {
+        ctx.fillStyle = 'rgba(0,0,0,0.03)';
+        for (let x = 0; x < w; x += 4) {
+            for (let y = 0; y < h; y += 4) {
+                if (random() > 0.6) ctx.fillRect(x, y, 2, 2);
+            }
+        }
+    }
+
+    // Woven threads: hairlines of uneven strength in both directions
+    function generateLinen(ctx, random, theme, w, h) {
+        for (let y = 0; y < h; y += 2) {
+            ctx.fillStyle = `rgba(0,0,0,${(0.015 + random() * 0.035).toFixed(3)})`;
+            ctx.fillRect(0, y, w, 1);
+        }
+        for (let x = 0; x < w; x += 2) {
+            ctx.fillStyle = `rgba(255,255,255,${(0.02 + random() * 0.06).toFixed(3)})`;
+            ctx.fillRect(x, 0, 1, h);
+        }
+    }
+
+    // Brown wash with short dark and light fibers
+    function generateKraft(ctx, random, theme, w, h) {
+        ctx.fillStyle = 'rgba(166,124,82,0.22)';
+        ctx.fillRect(0, 0, w, h);
+
+        ctx.lineWidth = 0.8;
+        const fibers = Math.round(w * h / 180);
+        for (let i = 0; i < fibers; i++) {
+            const x = random() * w;
+            const y = random() * h;
+            const angle = random() * Math.PI;
+            const length = 3 + random() * 10;
+            ctx.strokeStyle = random() > 0.5 ? 'rgba(92,60,30,0.12)' : 'rgba(255,244,225,0.18)';
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + Math.cos(angle) * length, y + Math.sin(angle) * length);
+            ctx.stroke();
+        }
+    }
+
+    // Soft pigment pools in the theme colors, darker toward the edges
+    function generateWatercolor(ctx, random, theme, w, h) {
+        const colors = [theme.primary, theme.accent, theme.bg[1]];
+        const pools = 7;
+
+        for (let i = 0; i < pools; i++) {
+            const x = random() * w;
+            const y = random() * h;
+            const r = (0.25 + random() * 0.35) * Math.max(w, h);
+            const color = colors[i % colors.length];
+            const grad = ctx.createRadialGradient(x, y, r * 0.1, x, y, r);
+            grad.addColorStop(0, Utils.hexToRgba(color, 0.05 + random() * 0.06));
+            grad.addColorStop(0.7, Utils.hexToRgba(color, 0.03));
+            grad.addColorStop(1, Utils.hexToRgba(color, 0));
+            ctx.fillStyle = grad;
+            ctx.fillRect(0, 0, w, h);
+        }
+
+        const edge = ctx.createRadialGradient(w / 2, h / 2, Math.min(w, h) * 0.35, w / 2, h / 2, Math.max(w, h) * 0.75);
+        edge.addColorStop(0, 'rgba(0,0,0,0)');
+        edge.addColorStop(1, Utils.hexToRgba(theme.primary, 0.08));
+        ctx.fillStyle = edge;
+        ctx.fillRect(0, 0, w, h);
+    }
+
+    return {
+        draw,
+        getTextures: () => TEXTURES
+    };
+})();
+
+/* =========================================
+   4.3 STICKERS (VECTOR ARTWORK)
+   ========================================= */
+const Stickers = (function() {
+    // Sticker artwork, drawn as paths around the origin inside a w × h box
+    // (card units for a 600px short side). Paths scale with the export, so
+    // stickers stay sharp in PNG and PDF at any size.
+    const KINDS = {
+        heart: { id: 'heart', label: 'Heart', w: 100, h: 92, color: 'primary', draw: drawHeart },
+        rose: { id: 'rose', label: 'Rose', w: 90, h: 110, color: 'primary', draw: drawRose },
+        arrow: { id: 'arrow', label: 'Cupid Arrow', w: 130, h: 40, color: 'accent', draw: drawArrow },
+        ribbon: { id: 'ribbon', label: 'Ribbon Bow', w: 110, h: 96, color: 'primary', draw: drawRibbon },
+        sparkle: { id: 'sparkle', label: 'Sparkles', w: 100, h: 100, color: 'accent', draw: drawSparkle },
+        envelope: { id: 'envelope', label: 'Love Letter', w: 116, h: 80, color: 'primary', draw: drawEnvelope },
+        banner: { id: 'banner', label: 'Banner', w: 160, h: 56, color: 'primary', draw: drawBanner }
+    };
+
+    // Theme roles a sticker may follow; any other color is a #rrggbb hex
+    const COLOR_ROLES = ['primary', 'accent', 'text'];
+
+    const LAYERS = { above: true, below: true };
+    const MAX_STICKERS = 40; // Per page
+
+    // Where new stickers land, in steps of STAGGER around the card center
+    const SPOTS = [[0, 0], [1, 1], [-1, 1], [1, -1], [-1, -1], [0, 1], [1, 0], [0, -1], [-1, 0]];
+    const STAGGER = 0.08;
+    const LEAF_COLOR = '#4d7c0f';
+    const SHADE = 'rgba(0,0,0,0.18)';
+    const SHINE = 'rgba(255,255,255,0.35)';
+
+    /**
+     * Creates a sticker record, staggered so new ones don't stack exactly.
+     * @param {string} kind - One of KINDS.
+     * @param {number} count - Stickers already on the page.
+     * @returns {object} {id, kind, color, layer, x, y, scale, rotation}; x/y
+     *     place its center as a fraction of the card size.
+     */
+    function create(kind, count) {
+        const spot = SPOTS[count % SPOTS.length];
+        return {
+            id: `sticker-${Utils.generateUUID().slice(0, 8)}`,
+            kind,
+            color: KINDS[kind].color,
+            layer: 'above',
+            x: 0.5 + spot[0] * STAGGER,
+            y: 0.5 + spot[1] * STAGGER,
+            scale: 1,
+            rotation: 0
+        };
+    }
+
+    function isColor(color) {
+        return COLOR_ROLES.indexOf(color) !== -1 || (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color));
+    }
+
+    /**
+     * Checks one sticker record against the schema.
+     */
+    function isValid(sticker) {
+        return Utils.isPlainObject(sticker) &&
+            typeof sticker.id === 'string' && /^sticker-[a-z0-9]+$/.test(sticker.id) &&
+            Object.prototype.hasOwnProperty.call(KINDS, sticker.kind) &&
+            Object.prototype.hasOwnProperty.call(LAYERS, sticker.layer) &&
+            isColor(sticker.color) &&
+            [sticker.x, sticker.y, sticker.scale, sticker.rotation].every(Number.isFinite);
+    }
+
+    /**
+     * Keeps the valid stickers of an untrusted list, with their values
+     * clamped and duplicate ids dropped.
+     * @param {*} list - Candidate sticker list.
+     * @returns {object[]} A list safe to store and draw.
+     */
+    function clean(list) {
+        if (!Array.isArray(list)) return [];
+
+        const seen = {};
+        return list.filter(sticker => {
+            if (!isValid(sticker) || seen[sticker.id]) return false;
+            seen[sticker.id] = true;
+            return true;
+        }).slice(0, MAX_STICKERS).map(sticker => ({
+            id: sticker.id,
+            kind: sticker.kind,
+            color: sticker.color,
+            layer: sticker.layer,
+            x: Utils.clamp(sticker.x, -0.5, 1.5),
+            y: Utils.clamp(sticker.y, -0.5, 1.5),
+            scale: Utils.clamp(sticker.scale, 0.3, 4),
+            rotation: Utils.clamp(sticker.rotation, -180, 180)
+        }));
+    }
+
+    /**
+     * Returns a copy of a list with one sticker changed.
+     * Moving a sticker to the other layer also puts it on top there.
+     */
+    function replace(list, id, changes) {
+        const current = list.find(sticker => sticker.id === id);
+        if (!current) return list;
+
+        const next = Object.assign({}, current, changes);
+        const rest = list.filter(sticker => sticker.id !== id);
+        if (next.layer !== current.layer) return rest.concat(next);
+        return list.map(sticker => (sticker.id === id ? next : sticker));
+    }
+
+    function resolveColor(color, theme) {
+        return COLOR_ROLES.indexOf(color) !== -1 ? theme[color] : color;
+    }
+
+    /**
+     * Draws the stickers of one layer in list order.
+     * @param {CanvasRenderingContext2D} ctx - Context scaled to card units.
+     * @param {object[]} stickers - The page's sticker list.
+     * @param {string} layer - 'below' (under the text) or 'above'.
+     * @param {object} theme - Active theme (for role colors).
+     * @param {number} w - Card width in card units.
+     * @param {number} h - Card height in card units.
+     * @param {object} [boxes] - Receives bounds for hit-testing, keyed by id.
+     */
+    function draw(ctx, stickers, layer, theme, w, h, boxes) {
+        // Artwork is sized for a 600px short side, like the layouts
+        const k = Math.min(w, h) / 600;
+
+        (stickers || []).forEach(sticker => {
+            if (sticker.layer !== layer) return;
+            const kind = KINDS[sticker.kind];
+            if (!kind) return;
+
+            const cx = sticker.x * w;
+            const cy = sticker.y * h;
+
+            ctx.save();
+            ctx.translate(cx, cy);
+            ctx.rotate(sticker.rotation * Math.PI / 180);
+            ctx.scale(sticker.scale * k, sticker.scale * k);
+            kind.draw(ctx, resolveColor(sticker.color, theme));
+            ctx.restore();
+
+            if (boxes) {
+                boxes[sticker.id] = { cx, cy, w: kind.w * k, h: kind.h * k, scale: sticker.scale, rotation: sticker.rotation };
+            }
+        });
+    }
+
+    /**
+     * Draws a sticker centered in a small canvas (picker buttons).
+     */
+    function drawIcon(canvas, kindId, theme) {
+        const kind = KINDS[kindId];
+        const ctx = canvas.getContext('2d');
+        const fit = Math.min(canvas.width / kind.w, canvas.height / kind.h) * 0.9;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.scale(fit, fit);
+        kind.draw(ctx, resolveColor(kind.color, theme));
+    }
+
+    // Four-pointed star with curved sides
+    function starPath(ctx, x, y, r) {
+        ctx.beginPath();
+        ctx.moveTo(x, y - r);
+        ctx.quadraticCurveTo(x, y, x + r, y);
+        ctx.quadraticCurveTo(x, y, x, y + r);
+        ctx.quadraticCurveTo(x, y, x - r, y);
+        ctx.quadraticCurveTo(x, y, x, y - r);
+        ctx.closePath();
+    }
+
+    function drawHeart(ctx, color) {
+        ctx.beginPath();
+        Renderer.heartPath(ctx, 0, 0, 80);
+        ctx.fillStyle = color;
+        ctx.fill();
+
+        ctx.fillStyle = SHINE;
+        ctx.beginPath();
+        ctx.ellipse(-26, -24, 10, 6, -Math.PI / 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    function drawRose(ctx, color) {
+        // Stem and leaves
+        ctx.strokeStyle = LEAF_COLOR;
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(0, 4);
+        ctx.quadraticCurveTo(4, 30, 0, 54);
+        ctx.stroke();
+
+        ctx.fillStyle = LEAF_COLOR;
+        [[-1, 30], [1, 40]].forEach(([side, y]) => {
+            ctx.beginPath();
+            ctx.ellipse(side * 14, y, 14, 6, side * -Math.PI / 6, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Outer petals, then the cupped center with its spiral
+        ctx.fillStyle = color;
+        for (let i = 0; i < 5; i++) {
+            const a = i * Math.PI * 2 / 5 - Math.PI / 2;
+            ctx.beginPath();
+            ctx.arc(Math.cos(a) * 17, -22 + Math.sin(a) * 17, 19, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.fillStyle = SHADE;
+        ctx.beginPath();
+        ctx.arc(0, -22, 20, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.strokeStyle = SHINE;
+        ctx.lineWidth = 2.5;
+        [[14, 0.2], [9, 1.4], [4, 2.6]].forEach(([r, start]) => {
+            ctx.beginPath();
+            ctx.arc(0, -22, r, start, start + Math.PI * 1.3);
+            ctx.stroke();
+        });
+    }
+
+    function drawArrow(ctx, color) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(-58, 0);
+        ctx.lineTo(42, 0);
+        ctx.stroke();
+
+        // Heart-shaped tip, pointing forward
+        ctx.save();
+        ctx.translate(50, 0);
+        ctx.rotate(-Math.PI / 2);
+        ctx.beginPath();
+        Renderer.heartPath(ctx, 0, 0, 26);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.restore();
+
+        // Fletching
+        ctx.fillStyle = Utils.hexToRgba(color, 0.6);
+        [-1, 1].forEach(side => {
+            for (let i = 0; i < 2; i++) {
+                const x = -60 + i * 12;
+                ctx.beginPath();
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x + 12, 0);
+                ctx.lineTo(x + 4, side * 16);
+                ctx.lineTo(x - 8, side * 16);
+                ctx.closePath();
+                ctx.fill();
+            }
+        });
+    }
+
+    function drawRibbon(ctx, color) {
+        ctx.fillStyle = color;
+
+        // Tails, then loops on top
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.moveTo(side * 4, 0);
+            ctx.lineTo(side * 30, 46);
+            ctx.lineTo(side * 18, 40);
+            ctx.lineTo(side * 12, 48);
+            ctx.lineTo(side * -6, 4);
+            ctx.closePath();
+            ctx.fill();
+        });
+        ctx.fillStyle = SHADE;
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.moveTo(side * 4, 0);
+            ctx.lineTo(side * 30, 46);
+            ctx.lineTo(side * 18, 40);
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        ctx.fillStyle = color;
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.moveTo(0, -6);
+            ctx.bezierCurveTo(side * 22, -44, side * 58, -34, side * 50, -8);
+            ctx.bezierCurveTo(side * 44, 10, side * 18, 6, 0, -6);
+            ctx.closePath();
+            ctx.fill();
+        });
+        ctx.strokeStyle = SHADE;
+        ctx.lineWidth = 3;
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.moveTo(side * 8, -8);
+            ctx.quadraticCurveTo(side * 30, -26, side * 40, -12);
+            ctx.stroke();
+        });
+
+        // Knot
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.ellipse(0, -5, 10, 12, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = SHADE;
+        ctx.fill();
+    }
+
+    function drawSparkle(ctx, color) {
+        ctx.fillStyle = color;
+        starPath(ctx, -8, 8, 40);
+        ctx.fill();
+        starPath(ctx, 32, -30, 15);
+        ctx.fill();
+        starPath(ctx, 34, 32, 9);
+        ctx.fill();
+
+        ctx.fillStyle = SHINE;
+        starPath(ctx, -8, 8, 14);
+        ctx.fill();
+    }
+
+    function drawEnvelope(ctx, color) {
+        const w = 112;
+        const h = 76;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.lineJoin = 'round';
+        ctx.fillRect(-w / 2, -h / 2, w, h);
+        ctx.strokeRect(-w / 2, -h / 2, w, h);
+
+        // Bottom folds, then the closed flap
+        ctx.strokeStyle = Utils.hexToRgba(color, 0.45);
+        ctx.beginPath();
+        ctx.moveTo(-w / 2, h / 2);
+        ctx.lineTo(-10, 4);
+        ctx.moveTo(w / 2, h / 2);
+        ctx.lineTo(10, 4);
+        ctx.stroke();
+
+        ctx.fillStyle = Utils.hexToRgba(color, 0.12);
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(-w / 2, -h / 2);
+        ctx.lineTo(0, 8);
+        ctx.lineTo(w / 2, -h / 2);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        // Wax seal
+        ctx.beginPath();
+        Renderer.heartPath(ctx, 0, 8, 22);
+        ctx.fillStyle = color;
+        ctx.fill();
+    }
+
+    function drawBanner(ctx, color) {
+        // Forked ends behind the band
+        ctx.fillStyle = color;
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.moveTo(side * 50, -8);
+            ctx.lineTo(side * 80, -8);
+            ctx.lineTo(side * 68, 8);
+            ctx.lineTo(side * 80, 24);
+            ctx.lineTo(side * 50, 24);
+            ctx.closePath();
+            ctx.fill();
+        });
+        ctx.fillStyle = SHADE;
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.moveTo(side * 50, -8);
+            ctx.lineTo(side * 80, -8);
+            ctx.lineTo(side * 68, 8);
+            ctx.lineTo(side * 80, 24);
+            ctx.lineTo(side * 50, 24);
+            ctx.closePath();
+            ctx.fill();
+
+            // Fold where the band turns back
+            ctx.beginPath();
+            ctx.moveTo(side * 58, 12);
+            ctx.lineTo(side * 50, 24);
+            ctx.lineTo(side * 50, 12);
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        ctx.fillStyle = color;
+        ctx.fillRect(-58, -24, 116, 36);
+
+        ctx.strokeStyle = SHINE;
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(-53, -19, 106, 26);
+    }
+
+    return {
+        create,
+        clean,
+        isValid,
+        isColor,
+        replace,
+        draw,
+        drawIcon,
+        getKinds: () => KINDS,
+        getColorRoles: () => COLOR_ROLES,
+        getLimit: () => MAX_STICKERS
+    };
+})();
+
+/* =========================================
+   4.4 FRAMES (BORDER STYLES)
+   ========================================= */
+const Frames = (function() {
+    // Procedural frame styles. Each draws around the rectangle inset by the
+    // frame margin, with a stroke weight of the frame thickness (card units).
+    const STYLES = {
+        classic: { id: 'classic', label: 'Classic Line', draw: drawClassic },
+        double: { id: 'double', label: 'Double Line', draw: drawDouble },
+        scalloped: { id: 'scalloped', label: 'Scalloped', draw: drawScalloped },
+        hearts: { id: 'hearts', label: 'Dotted Hearts', draw: drawHearts },
+        lace: { id: 'lace', label: 'Lace Edge', draw: drawLace },
+        deco: { id: 'deco', label: 'Art Deco Corners', draw: drawDeco },
+        stamp: { id: 'stamp', label: 'Stamp Perforation', draw: drawStamp },
+        none: { id: 'none', label: 'None', draw: null }
+    };
+
+    // Theme roles a frame can be drawn in
+    const COLOR_ROLES = ['primary', 'accent', 'text'];
+
+    const LIMITS = {
+        thickness: { min: 1, max: 8 },
+        margin: { min: 10, max: 80 }
+    };
+
+    /**
+     * Draws the card frame.
+     * @param {CanvasRenderingContext2D} ctx - Context scaled to card units.
+     * @param {object} frame - design.frame: {style, thickness, margin, color}.
+     * @param {object} theme - Active theme; frame.color names one of its roles.
+     * @param {number} w - Card width in card units.
+     * @param {number} h - Card height in card units.
+     * @param {CanvasGradient} [paint] - Draws the frame's lines in this
+     *     instead of its color, without the tinted fills (shimmer pass).
+     */
+    function draw(ctx, frame, theme, w, h, paint) {
+        const style = STYLES[frame.style] || STYLES.classic;
+        if (!style.draw) return;
+
+        const m = frame.margin;
+        const rect = { x: m, y: m, w: w - m * 2, h: h - m * 2 };
+        if (rect.w <= 0 || rect.h <= 0) return;
+
+        const color = theme[frame.color] || theme.primary;
+
+        ctx.save();
+        ctx.strokeStyle = paint || color;
+        ctx.fillStyle = paint || color;
+        ctx.lineWidth = frame.thickness;
+        ctx.lineJoin = 'round';
+        style.draw(ctx, rect, frame.thickness, color, !!paint);
+        ctx.restore();
+    }
+
+    /**
+     * Evenly spaced offsets along an edge, both ends included.
+     */
+    function spaced(length, spacing) {
+        const count = Math.max(2, Math.round(length / spacing));
+        const points = [];
+        for (let i = 0; i <= count; i++) points.push(i * length / count);
+        return points;
+    }
+
+    /**
+     * Points around a rectangle, one list per edge (corners shared).
+     */
+    function perimeter(rect, spacing) {
+        const { x, y, w, h } = rect;
+        const points = [];
+        spaced(w, spacing).forEach(d => points.push([x + d, y], [x + d, y + h]));
+        spaced(h, spacing).slice(1, -1).forEach(d => points.push([x, y + d], [x + w, y + d]));
+        return points;
+    }
+
+    /**
+     * Traces a rectangle whose edges are rows of outward half circles.
+     */
+    function scallopPath(ctx, rect, size) {
+        const { x, y, w, h } = rect;
+        const across = Math.max(2, Math.round(w / size));
+        const down = Math.max(2, Math.round(h / size));
+        const rx = w / across / 2;
+        const ry = h / down / 2;
+
+        ctx.beginPath();
+        for (let i = 0; i < across; i++) ctx.arc(x + rx * (i * 2 + 1), y, rx, Math.PI, 0);
+        for (let i = 0; i < down; i++) ctx.arc(x + w, y + ry * (i * 2 + 1), ry, -Math.PI / 2, Math.PI / 2);
+        for (let i = across - 1; i >= 0; i--) ctx.arc(x + rx * (i * 2 + 1), y + h, rx, 0, Math.PI);
+        for (let i = down - 1; i >= 0; i--) ctx.arc(x, y + ry * (i * 2 + 1), ry, Math.PI / 2, Math.PI * 1.5);
+        ctx.closePath();
+    }
+
+    function drawClassic(ctx, rect) {
+        ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+    }
+
+    function drawDouble(ctx, rect, t) {
+        ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+
+        const gap = t * 2 + 3;
+        ctx.lineWidth = Math.max(1, t / 2);
+        ctx.strokeRect(rect.x + gap, rect.y + gap, rect.w - gap * 2, rect.h - gap * 2);
+    }
+
+    function drawScalloped(ctx, rect, t) {
+        scallopPath(ctx, rect, 16 + t * 3);
+        ctx.stroke();
+    }
+
+    function drawHearts(ctx, rect, t) {
+        const size = 5 + t * 2;
+        ctx.beginPath();
+        perimeter(rect, size * 2).forEach(([x, y]) => Renderer.heartPath(ctx, x, y, size));
+        ctx.fill();
+    }
+
+    function drawLace(ctx, rect, t, color, linesOnly) {
+        const size = 12 + t * 2;
+        const inset = size * 0.9;
+
+        // Soft fill between the scallops and the inner edge, like a doily
+        if (!linesOnly) {
+            ctx.save();
+            scallopPath(ctx, rect, size);
+            ctx.rect(rect.x + inset, rect.y + inset, rect.w - inset * 2, rect.h - inset * 2);
+            ctx.fillStyle = Utils.hexToRgba(color, 0.12);
+            ctx.fill('evenodd');
+            ctx.restore();
+        }
+
+        ctx.lineWidth = Math.max(1, t / 2);
+        scallopPath(ctx, rect, size);
+        ctx.stroke();
+        ctx.strokeRect(rect.x + inset, rect.y + inset, rect.w - inset * 2, rect.h - inset * 2);
+
+        // Eyelet holes along the middle of the band
+        const holes = { x: rect.x + size / 3, y: rect.y + size / 3, w: rect.w - size / 1.5, h: rect.h - size / 1.5 };
+        ctx.beginPath();
+        perimeter(holes, size).forEach(([x, y]) => {
+            ctx.moveTo(x + size * 0.12, y);
+            ctx.arc(x, y, size * 0.12, 0, Math.PI * 2);
+        });
+        ctx.stroke();
+    }
+
+    function drawDeco(ctx, rect, t) {
+        const reach = Math.min(rect.w, rect.h) * 0.22;
+        const step = t + 5;
+
+        ctx.lineWidth = Math.max(1, t / 2);
+        ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+
+        // One corner motif, mirrored into the other three
+        [[0, 0, 1, 1], [1, 0, -1, 1], [0, 1, 1, -1], [1, 1, -1, -1]].forEach(([cx, cy, sx, sy]) => {
+            ctx.save();
+            ctx.translate(rect.x + cx * rect.w, rect.y + cy * rect.h);
+            ctx.scale(sx, sy);
+
+            // Stepped brackets
+            ctx.lineWidth = t;
+            for (let i = 1; i <= 3; i++) {
+                const length = reach * (1 - (i - 1) * 0.25);
+                ctx.beginPath();
+                ctx.moveTo(step * i, step * i + length);
+                ctx.lineTo(step * i, step * i);
+                ctx.lineTo(step * i + length, step * i);
+                ctx.stroke();
+            }
+
+            // Sunburst fan and a diamond at its hub
+            ctx.lineWidth = Math.max(1, t / 2);
+            const hub = step * 4;
+            for (let i = 0; i <= 4; i++) {
+                const a = i * Math.PI / 8;
+                ctx.beginPath();
+                ctx.moveTo(hub, hub);
+                ctx.lineTo(hub + Math.cos(a) * reach * 0.45, hub + Math.sin(a) * reach * 0.45);
+                ctx.stroke();
+            }
+            const d = step * 0.9;
+            ctx.beginPath();
+            ctx.moveTo(hub, hub - d);
+            ctx.lineTo(hub + d, hub);
+            ctx.lineTo(hub, hub + d);
+            ctx.lineTo(hub - d, hub);
+            ctx.closePath();
+            ctx.fill();
+
+            ctx.restore();
+        });
+    }
+
+    function drawStamp(ctx, rect, t) {
+        const band = 6 + t * 2;
+        const r = 2 + t * 0.75;
+
+        // Punch the holes along the outer edge by clipping them away, so
+        // they show whatever lies below (works on the live layer and exports)
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(rect.x - r - 1, rect.y - r - 1, rect.w + r * 2 + 2, rect.h + r * 2 + 2);
+        perimeter(rect, r * 3).forEach(([x, y]) => {
+            ctx.moveTo(x + r, y);
+            ctx.arc(x, y, r, 0, Math.PI * 2);
+        });
+        ctx.clip('evenodd');
+
+        ctx.beginPath();
+        ctx.rect(rect.x, rect.y, rect.w, rect.h);
+        ctx.rect(rect.x + band, rect.y + band, rect.w - band * 2, rect.h - band * 2);
+        ctx.globalAlpha = 0.85;
+        ctx.fill('evenodd');
+        ctx.restore();
+
+        ctx.lineWidth = 1;
+        const inner = band + 4;
+        ctx.strokeRect(rect.x + inner, rect.y + inner, rect.w - inner * 2, rect.h - inner * 2);
+    }
+
+    return {
+        draw,
+        getStyles: () => STYLES,
+        getColorRoles: () => COLOR_ROLES,
+        getLimits: () => LIMITS
+    };
+})();
+
+/* =========================================
+   4.5 SVG BACKEND (VECTOR DRAWING CONTEXT)
+   ========================================= */
+const SVGBackend = (function() {
+    // Drawing state saved and restored like the canvas's own
+    const STATE_KEYS = ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'miterLimit', 'globalAlpha',
+        'font', 'textAlign', 'textBaseline', 'direction', 'filter', 'shadowColor', 'shadowBlur',
+        'shadowOffsetX', 'shadowOffsetY', 'globalCompositeOperation', 'imageSmoothingEnabled'];
+
+    // Pixels whose channels differ by more than this count as mismatched
+    // in compare(); anti-aliasing alone stays well below it
+    const PIXEL_TOLERANCE = 48;
+
+    // Share of mismatched pixels above which the SVG is reported as drifting
+    // from the canvas output
+    const MISMATCH_LIMIT = 0.02;
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    const round = (n) => Math.round(n * 100) / 100;
+
+    // Recorded path ops as SVG commands
+    const PATH_COMMANDS = { m: 'M', l: 'L', c: 'C', h: 'Z' };
+
+    const escapeXML = Utils.escapeXML;
+
+    /**
+     * Creates a stand-in for CanvasRenderingContext2D that records every
+     * draw call as SVG, so Renderer's draw steps produce vector output.
+     * Covers the subset of the canvas API the renderer, stickers, frames,
+     * textures and photos use. Paths are stored in card units with the
+     * current transform already applied, like the canvas does.
+     * @param {number} width - Card width in card units.
+     * @param {number} height - Card height in card units.
+     * @returns {object} The context; `ctx.canvas` stands in for paint()'s
+     *     target and `ctx.toSVG()` returns the finished document.
+     */
+    function createContext(width, height) {
+        const defs = [];
+        const body = [];
+        let nextId = 0;
+        let clipId = null;
+
+        const recorder = createRecorder(width, height, {
+            save: () => clipId,
+            restore: (saved) => {
+                clipId = saved;
+            }
+        });
+        const ctx = recorder.ctx;
+
+        Object.assign(ctx, {
+            fill(rule) {
+                emitPath(pathData(recorder.getPath()), fillAttrs(rule));
+            },
+            stroke() {
+                emitPath(pathData(recorder.getPath()), strokeAttrs());
+            },
+            clip(rule) {
+                const id = `c${nextId++}`;
+                const parent = clipId ? ` clip-path="url(#${clipId})"` : '';
+                defs.push(`<clipPath id="${id}"${parent}><path d="${pathData(recorder.getPath())}"${rule === 'evenodd' ? ' clip-rule="evenodd"' : ''}/></clipPath>`);
+                clipId = id;
+            },
+            fillRect(x, y, w, h) {
+                emitPath(pathData(recorder.rectPath(x, y, w, h)), fillAttrs());
+            },
+            strokeRect(x, y, w, h) {
+                emitPath(pathData(recorder.rectPath(x, y, w, h)), strokeAttrs());
+            },
+            // The SVG starts out transparent; later clears are not needed
+            // by the renderer
+            clearRect() {},
+
+            fillText(text, x, y) {
+                const anchor = textAnchor();
+                const dir = ctx.direction === 'rtl' ? ' direction="rtl"' : '';
+                emit(`<text x="${round(x)}" y="${round(y)}"${transformAttr()} xml:space="preserve"` +
+                    ` style="font: ${escapeXML(ctx.font)}; white-space: pre"${anchor}${dir} ${fillAttrs()}>${escapeXML(text)}</text>`);
+            },
+
+            drawImage(image, x, y, w, h) {
+                const src = imageSource(image);
+                if (!src) return;
+                const dw = w === undefined ? (image.naturalWidth || image.width) : w;
+                const dh = h === undefined ? (image.naturalHeight || image.height) : h;
+                const filter = ctx.filter && ctx.filter !== 'none' ? ` style="filter: ${escapeXML(ctx.filter)}"` : '';
+                emit(`<image href="${escapeXML(src)}" x="${round(x)}" y="${round(y)}" width="${round(dw)}" height="${round(dh)}"` +
+                    `${transformAttr()} preserveAspectRatio="none"${filter}${alphaAttr()}/>`);
+            },
+
+            /**
+             * @param {string} [css] - Stylesheet to embed, e.g. @font-face rules.
+             */
+            toSVG(css) {
+                const style = css ? `<style><![CDATA[\n${css.replace(/]]>/g, '')}\n]]></style>` : '';
+                return `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+                    `<defs>${style}${defs.join('')}</defs>${body.join('')}</svg>`;
+            }
+        });
+
+        function matrixAttr() {
+            return `matrix(${recorder.transform().map(round).join(' ')})`;
+        }
+
+        function transformAttr() {
+            const identity = recorder.transform().every((v, i) => v === [1, 0, 0, 1, 0, 0][i]);
+            return identity ? '' : ` transform="${matrixAttr()}"`;
+        }
+
+        // Line widths follow the transform; the renderer only scales uniformly
+        function scaleFactor() {
+            const m = recorder.transform();
+            return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+        }
+
+        /**
+         * Writes a fill or stroke style as SVG attributes. Gradients are
+         * defined with the current transform, as the canvas applies it at
+         * paint time.
+         */
+        function paintAttrs(style, kind) {
+            if (typeof style === 'string') {
+                const color = parseColor(style);
+                if (!color) return `${kind}="none"`;
+                return `${kind}="${color.rgb}"${color.alpha < 1 ? ` ${kind}-opacity="${round(color.alpha)}"` : ''}`;
+            }
+
+            const id = `g${nextId++}`;
+            const tag = style.type === 'linear' ? 'linearGradient' : 'radialGradient';
+            const names = style.type === 'linear' ? ['x1', 'y1', 'x2', 'y2'] : ['fx', 'fy', 'fr', 'cx', 'cy', 'r'];
+            const coords = names.map((name, i) => `${name}="${round(style.coords[i])}"`).join(' ');
+            const stops = style.stops.map(stop => {
+                const color = parseColor(stop.color) || { rgb: '#000000', alpha: 0 };
+                return `<stop offset="${round(stop.offset)}" stop-color="${color.rgb}"${color.alpha < 1 ? ` stop-opacity="${round(color.alpha)}"` : ''}/>`;
+            }).join('');
+            defs.push(`<${tag} id="${id}" gradientUnits="userSpaceOnUse" gradientTransform="${matrixAttr()}" ${coords}>${stops}</${tag}>`);
+            return `${kind}="url(#${id})"`;
+        }
+
+        function fillAttrs(rule) {
+            return paintAttrs(ctx.fillStyle, 'fill') + (rule === 'evenodd' ? ' fill-rule="evenodd"' : '') + alphaAttr() + shadowAttr();
+        }
+
+        function strokeAttrs() {
+            const k = scaleFactor();
+            const dash = ctx.getLineDash();
+            const dashes = dash.length ? ` stroke-dasharray="${dash.map(d => round(d * k)).join(' ')}"` : '';
+            return `fill="none" ${paintAttrs(ctx.strokeStyle, 'stroke')} stroke-width="${round(ctx.lineWidth * k)}"` +
+                ` stroke-linecap="${ctx.lineCap}" stroke-linejoin="${ctx.lineJoin}" stroke-miterlimit="${ctx.miterLimit}"` +
+                dashes + alphaAttr() + shadowAttr();
+        }
+
+        function alphaAttr() {
+            return ctx.globalAlpha < 1 ? ` opacity="${round(ctx.globalAlpha)}"` : '';
+        }
+
+        function shadowAttr() {
+            const color = parseColor(ctx.shadowColor);
+            if (!color || color.alpha === 0 || !(ctx.shadowBlur || ctx.shadowOffsetX || ctx.shadowOffsetY)) return '';
+
+            const id = `s${nextId++}`;
+            defs.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feDropShadow dx="${round(ctx.shadowOffsetX)}"` +
+                ` dy="${round(ctx.shadowOffsetY)}" stdDeviation="${round(ctx.shadowBlur / 2)}" flood-color="${color.rgb}"` +
+                ` flood-opacity="${round(color.alpha)}"/></filter>`);
+            return ` filter="url(#${id})"`;
+        }
+
+        function textAnchor() {
+            const rtl = ctx.direction === 'rtl';
+            const anchor = {
+                center: 'middle',
+                start: 'start',
+                end: 'end',
+                left: rtl ? 'end' : 'start',
+                right: rtl ? 'start' : 'end'
+            }[ctx.textAlign] || 'start';
+            return anchor === 'start' ? '' : ` text-anchor="${anchor}"`;
+        }
+
+        function emitPath(d, attrs) {
+            if (d) emit(`<path d="${d}" ${attrs}/>`);
+        }
+
+        // Elements sit in a group so clips stay in card units even when the
+        // element itself carries a transform (text, images)
+        function emit(element) {
+            body.push(clipId ? `<g clip-path="url(#${clipId})">${element}</g>` : element);
+        }
+
+        return ctx;
+    }
+
+    // A recorded path as SVG path data
+    function pathData(ops) {
+        return ops.map(([op, ...coords]) => PATH_COMMANDS[op] + coords.map(round).join(' ')).join('');
+    }
+
+    /**
+     * The part of a canvas stand-in that every vector backend shares:
+     * drawing state with save/restore, the current transform, line dashes,
+     * path building, gradient records and text measuring. A backend adds
+     * the calls that paint (fill, stroke, clip, text, images) to `ctx`.
+     * Also used by PDFBackend.
+     *
+     * Paths are recorded as [op, ...coords] with op m, l, c or h, in device
+     * units with the current transform already applied, like the canvas
+     * does. Arcs and quadratic curves become cubic Béziers.
+     * @param {number} width - Card width in card units.
+     * @param {number} height - Card height in card units.
+     * @param {object} [options]
+     * @param {number} [options.unit=1] - Device units per card unit.
+     * @param {Function} [options.save] - Called by save(); what it returns
+     *     is handed back to options.restore() by the matching restore().
+     * @param {Function} [options.restore]
+     * @returns {{ctx: object, transform: Function, apply: Function, getPath: Function, rectPath: Function}}
+     *     The context, the current card-to-device matrix, a point mapper,
+     *     the current path and a rectangle path that leaves it untouched.
+     */
+    function createRecorder(width, height, options = {}) {
+        const unit = options.unit || 1;
+        const stack = [];
+
+        let matrix = [1, 0, 0, 1, 0, 0];
+        let dash = [];
+
+        // Current path, the current point and subpath start
+        let path = [];
+        let current = null;
+        let start = null;
+
+        // Text is measured by a real canvas so line breaks match exactly
+        const measurer = document.createElement('canvas').getContext('2d');
+
+        const ctx = {
+            canvas: { width, height },
+            fillStyle: '#000000',
+            strokeStyle: '#000000',
+            lineWidth: 1,
+            lineCap: 'butt',
+            lineJoin: 'miter',
+            miterLimit: 10,
+            globalAlpha: 1,
+            font: '10px sans-serif',
+            textAlign: 'start',
+            textBaseline: 'alphabetic',
+            direction: 'inherit',
+            filter: 'none',
+            shadowColor: 'rgba(0, 0, 0, 0)',
+            shadowBlur: 0,
+            shadowOffsetX: 0,
+            shadowOffsetY: 0,
+            globalCompositeOperation: 'source-over',
+            imageSmoothingEnabled: true,
+
+            save() {
+                const saved = { matrix: matrix.slice(), dash: dash.slice(), backend: options.save ? options.save() : null };
+                STATE_KEYS.forEach(key => {
+                    saved[key] = ctx[key];
+                });
+                stack.push(saved);
+            },
+            restore() {
+                const saved = stack.pop();
+                if (!saved) return;
+                if (options.restore) options.restore(saved.backend);
+                matrix = saved.matrix;
+                dash = saved.dash;
+                STATE_KEYS.forEach(key => {
+                    ctx[key] = saved[key];
+                });
+            },
+
+            setTransform(a, b, c, d, e, f) {
+                matrix = [a, b, c, d, e, f];
+            },
+            resetTransform() {
+                matrix = [1, 0, 0, 1, 0, 0];
+            },
+            transform(a, b, c, d, e, f) {
+                matrix = multiply(matrix, [a, b, c, d, e, f]);
+            },
+            translate(x, y) {
+                ctx.transform(1, 0, 0, 1, x, y);
+            },
+            scale(x, y) {
+                ctx.transform(x, 0, 0, y, 0, 0);
+            },
+            rotate(angle) {
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                ctx.transform(cos, sin, -sin, cos, 0, 0);
+            },
+
+            setLineDash(segments) {
+                dash = segments.slice();
+            },
+            getLineDash: () => dash.slice(),
+
+            beginPath() {
+                path = [];
+                current = null;
+                start = null;
+            },
+            moveTo(x, y) {
+                current = start = apply(x, y);
+                path.push(['m', ...current]);
+            },
+            lineTo(x, y) {
+                if (!current) {
+                    ctx.moveTo(x, y);
+                    return;
+                }
+                current = apply(x, y);
+                path.push(['l', ...current]);
+            },
+            bezierCurveTo(x1, y1, x2, y2, x, y) {
+                if (!current) ctx.moveTo(x1, y1);
+                const points = [apply(x1, y1), apply(x2, y2), apply(x, y)];
+                current = points[2];
+                path.push(['c', ...points[0], ...points[1], ...points[2]]);
+            },
+            quadraticCurveTo(x1, y1, x, y) {
+                if (!current) ctx.moveTo(x1, y1);
+                const [cx, cy] = apply(x1, y1);
+                const end = apply(x, y);
+                path.push(['c',
+                    current[0] + (cx - current[0]) * 2 / 3, current[1] + (cy - current[1]) * 2 / 3,
+                    end[0] + (cx - end[0]) * 2 / 3, end[1] + (cy - end[1]) * 2 / 3,
+                    ...end]);
+                current = end;
+            },
+            arc(x, y, r, startAngle, endAngle, anticlockwise) {
+                ctx.ellipse(x, y, r, r, 0, startAngle, endAngle, anticlockwise);
+            },
+            ellipse(x, y, rx, ry, rotation, startAngle, endAngle, anticlockwise) {
+                const arc = ellipseCurves(x, y, rx, ry, rotation, startAngle, endAngle, !!anticlockwise);
+                if (current) ctx.lineTo(arc.start[0], arc.start[1]);
+                else ctx.moveTo(arc.start[0], arc.start[1]);
+                arc.curves.forEach(curve => ctx.bezierCurveTo(...curve));
+            },
+            rect(x, y, w, h) {
+                ctx.moveTo(x, y);
+                ctx.lineTo(x + w, y);
+                ctx.lineTo(x + w, y + h);
+                ctx.lineTo(x, y + h);
+                ctx.closePath();
+            },
+            closePath() {
+                if (!current) return;
+                path.push(['h']);
+                current = start;
+            },
+
+            measureText(text) {
+                measurer.font = ctx.font;
+                measurer.direction = ctx.direction;
+                return measurer.measureText(text);
+            },
+
+            // Gradients are plain records; backends paint them with the
+            // transform current at paint time, as the canvas does
+            createLinearGradient(x0, y0, x1, y1) {
+                return createGradient('linear', [x0, y0, x1, y1]);
+            },
+            createRadialGradient(x0, y0, r0, x1, y1, r1) {
+                return createGradient('radial', [x0, y0, r0, x1, y1, r1]);
+            }
+        };
+
+        // Card units to device units, through the current transform
+        function transform() {
+            return multiply([unit, 0, 0, unit, 0, 0], matrix);
+        }
+
+        function apply(x, y) {
+            const m = transform();
+            return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+        }
+
+        function rectPath(x, y, w, h) {
+            const saved = [path, current, start];
+            ctx.beginPath();
+            ctx.rect(x, y, w, h);
+            const rect = path;
+            [path, current, start] = saved;
+            return rect;
+        }
+
+        function createGradient(type, coords) {
+            const stops = [];
+            return {
+                type,
+                coords,
+                stops,
+                addColorStop(offset, color) {
+                    stops.push({ offset, color });
+                }
+            };
+        }
+
+        return {
+            ctx,
+            transform,
+            apply,
+            getPath: () => path,
+            rectPath
+        };
+    }
+
+    function multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    /**
+     * Splits an elliptical arc into cubic Béziers of at most a quarter turn,
+     * with the canvas's rules for sweep direction and full turns.
+     * @returns {{start: number[], curves: number[][]}} The arc's first point
+     *     and bezierCurveTo() arguments for each segment.
+     */
+    function ellipseCurves(x, y, rx, ry, rotation, startAngle, endAngle, anticlockwise) {
+        const full = Math.PI * 2;
+        let sweep = endAngle - startAngle;
+        if (!anticlockwise) {
+            sweep = sweep >= full ? full : ((sweep % full) + full) % full;
+        } else {
+            sweep = sweep <= -full ? -full : -((((-sweep) % full) + full) % full);
+        }
+
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const point = (t) => {
+            const px = rx * Math.cos(t);
+            const py = ry * Math.sin(t);
+            return [x + px * cos - py * sin, y + px * sin + py * cos];
+        };
+        const tangent = (t) => {
+            const px = -rx * Math.sin(t);
+            const py = ry * Math.cos(t);
+            return [px * cos - py * sin, px * sin + py * cos];
+        };
+
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+        const step = sweep / segments;
+        const k = 4 / 3 * Math.tan(step / 4);
+        const curves = [];
+        for (let i = 0; i < segments; i++) {
+            const t0 = startAngle + step * i;
+            const t1 = t0 + step;
+            const p0 = point(t0);
+            const p1 = point(t1);
+            const d0 = tangent(t0);
+            const d1 = tangent(t1);
+            curves.push([p0[0] + d0[0] * k, p0[1] + d0[1] * k, p1[0] - d1[0] * k, p1[1] - d1[1] * k, p1[0], p1[1]]);
+        }
+        return { start: point(startAngle), curves };
+    }
+
+    /**
+     * Data URL for anything the canvas can draw: photos keep their own
+     * source, canvases and bitmaps (cached textures) are encoded as PNG.
+     */
+    function imageSource(image) {
+        if (image.toDataURL) return image.toDataURL('image/png');
+        if (image.src) return image.src;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Splits a CSS color into an opaque color and its alpha.
+     * @returns {{rgb: string, alpha: number}|null} Null for transparent.
+     */
+    function parseColor(color) {
+        const value = String(color).trim();
+        if (value === 'transparent' || value === 'none') return null;
+
+        const rgba = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/i.exec(value);
+        if (rgba) {
+            let alpha = rgba[4] === undefined ? 1 : parseFloat(rgba[4]);
+            if (/%$/.test(rgba[4] || '')) alpha /= 100;
+            return { rgb: `rgb(${rgba[1]},${rgba[2]},${rgba[3]})`, alpha };
+        }
+
+        const hex = /^#([0-9a-f]{8}|[0-9a-f]{4})$/i.exec(value);
+        if (hex) {
+            const digits = hex[1].length === 4 ? hex[1].replace(/./g, ch => ch + ch) : hex[1];
+            return { rgb: `#${digits.slice(0, 6)}`, alpha: parseInt(digits.slice(6), 16) / 255 };
+        }
+        return { rgb: escapeXML(value), alpha: 1 };
+    }
+
+    /**
+     * Rasterizes an SVG document and measures how far it is from a canvas
+     * rendering of the same page, pixel by pixel.
+     * @param {string} svg - From createContext().toSVG().
+     * @param {HTMLCanvasElement} canvas - Reference rendering.
+     * @returns {Promise<{mismatched: number, meanDifference: number, passed: boolean}>}
+     *     Share of pixels over PIXEL_TOLERANCE, the mean channel difference
+     *     (both 0..1), and whether the share stays under MISMATCH_LIMIT.
+     */
+    async function compare(svg, canvas) {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error("SVGBackend: SVG could not be rasterized"));
+                image.src = url;
+            });
+
+            const raster = document.createElement('canvas');
+            raster.width = canvas.width;
+            raster.height = canvas.height;
+            const rasterCtx = raster.getContext('2d');
+            rasterCtx.drawImage(img, 0, 0, raster.width, raster.height);
+
+            const a = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+            const b = rasterCtx.getImageData(0, 0, raster.width, raster.height).data;
+
+            let mismatched = 0;
+            let total = 0;
+            for (let i = 0; i < a.length; i += 4) {
+                const dr = Math.abs(a[i] - b[i]);
+                const dg = Math.abs(a[i + 1] - b[i + 1]);
+                const db = Math.abs(a[i + 2] - b[i + 2]);
+                total += dr + dg + db;
+                if (Math.max(dr, dg, db) > PIXEL_TOLERANCE) mismatched++;
+            }
+
+            const pixels = a.length / 4;
+            return {
+                mismatched: mismatched / pixels,
+                meanDifference: total / (pixels * 3 * 255),
+                passed: mismatched / pixels <= MISMATCH_LIMIT
+            };
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    return {
+        createContext,
+        createRecorder,
+        compare,
+        ellipseCurves,
+        multiply
+    };
+})();
+
+/* =========================================
+   4.6 PDF BACKEND (VECTOR PDF CONTEXT)
+   ========================================= */
+const PDFBackend = (function() {
+    // jsPDF only embeds TrueType, and the stylesheet in index.html serves
+    // WOFF2, so the card fonts come from the @expo-google-fonts packages:
+    // static TrueType instances of the same Google Fonts, at pinned
+    // versions so a file can't move from under the export. The faces match
+    // the ones index.html loads (Montserrat's bold is its 600 weight), so
+    // what the canvas synthesizes is synthesized here too.
+    const FONT_BASE = 'https://cdn.jsdelivr.net/npm/@expo-google-fonts/';
+    const FONT_FILES = {
+        'Lato': {
+            normal: 'lato@0.4.1/400Regular/Lato_400Regular.ttf',
+            bold: 'lato@0.4.1/700Bold/Lato_700Bold.ttf',
+            italic: 'lato@0.4.1/400Regular_Italic/Lato_400Regular_Italic.ttf',
+            bolditalic: 'lato@0.4.1/700Bold_Italic/Lato_700Bold_Italic.ttf'
+        },
+        'Great Vibes': { normal: 'great-vibes@0.4.1/400Regular/GreatVibes_400Regular.ttf' },
+        'Dancing Script': {
+            normal: 'dancing-script@0.4.2/400Regular/DancingScript_400Regular.ttf',
+            bold: 'dancing-script@0.4.2/700Bold/DancingScript_700Bold.ttf'
+        },
+        'Playfair Display': {
+            normal: 'playfair-display@0.4.2/400Regular/PlayfairDisplay_400Regular.ttf',
+            bold: 'playfair-display@0.4.2/700Bold/PlayfairDisplay_700Bold.ttf',
+            italic: 'playfair-display@0.4.2/400Regular_Italic/PlayfairDisplay_400Regular_Italic.ttf'
+        },
+        'Montserrat': {
+            normal: 'montserrat@0.4.2/400Regular/Montserrat_400Regular.ttf',
+            bold: 'montserrat@0.4.2/600SemiBold/Montserrat_600SemiBold.ttf'
+        },
+        'Noto Sans JP': { normal: 'noto-sans-jp@0.4.3/400Regular/NotoSansJP_400Regular.ttf' },
+        'Noto Sans SC': { normal: 'noto-sans-sc@0.4.3/400Regular/NotoSansSC_400Regular.ttf' },
+        'Noto Sans KR': { normal: 'noto-sans-kr@0.4.3/400Regular/NotoSansKR_400Regular.ttf' }
+    };
+
+    // Script fallbacks from Renderer's font stack that can be embedded, in
+    // stack order, with the characters each is worth fetching for. A family
+    // is only fetched when the fonts before it miss such a character; other
+    // uncovered characters are drawn as images.
+    const FALLBACK_FAMILIES = [
+        ['Noto Sans JP', /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303F\uFF00-\uFFEF]/u],
+        ['Noto Sans SC', /\p{Script=Han}/u],
+        ['Noto Sans KR', /\p{Script=Hangul}/u]
+    ];
+
+    // Generic families map to the PDF standard fonts (WinAnsi text only)
+    const STANDARD_FONTS = { 'sans-serif': 'helvetica', 'serif': 'times', 'monospace': 'courier' };
+    const WIN_ANSI = /^[\u0020-\u007E\u00A0-\u00FF]*$/;
+
+    // Drawn as images: right-to-left scripts need shaping and reordering
+    // jsPDF doesn't do, and emoji need a color font
+    const RTL = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}]/u;
+    const PICTOGRAPH = /[\p{Extended_Pictographic}\u200D\uFE0F]/u;
+
+    // Browsers slant a missing italic by about this much (tan of ~14°)
+    const SYNTHETIC_SLANT = 0.25;
+
+    // ...and embolden a missing bold by stroking the outline with about
+    // this share of the font size
+    const SYNTHETIC_BOLD = 1 / 28;
+
+    // Resolution of the parts drawn as images, in pixels per inch
+    const RASTER_DPI = 300;
+
+    // TrueType files as base64, shared by every export in the session
+    const fileCache = new Map();
+
+    // Shading and image names, unique within any document
+    let nextId = 0;
+
+    const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+
+    /**
+     * Embeds the fonts a card's text needs into a document. Call once per
+     * document, before createContext(). Text in a font that can't be fetched
+     * is drawn as an image instead, so it still looks right.
+     * @param {jsPDF} pdf - Target document.
+     * @param {object} state - The full state tree.
+     * @returns {Promise<{fonts: object, images: WeakMap, missing: string[]}>}
+     *     Resources for createContext(); `missing` lists families that
+     *     could not be embedded.
+     */
+    async function prepare(pdf, state) {
+        const resources = { fonts: {}, images: new WeakMap(), missing: [] };
+        const pages = [state].concat(Object.values(state.pages));
+        const text = pages.map(page => [page.content.to, page.content.message, page.content.from].join(' ')).join(' ');
+
+        const families = ['Lato', state.design.fontFamily];
+        if (pages.some(page => page.design.showWatermark)) families.push('Montserrat');
+        await Promise.all(families.map(family => addFamily(pdf, resources, family)));
+
+        const chars = Array.from(new Set(Array.from(text)))
+            .filter(ch => /\S/.test(ch) && !RTL.test(ch) && !PICTOGRAPH.test(ch));
+        for (const [family, wanted] of FALLBACK_FAMILIES) {
+            const uncovered = chars.some(ch => wanted.test(ch) &&
+                !Object.values(resources.fonts).some(faces => covers(faces.normal, ch)));
+            if (uncovered) await addFamily(pdf, resources, family);
+        }
+        return resources;
+    }
+
+    async function addFamily(pdf, resources, family) {
+        const files = FONT_FILES[family];
+        try {
+            const faces = {};
+            await Promise.all(Object.keys(files).map(async variant => {
+                const file = files[variant];
+                const id = file.split('/').pop().replace(/\.ttf$/, '');
+                pdf.addFileToVFS(`${id}.ttf`, await fetchFont(FONT_BASE + file));
+                pdf.addFont(`${id}.ttf`, id, 'normal', 400, 'Identity-H');
+                faces[variant] = { id, metadata: null, coverage: new Map() };
+            }));
+            Object.values(faces).forEach(face => {
+                pdf.setFont(face.id, 'normal');
+                face.metadata = pdf.getFont().metadata;
+            });
+            resources.fonts[family] = faces;
+        } catch (e) {
+            console.warn(`PDFBackend: ${family} not embedded`, e);
+            resources.missing.push(family);
+        }
+    }
+
+    function fetchFont(url) {
+        if (!fileCache.has(url)) {
+            const load = fetch(url).then(res => {
+                if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+                return res.arrayBuffer();
+            }).then(toBase64);
+            load.catch(() => fileCache.delete(url));
+            fileCache.set(url, load);
+        }
+        return fileCache.get(url);
+    }
+
+    function toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    // Whether a font has a glyph for every code point of a cluster
+    function covers(face, cluster) {
+        if (!face) return false;
+        if (!face.coverage.has(cluster)) {
+            face.coverage.set(cluster, Array.from(cluster).every(ch => face.metadata.characterToGlyph(ch.codePointAt(0)) > 0));
+        }
+        return face.coverage.get(cluster);
+    }
+
+    /**
+     * Creates a stand-in for CanvasRenderingContext2D that draws into the
+     * current page of a jsPDF document, so Renderer's draw steps produce
+     * vector pages. State, transforms and paths come from
+     * SVGBackend.createRecorder, so it covers the same canvas subset. Text is
+     * written in the embedded fonts and stays selectable; what a PDF can't
+     * express (shadows, fading gradients, emoji, right-to-left scripts and
+     * characters no embedded font has) is drawn as an image in place.
+     * The document must be in jsPDF's advanced API mode while drawing.
+     * @param {jsPDF} pdf - Target document (unit 'pt').
+     * @param {number} width - Card width in card units.
+     * @param {number} height - Card height in card units.
+     * @param {object} resources - From prepare().
+     * @returns {object} The context; `ctx.canvas` stands in for paint()'s target.
+     */
+    function createContext(pdf, width, height, resources) {
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+
+        // Card units to points; the page has the card's aspect ratio
+        const unit = pageWidth / width;
+
+        // Clips live in the PDF graphics state, so save/restore map onto it
+        const recorder = SVGBackend.createRecorder(width, height, {
+            unit,
+            save: () => pdf.saveGraphicsState(),
+            restore: () => pdf.restoreGraphicsState()
+        });
+        const ctx = recorder.ctx;
+        const toPage = recorder.transform;
+        const apply = recorder.apply;
+
+        // For placing text drawn as an image, which depends on textAlign
+        const measurer = document.createElement('canvas').getContext('2d');
+
+        Object.assign(ctx, {
+            fill(rule) {
+                fillPath(recorder.getPath(), rule === 'evenodd' ? 'evenodd' : 'nonzero');
+            },
+            stroke() {
+                strokePath(recorder.getPath());
+            },
+            clip(rule) {
+                const path = recorder.getPath();
+                if (!path.length) return;
+                tracePath(path);
+                pdf.clip(rule === 'evenodd' ? 'evenodd' : undefined);
+                pdf.discardPath();
+            },
+            fillRect(x, y, w, h) {
+                fillPath(recorder.rectPath(x, y, w, h), 'nonzero');
+            },
+            strokeRect(x, y, w, h) {
+                strokePath(recorder.rectPath(x, y, w, h));
+            },
+            // The page starts out blank; later clears are not needed by
+            // the renderer
+            clearRect() {},
+
+            fillText(text, x, y) {
+                drawText(String(text), x, y);
+            },
+
+            drawImage(image, ...args) {
+                drawImage(image, args);
+            }
+        });
+
+        // Line widths follow the transform; the renderer only scales uniformly
+        function scaleFactor(m) {
+            return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+        }
+
+        function tracePath(ops) {
+            ops.forEach(([op, ...c]) => {
+                if (op === 'm') pdf.moveTo(c[0], c[1]);
+                else if (op === 'l') pdf.lineTo(c[0], c[1]);
+                else if (op === 'c') pdf.curveTo(c[0], c[1], c[2], c[3], c[4], c[5]);
+                else pdf.close();
+            });
+        }
+
+        function hasShadow() {
+            const color = parseColor(ctx.shadowColor);
+            return !!color && color.alpha > 0 && !!(ctx.shadowBlur || ctx.shadowOffsetX || ctx.shadowOffsetY);
+        }
+
+        // PDF shadings are opaque, so gradients that fade are drawn as images
+        function isFlat(style) {
+            if (typeof style === 'string') return true;
+            const alphas = style.stops.map(stop => (parseColor(stop.color) || { alpha: 0 }).alpha);
+            return alphas.every(alpha => alpha === alphas[0]);
+        }
+
+        /**
+         * Sets a fill or stroke style for the next paint operation.
+         * @returns {boolean|object} False when nothing would be painted,
+         *     the shading to fill with for gradients, true otherwise.
+         */
+        function applyStyle(style, kind) {
+            let alpha = ctx.globalAlpha;
+            let shading = true;
+
+            if (typeof style === 'string') {
+                const color = parseColor(style);
+                if (!color) return false;
+                alpha *= color.alpha;
+                if (kind === 'fill') pdf.setFillColor(...color.rgb);
+                else if (kind === 'stroke') pdf.setDrawColor(...color.rgb);
+                else pdf.setTextColor(...color.rgb);
+            } else {
+                // Stops share one alpha here (see isFlat)
+                const colors = style.stops.map(stop => parseColor(stop.color));
+                if (!colors.length || !colors[0]) return false;
+                alpha *= colors[0].alpha;
+
+                const stops = style.stops.map((stop, i) => ({ offset: Utils.clamp(stop.offset, 0, 1), color: colors[i].rgb }))
+                    .sort((a, b) => a.offset - b.offset);
+                const key = `sh${nextId++}`;
+                pdf.addShadingPattern(key, new pdf.ShadingPattern(style.type === 'linear' ? 'axial' : 'radial', style.coords, stops));
+                shading = { key, matrix: new pdf.Matrix(...toPage()) };
+            }
+
+            if (alpha <= 0) return false;
+            if (alpha < 1) pdf.setGState(new pdf.GState({ opacity: alpha, 'stroke-opacity': alpha }));
+            return shading;
+        }
+
+        function fillPath(ops, rule) {
+            if (!ops.length) return;
+            if (hasShadow() || !isFlat(ctx.fillStyle)) {
+                rasterize(pathBounds(ops, shadowExtent()), (raster) => {
+                    traceCanvas(raster, ops);
+                    raster.transform(...toPage());
+                    raster.fillStyle = canvasStyle(raster, ctx.fillStyle);
+                    raster.fill(rule);
+                });
+                return;
+            }
+
+            pdf.saveGraphicsState();
+            const shading = applyStyle(ctx.fillStyle, 'fill');
+            if (shading) {
+                tracePath(ops);
+                const pattern = shading === true ? undefined : shading;
+                if (rule === 'evenodd') pdf.fillEvenOdd(pattern);
+                else pdf.fill(pattern);
+            }
+            pdf.restoreGraphicsState();
+        }
+
+        function strokePath(ops) {
+            if (!ops.length) return;
+            if (hasShadow() || typeof ctx.strokeStyle !== 'string') {
+                rasterize(pathBounds(ops, shadowExtent() + ctx.lineWidth * scaleFactor(toPage())), (raster) => {
+                    traceCanvas(raster, ops);
+                    raster.transform(...toPage());
+                    raster.strokeStyle = canvasStyle(raster, ctx.strokeStyle);
+                    ['lineWidth', 'lineCap', 'lineJoin', 'miterLimit'].forEach(key => {
+                        raster[key] = ctx[key];
+                    });
+                    raster.setLineDash(ctx.getLineDash());
+                    raster.stroke();
+                });
+                return;
+            }
+
+            pdf.saveGraphicsState();
+            if (applyStyle(ctx.strokeStyle, 'stroke')) {
+                const k = scaleFactor(toPage());
+                pdf.setLineWidth(ctx.lineWidth * k);
+                pdf.setLineCap(ctx.lineCap);
+                pdf.setLineJoin(ctx.lineJoin);
+                pdf.setLineMiterLimit(ctx.miterLimit);
+                pdf.setLineDashPattern(ctx.getLineDash().map(d => d * k), 0);
+                tracePath(ops);
+                pdf.stroke();
+            }
+            pdf.restoreGraphicsState();
+        }
+
+        /**
+         * Writes text in the embedded fonts, cluster by cluster through the
+         * font stack like the canvas does. Runs no embedded font can draw are
+         * placed as images at their measured position.
+         */
+        function drawText(text, x, y) {
+            const font = parseFont(ctx.font);
+            const width = ctx.measureText(text).width;
+
+            if (!font || RTL.test(text) || hasShadow() || typeof ctx.fillStyle !== 'string') {
+                rasterizeText(text, x, y, ctx.textAlign);
+                return;
+            }
+
+            let cursor = x - width * alignShare();
+
+            splitRuns(text, font).forEach(run => {
+                const runWidth = ctx.measureText(run.text).width;
+                if (run.face) drawRun(run, font, cursor, y);
+                else rasterizeText(run.text, cursor, y, 'left');
+                cursor += runWidth;
+            });
+        }
+
+        function drawRun(run, font, x, y) {
+            pdf.saveGraphicsState();
+            if (applyStyle(ctx.fillStyle, 'text')) {
+                let m = SVGBackend.multiply(toPage(), [1, 0, 0, 1, x, y]);
+                if (run.face.slant) m = SVGBackend.multiply(m, [1, 0, -SYNTHETIC_SLANT, 1, 0, 0]);
+                pdf.setCurrentTransformationMatrix(new pdf.Matrix(...m));
+                pdf.setFont(run.face.id, run.face.style);
+                pdf.setFontSize(font.size);
+
+                const options = { baseline: 'alphabetic' };
+                if (run.face.embolden) {
+                    pdf.setDrawColor(...parseColor(ctx.fillStyle).rgb);
+                    pdf.setLineWidth(font.size * SYNTHETIC_BOLD);
+                    pdf.setLineJoin('round');
+                    options.renderingMode = 'fillThenStroke';
+                }
+                pdf.text(run.text, 0, 0, options);
+            }
+            pdf.restoreGraphicsState();
+        }
+
+        /**
+         * Groups a string's grapheme clusters by the face that draws them:
+         * the first family in the stack that has the glyphs. Null faces
+         * mark runs to draw as images.
+         * @returns {{text: string, face: object|null}[]}
+         */
+        function splitRuns(text, font) {
+            const runs = [];
+            const clusters = graphemeSegmenter
+                ? Array.from(graphemeSegmenter.segment(text), part => part.segment)
+                : Array.from(text);
+
+            clusters.forEach(cluster => {
+                const face = PICTOGRAPH.test(cluster) ? null : pickFace(cluster, font);
+                const last = runs[runs.length - 1];
+                const same = last && last.face && face && last.face.id === face.id &&
+                    last.face.slant === face.slant && last.face.embolden === face.embolden;
+                if (last && (last.face === face || same)) {
+                    last.text += cluster;
+                } else {
+                    runs.push({ text: cluster, face });
+                }
+            });
+            return runs;
+        }
+
+        function pickFace(cluster, font) {
+            for (const family of font.families) {
+                if (has(STANDARD_FONTS, family)) {
+                    if (!WIN_ANSI.test(cluster)) return null;
+                    const style = (font.bold ? 'bold' : '') + (font.italic ? 'italic' : '') || 'normal';
+                    return { id: STANDARD_FONTS[family], style, slant: false, embolden: false };
+                }
+                if (!has(FONT_FILES, family)) continue;
+
+                // Families the canvas would have used but that failed to
+                // embed: an image keeps the card's look
+                const faces = resources.fonts[family];
+                if (!faces) {
+                    if (resources.missing.indexOf(family) !== -1) return null;
+                    continue;
+                }
+
+                const wanted = (font.bold ? 'bold' : '') + (font.italic ? 'italic' : '') || 'normal';
+                const variant = [wanted, font.italic ? 'italic' : null, font.bold ? 'bold' : null, 'normal']
+                    .find(name => name && faces[name]);
+                const face = faces[variant];
+                if (!/^\s*$/.test(cluster) && !covers(face, cluster)) continue;
+                return {
+                    id: face.id,
+                    style: 'normal',
+                    slant: font.italic && variant.indexOf('italic') === -1,
+                    embolden: font.bold && variant.indexOf('bold') === -1
+                };
+            }
+            return null;
+        }
+
+        // Where the anchor sits along the text, 0 (left) to 1 (right)
+        function alignShare() {
+            const rtl = ctx.direction === 'rtl';
+            return { left: 0, center: 0.5, right: 1, start: rtl ? 1 : 0, end: rtl ? 0 : 1 }[ctx.textAlign] || 0;
+        }
+
+        function rasterizeText(text, x, y, align) {
+            measurer.font = ctx.font;
+            measurer.direction = ctx.direction;
+            measurer.textAlign = align;
+            const metrics = measurer.measureText(text);
+            const pad = parseFont(ctx.font) ? parseFont(ctx.font).size * 0.25 : 4;
+
+            const box = [x - metrics.actualBoundingBoxLeft - pad, y - metrics.actualBoundingBoxAscent - pad,
+                x + metrics.actualBoundingBoxRight + pad, y + metrics.actualBoundingBoxDescent + pad];
+            const corners = [[box[0], box[1]], [box[2], box[1]], [box[2], box[3]], [box[0], box[3]]].map(([px, py]) => apply(px, py));
+
+            rasterize(boundsOf(corners, shadowExtent()), (raster) => {
+                raster.transform(...toPage());
+                raster.font = ctx.font;
+                raster.direction = ctx.direction;
+                raster.textAlign = align;
+                raster.textBaseline = ctx.textBaseline;
+                raster.fillStyle = canvasStyle(raster, ctx.fillStyle);
+                raster.fillText(text, x, y);
+            });
+        }
+
+        /**
+         * Draws one canvas operation into a bitmap covering a box of the
+         * page (in points), then places the bitmap there. The callback's
+         * context is in points; it applies toPage() itself when it needs
+         * card units.
+         */
+        function rasterize(bounds, draw) {
+            const x0 = Math.max(0, Math.floor(bounds[0]));
+            const y0 = Math.max(0, Math.floor(bounds[1]));
+            const x1 = Math.min(pageWidth, Math.ceil(bounds[2]));
+            const y1 = Math.min(pageHeight, Math.ceil(bounds[3]));
+            if (x1 <= x0 || y1 <= y0) return;
+
+            const density = RASTER_DPI / 72;
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil((x1 - x0) * density);
+            canvas.height = Math.ceil((y1 - y0) * density);
+            const raster = canvas.getContext('2d');
+            raster.setTransform(density, 0, 0, density, -x0 * density, -y0 * density);
+
+            // Shadows are measured in canvas pixels, which are card units here
+            const k = unit * density;
+            raster.shadowColor = ctx.shadowColor;
+            raster.shadowBlur = ctx.shadowBlur * k;
+            raster.shadowOffsetX = ctx.shadowOffsetX * k;
+            raster.shadowOffsetY = ctx.shadowOffsetY * k;
+            raster.globalAlpha = ctx.globalAlpha;
+            draw(raster);
+
+            pdf.saveGraphicsState();
+            pdf.addImage(canvas.toDataURL('image/png'), 'PNG', x0, y0, x1 - x0, y1 - y0);
+            pdf.restoreGraphicsState();
+        }
+
+        function traceCanvas(raster, ops) {
+            raster.beginPath();
+            ops.forEach(([op, ...c]) => {
+                if (op === 'm') raster.moveTo(c[0], c[1]);
+                else if (op === 'l') raster.lineTo(c[0], c[1]);
+                else if (op === 'c') raster.bezierCurveTo(c[0], c[1], c[2], c[3], c[4], c[5]);
+                else raster.closePath();
+            });
+        }
+
+        // A real canvas gradient for a recorded one
+        function canvasStyle(raster, style) {
+            if (typeof style === 'string') return style;
+            const c = style.coords;
+            const gradient = style.type === 'linear'
+                ? raster.createLinearGradient(c[0], c[1], c[2], c[3])
+                : raster.createRadialGradient(c[0], c[1], c[2], c[3], c[4], c[5]);
+            style.stops.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+            return gradient;
+        }
+
+        // How far a shadow reaches past its shape, in points
+        function shadowExtent() {
+            if (!hasShadow()) return 0;
+            return (ctx.shadowBlur * 2 + Math.max(Math.abs(ctx.shadowOffsetX), Math.abs(ctx.shadowOffsetY))) * unit;
+        }
+
+        function pathBounds(ops, margin) {
+            const points = [];
+            ops.forEach(([, ...c]) => {
+                for (let i = 0; i < c.length; i += 2) points.push([c[i], c[i + 1]]);
+            });
+            return boundsOf(points, margin);
+        }
+
+        function boundsOf(points, margin) {
+            const xs = points.map(p => p[0]);
+            const ys = points.map(p => p[1]);
+            return [Math.min(...xs) - margin, Math.min(...ys) - margin, Math.max(...xs) + margin, Math.max(...ys) + margin];
+        }
+
+        /**
+         * Places an image with the current transform. Each source is
+         * encoded once per document: photos keep their JPEG or PNG data,
+         * canvases and bitmaps (cached textures) become PNG. A CSS filter
+         * (photo filters) is baked into a copy.
+         */
+        function drawImage(image, args) {
+            const sw = image.naturalWidth || image.width;
+            const sh = image.naturalHeight || image.height;
+            let [dx, dy, dw, dh] = args.length <= 4 ? args : args.slice(4);
+            if (dw === undefined) {
+                dw = sw;
+                dh = sh;
+            }
+
+            const crop = args.length > 4 ? args.slice(0, 4) : null;
+            const filter = ctx.filter && ctx.filter !== 'none' ? ctx.filter : '';
+            const encoded = crop || filter ? encodeImage(image, crop, filter) : cachedImage(image);
+
+            pdf.saveGraphicsState();
+            if (ctx.globalAlpha < 1) pdf.setGState(new pdf.GState({ opacity: ctx.globalAlpha }));
+            pdf.setCurrentTransformationMatrix(new pdf.Matrix(...toPage()));
+            pdf.addImage(encoded.data, encoded.format, dx, dy, dw, dh, encoded.alias);
+            pdf.restoreGraphicsState();
+        }
+
+        function cachedImage(image) {
+            if (!resources.images.has(image)) {
+                const encoded = encodeImage(image);
+                encoded.alias = `img${nextId++}`;
+                resources.images.set(image, encoded);
+            }
+            return resources.images.get(image);
+        }
+
+        return ctx;
+    }
+
+    function encodeImage(image, crop, filter) {
+        const src = typeof image.src === 'string' ? image.src : '';
+        const photo = /^data:image\/(jpeg|png);base64,/.exec(src);
+        if (photo && !crop && !filter) return { data: src, format: photo[1].toUpperCase() };
+
+        const [sx, sy, sw, sh] = crop || [0, 0, image.naturalWidth || image.width, image.naturalHeight || image.height];
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(sw));
+        canvas.height = Math.max(1, Math.round(sh));
+        const context = canvas.getContext('2d');
+        if (filter) context.filter = filter;
+        context.drawImage(image, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+
+        return src
+            ? { data: canvas.toDataURL('image/jpeg', 0.92), format: 'JPEG' }
+            : { data: canvas.toDataURL('image/png'), format: 'PNG' };
+    }
+
+    function has(map, key) {
+        return Object.prototype.hasOwnProperty.call(map, key);
+    }
+
+    /**
+     * Reads the renderer's font shorthands ("italic 700 24px 'Lato', ...").
+     * @returns {{italic: boolean, bold: boolean, size: number, families: string[]}|null}
+     */
+    function parseFont(font) {
+        const match = /^\s*(italic\s+)?(?:(\d{3}|bold|normal)\s+)?([\d.]+)px\s+(.+)$/.exec(font);
+        if (!match) return null;
+        return {
+            italic: !!match[1],
+            bold: match[2] === 'bold' || parseInt(match[2], 10) >= 600,
+            size: parseFloat(match[3]),
+            families: match[4].split(',').map(name => name.trim().replace(/^['"]|['"]$/g, ''))
+        };
+    }
+
+    // Any CSS color as [r, g, b] and alpha, read back through a canvas
+    let colorProbe = null;
+    const colorCache = new Map();
+
+    /**
+     * @returns {{rgb: number[], alpha: number}|null} Null for transparent.
+     */
+    function parseColor(color) {
+        if (!colorCache.has(color)) colorCache.set(color, readColor(color));
+        return colorCache.get(color);
+    }
+
+    function readColor(color) {
+        if (!colorProbe) colorProbe = Utils.createCanvas(1, 1).getContext('2d');
+        colorProbe.fillStyle = '#000000';
+        colorProbe.fillStyle = color;
+        const value = String(colorProbe.fillStyle);
+
+        const hex = /^#([0-9a-f]{6})$/i.exec(value);
+        if (hex) return { rgb: [0, 2, 4].map(i => parseInt(hex[1].slice(i, i + 2), 16)), alpha: 1 };
+
+        const rgba = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+))?\s*\)$/i.exec(value);
+        if (!rgba) return null;
+        const alpha = rgba[4] === undefined ? 1 : parseFloat(rgba[4]);
+        return alpha > 0 ? { rgb: [rgba[1], rgba[2], rgba[3]].map(Number), alpha } : null;
+    }
+
+    return {
+        prepare,
+        createContext
+    };
+})();
+
+/* =========================================
+   5.0 UI CONTROLLER (INTERACTION)
+   ========================================= */
+const UI = (function() {
+    
+    // DOM Elements Cache
+    const dom = {};
+
+    // Message markup inserted by the formatting bar (see Renderer.parseMessage)
+    const MESSAGE_FORMATS = {
+        bold: { before: '**', after: '**' },
+        italic: { before: '*', after: '*' },
+        primary: { before: '[', after: '](primary)' },
+        accent: { before: '[', after: '](accent)' }
+    };
+
+    function init() {
+        console.log("UIController: Initializing...");
+        cacheDOM();
+        bindEvents();
+        renderThemePicker();
+        renderLayoutPicker();
+        renderFilterPicker();
+        renderDecorationPicker();
+        renderTexturePicker();
+        renderFramePicker();
+        renderStickerPicker();
+        bindStickerEvents();
+        initPageSwitcher();
+        renderSizeSelector();
+        renderPrintSelectors();
+        renderFontSelector(); // Ensure font selector respects state
+        renderLibrary(CardLibrary.getCards());
+        renderHistory(StateManager.getHistory());
+        
+        // Initial State Sync
+        syncUI(StateManager.get());
+
+        // Sub to state updates
+        EventBus.subscribe('state:updated', (state) => {
+            syncUI(state);
+        });
+
+        EventBus.subscribe('page:changed', () => {
+            syncUI(StateManager.get());
+        });
+
+        EventBus.subscribe('history:updated', renderHistory);
+
+        EventBus.subscribe('library:updated', (cards) => {
+            renderLibrary(cards);
+        });
+
+        EventBus.subscribe('render:fit', renderFitWarning);
+
+        EventBus.subscribe('themes:updated', () => {
+            renderThemePicker();
+            renderStickerPicker();
+            syncUI(StateManager.get());
+        });
+
+        EventBus.subscribe('editor:selection', (selection) => {
+            syncStickerControls(StateManager.get());
+            if (!dom.selectionLabel) return;
+            dom.selectionLabel.textContent = selection.id
+                ? `${selection.label} selected · arrows nudge, Shift for 10px`
+                : "Tip: drag text on the card to move it";
+        });
+        
+        // Spawn bg particles
+        Motion.spawnParticles();
+    }
+
+    function cacheDOM() {
+        dom.inputTo = document.getElementById('in-to');
+        dom.inputMsg = document.getElementById('in-msg');
+        dom.formatBar = document.getElementById('format-bar');
+        dom.inputFrom = document.getElementById('in-from');
+        dom.inputAutoFit = document.getElementById('in-autofit');
+        dom.inputSize = document.getElementById('in-size');
+        dom.customSize = document.getElementById('custom-size');
+        dom.inputSizeW = document.getElementById('in-size-w');
+        dom.inputSizeH = document.getElementById('in-size-h');
+        dom.fitWarning = document.getElementById('fit-warning');
+        dom.fitWarningText = document.getElementById('fit-warning-text');
+        dom.inputFont = document.getElementById('in-font');
+        dom.themePicker = document.getElementById('theme-picker');
+        dom.btnThemeEdit = document.getElementById('btn-theme-edit');
+        dom.layoutPicker = document.getElementById('layout-picker');
+        dom.decorationPicker = document.getElementById('decoration-picker');
+        dom.texturePicker = document.getElementById('texture-picker');
+        dom.btnTextureSeed = document.getElementById('btn-texture-seed');
+        dom.framePicker = document.getElementById('frame-picker');
+        dom.frameControls = document.getElementById('frame-controls');
+        dom.inputFrameThickness = document.getElementById('in-frame-thickness');
+        dom.inputFrameMargin = document.getElementById('in-frame-margin');
+        dom.frameColors = document.getElementById('frame-colors');
+        dom.photoDrop = document.getElementById('photo-drop');
+        dom.inputPhoto = document.getElementById('in-photo');
+        dom.photoControls = document.getElementById('photo-controls');
+        dom.inputPhotoZoom = document.getElementById('in-photo-zoom');
+        dom.inputPhotoPanX = document.getElementById('in-photo-pan-x');
+        dom.inputPhotoPanY = document.getElementById('in-photo-pan-y');
+        dom.filterPicker = document.getElementById('filter-picker');
+        dom.btnPhotoRemove = document.getElementById('btn-photo-remove');
+        dom.stickerPicker = document.getElementById('sticker-picker');
+        dom.stickerControls = document.getElementById('sticker-controls');
+        dom.stickerColors = document.getElementById('sticker-colors');
+        dom.inputStickerColor = document.getElementById('in-sticker-color');
+        dom.stickerLayers = document.getElementById('sticker-layers');
+        dom.btnStickerDelete = document.getElementById('btn-sticker-delete');
+        dom.stage = document.querySelector('.preview-stage');
+        dom.selectionLabel = document.getElementById('selection-label');
+        dom.btnResetPositions = document.getElementById('btn-reset-positions');
+        dom.libraryList = document.getElementById('library-list');
+        dom.historyList = document.getElementById('history-list');
+        dom.btnUndo = document.getElementById('btn-undo');
+        dom.btnRedo = document.getElementById('btn-redo');
+        dom.btnNewCard = document.getElementById('btn-new-card');
+        dom.btnOpenPng = document.getElementById('btn-open-png');
+        dom.inputOpenPng = document.getElementById('in-open-png');
+        dom.btnPng = document.getElementById('export-png');
+        dom.btnPdf = document.getElementById('export-pdf');
+        dom.btnShare = document.getElementById('share-link');
+        dom.btnSvg = document.getElementById('export-svg');
+        dom.btnECard = document.getElementById('export-ecard');
+        dom.inputPrintFold = document.getElementById('in-print-fold');
+        dom.inputPrintPaper = document.getElementById('in-print-paper');
+        dom.inputPrintBleed = document.getElementById('in-print-bleed');
+        dom.inputPrintMarks = document.getElementById('in-print-marks');
+        dom.inputPdfMode = document.getElementById('in-pdf-mode');
+        dom.btnPrint = document.getElementById('export-print');
+        dom.toast = document.getElementById('toast');
+        dom.sidebar = document.querySelector('.sidebar');
+    }
+
+    function bindEvents() {
+        // Text Inputs (Debounced update for perf)
+        // Actually, for immediate canvas feedback, we might want 'input' without debounce, 
+        // or a very short debounce. Renderer uses RAF so it's safe.
+        
+        if (dom.inputTo) {
+            dom.inputTo.addEventListener('input', (e) => {
+                StateManager.update(StateManager.pagePath('content.to'), e.target.value);
+            });
+        }
+        
+        if (dom.inputMsg) {
+            dom.inputMsg.addEventListener('input', (e) => {
+                StateManager.update(StateManager.pagePath('content.message'), e.target.value);
+            });
+        }
+        
+        if (dom.inputFrom) {
+            dom.inputFrom.addEventListener('input', (e) => {
+                StateManager.update(StateManager.pagePath('content.from'), e.target.value);
+            });
+        }
+
+        if (dom.inputAutoFit) {
+            dom.inputAutoFit.addEventListener('change', (e) => {
+                StateManager.update('design.autoFit', e.target.checked);
+            });
+        }
+
+        bindSizeEvents();
+
+        if (dom.inputFont) {
+            dom.inputFont.addEventListener('change', (e) => {
+                StateManager.update('design.fontFamily', e.target.value);
+            });
+        }
+
+        bindPhotoEvents();
+        bindPrintEvents();
+        bindFormatEvents();
+
+        if (dom.btnResetPositions) {
+            dom.btnResetPositions.addEventListener('click', () => {
+                StateManager.update(StateManager.pagePath('design.transforms'), {});
+                Utils.notify("Text Positions Reset");
+            });
+        }
+
+        // Actions
+        if (dom.btnNewCard) {
+            dom.btnNewCard.addEventListener('click', () => {
+                CardLibrary.create();
+            });
+        }
+
+        if (dom.btnOpenPng && dom.inputOpenPng) {
+            dom.btnOpenPng.addEventListener('click', () => dom.inputOpenPng.click());
+            dom.inputOpenPng.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    CardPNG.open(file).then((opened) => {
+                        if (!opened) Utils.notify("This PNG has no Heartify card inside");
+                    }).catch((e) => {
+                        console.error("UIController: Card PNG open failed", e);
+                        Utils.notify("This card PNG could not be opened");
+                    });
+                }
+                e.target.value = '';
+            });
+        }
+
+        if (dom.btnPng) {
+            dom.btnPng.addEventListener('click', ExportEngine.downloadPNG);
+        }
+
+        if (dom.btnPdf) {
+            dom.btnPdf.addEventListener('click', ExportEngine.downloadPDF);
+        }
+
+        if (dom.btnSvg) {
+            dom.btnSvg.addEventListener('click', ExportEngine.downloadSVG);
+        }
+
+        if (dom.btnShare) {
+            dom.btnShare.addEventListener('click', ShareLink.copyLink);
+        }
+
+        if (dom.btnECard) {
+            dom.btnECard.addEventListener('click', ECard.download);
+        }
+
+        if (dom.btnUndo) dom.btnUndo.addEventListener('click', StateManager.undo);
+        if (dom.btnRedo) dom.btnRedo.addEventListener('click', StateManager.redo);
+
+        // Keyboard Shortcuts (Undo/Redo)
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
+                e.preventDefault();
+                StateManager.undo();
+            }
+            if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
+                e.preventDefault();
+                StateManager.redo();
+            }
+        });
+    }
+
+    /**
+     * Shows or hides the "message too long" warning with a line/character budget.
+     * @param {object} fit - Payload of the 'render:fit' event.
+     */
+    function renderFitWarning(fit) {
+        if (!dom.fitWarning) return;
+
+        dom.fitWarning.classList.toggle('hidden', !fit.overflow);
+        if (!fit.overflow) return;
+
+        dom.fitWarningText.textContent =
+            `Message doesn't fit even at ${fit.size}px: ${fit.usedLines} of ${fit.maxLines} lines, ` +
+            `about ${fit.chars} of ~${fit.charBudget} characters. Shorten it or pick a roomier layout.`;
+    }
+
+    function bindPhotoEvents() {
+        if (dom.photoDrop && dom.inputPhoto) {
+            dom.photoDrop.addEventListener('click', () => dom.inputPhoto.click());
+            dom.photoDrop.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    dom.inputPhoto.click();
+                }
+            });
+            dom.inputPhoto.addEventListener('change', (e) => {
+                if (e.target.files[0]) handlePhotoFile(e.target.files[0]);
+                e.target.value = ''; // Allow re-selecting the same file
+            });
+        }
+
+        // Drag & Drop onto the drop zone or straight onto the preview.
+        // A card PNG opens as a card; any other image becomes the photo.
+        [dom.photoDrop, dom.stage].forEach(zone => {
+            if (!zone) return;
+            zone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                zone.classList.add('dragging');
+            });
+            zone.addEventListener('dragleave', () => zone.classList.remove('dragging'));
+            zone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                zone.classList.remove('dragging');
+                const file = e.dataTransfer && e.dataTransfer.files[0];
+                if (!file) return;
+                CardPNG.open(file).then((opened) => {
+                    if (!opened) handlePhotoFile(file);
+                }).catch((e) => {
+                    console.error("UIController: Card PNG open failed", e);
+                    Utils.notify("This card PNG could not be opened");
+                });
+            });
+        });
+
+        const sliders = [
+            [dom.inputPhotoZoom, 'content.photo.zoom'],
+            [dom.inputPhotoPanX, 'content.photo.panX'],
+            [dom.inputPhotoPanY, 'content.photo.panY']
+        ];
+        sliders.forEach(([input, path]) => {
+            if (!input) return;
+            input.addEventListener('input', (e) => {
+                StateManager.update(StateManager.pagePath(path), parseFloat(e.target.value));
+            });
+        });
+
+        if (dom.btnPhotoRemove) {
+            dom.btnPhotoRemove.addEventListener('click', () => {
+                StateManager.update(StateManager.pagePath('content.photo'), null, { label: 'Remove photo' });
+                Utils.notify("Photo Removed");
+            });
+        }
+    }
+
+    function handlePhotoFile(file) {
+        Utils.notify("Preparing photo... 📸");
+        PhotoLayer.importFile(file).then((src) => {
+            StateManager.update(StateManager.pagePath('content.photo'), PhotoLayer.createPhoto(src), { label: 'Add photo' });
+            Utils.notify("Photo Added! 📸");
+        }).catch((e) => {
+            console.warn("UIController: Photo import failed", e);
+            Utils.notify("That file could not be used as a photo");
+        });
+    }
+
+    function renderFilterPicker() {
+        if (!dom.filterPicker) return;
+
+        dom.filterPicker.innerHTML = '';
+
+        Object.values(PhotoLayer.getFilters()).forEach(filter => {
+            const btn = document.createElement('button');
+            btn.dataset.id = filter.id;
+            btn.textContent = filter.label;
+
+            btn.addEventListener('click', () => {
+                StateManager.update(StateManager.pagePath('content.photo.filter'), filter.id);
+            });
+
+            dom.filterPicker.appendChild(btn);
+        });
+    }
+
+    function renderThemePicker() {
+        if (!dom.themePicker) return;
+        
+        dom.themePicker.innerHTML = '';
+        const themes = StateManager.getThemes();
+        
+        Object.values(themes).forEach(theme => {
+            const btn = document.createElement('button');
+            btn.title = theme.label;
+            btn.dataset.id = theme.id;
+            if (theme.custom) btn.classList.add('custom');
+            
+            // CSS Gradient visual
+            btn.style.background = `linear-gradient(135deg, ${theme.bg[0]}, ${theme.bg[1]})`;
+            
+            btn.addEventListener('click', () => {
+                StateManager.update('design.themeId', theme.id);
+            });
+            
+            dom.themePicker.appendChild(btn);
+        });
+    }
+
+    function renderLayoutPicker() {
+        if (!dom.layoutPicker) return;
+
+        dom.layoutPicker.innerHTML = '';
+        const layouts = StateManager.getLayouts();
+
+        Object.values(layouts).forEach(layout => {
+            const btn = document.createElement('button');
+            btn.title = layout.label;
+            btn.dataset.id = layout.id;
+            btn.innerHTML = `<i data-lucide="${layout.icon}" class="w-4 h-4"></i><span>${layout.label}</span>`;
+
+            // A new layout starts from its own positions
+            btn.addEventListener('click', () => {
+                StateManager.updateMany({
+                    [StateManager.pagePath('design.layoutMode')]: layout.id,
+                    [StateManager.pagePath('design.transforms')]: {}
+                });
+            });
+
+            dom.layoutPicker.appendChild(btn);
+        });
+
+        if (window.lucide) lucide.createIcons();
+    }
+
+    function renderDecorationPicker() {
+        if (!dom.decorationPicker) return;
+
+        dom.decorationPicker.innerHTML = '';
+
+        Object.values(StateManager.getDecorations()).forEach(style => {
+            const btn = document.createElement('button');
+            btn.dataset.id = style.id;
+            btn.textContent = style.label;
+
+            btn.addEventListener('click', () => {
+                StateManager.update(StateManager.pagePath('design.decorations'), style.id);
+            });
+
+            dom.decorationPicker.appendChild(btn);
+        });
+    }
+
+    function renderTexturePicker() {
+        if (!dom.texturePicker) return;
+
+        dom.texturePicker.innerHTML = '';
+
+        Object.values(Textures.getTextures()).forEach(texture => {
+            const btn = document.createElement('button');
+            btn.dataset.id = texture.id;
+            btn.textContent = texture.label;
+
+            btn.addEventListener('click', () => {
+                StateManager.update('design.texture', texture.id);
+            });
+
+            dom.texturePicker.appendChild(btn);
+        });
+
+        if (dom.btnTextureSeed) {
+            dom.btnTextureSeed.addEventListener('click', () => {
+                // A fresh random seed is fine here: once stored, the grain is fixed
+                const seed = Math.floor(Math.random() * 0x100000000);
+                StateManager.update('design.textureSeed', seed);
+            });
+        }
+    }
+
+    /**
+     * Frame style chips plus the thickness, margin and color controls.
+     * The frame is card-wide; page decorations decide where it shows.
+     */
+    function renderFramePicker() {
+        if (!dom.framePicker) return;
+
+        dom.framePicker.innerHTML = '';
+
+        Object.values(Frames.getStyles()).forEach(style => {
+            const btn = document.createElement('button');
+            btn.dataset.id = style.id;
+            btn.textContent = style.label;
+
+            btn.addEventListener('click', () => {
+                StateManager.update('design.frame.style', style.id);
+            });
+
+            dom.framePicker.appendChild(btn);
+        });
+
+        const limits = Frames.getLimits();
+        const sliders = [
+            [dom.inputFrameThickness, 'thickness'],
+            [dom.inputFrameMargin, 'margin']
+        ];
+        sliders.forEach(([input, key]) => {
+            if (!input) return;
+            input.min = limits[key].min;
+            input.max = limits[key].max;
+
+            // One undo step per drag
+            input.addEventListener('input', (e) => {
+                StateManager.update(`design.frame.${key}`, parseFloat(e.target.value), { coalesce: true });
+            });
+        });
+
+        if (dom.frameColors) {
+            dom.frameColors.querySelectorAll('button').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    StateManager.update('design.frame.color', btn.dataset.color);
+                });
+            });
+        }
+    }
+
+    /**
+     * Sticker buttons, each showing its artwork in the current theme.
+     * Redrawn only when the theme changes (see syncUI).
+     */
+    function renderStickerPicker(theme) {
+        if (!dom.stickerPicker) return;
+
+        dom.stickerPicker.innerHTML = '';
+        theme = theme || StateManager.getTheme(StateManager.get().design.themeId);
+        dom.stickerPicker.dataset.themeId = theme.id;
+
+        Object.values(Stickers.getKinds()).forEach(kind => {
+            const btn = document.createElement('button');
+            btn.title = `Add ${kind.label.toLowerCase()}`;
+            btn.dataset.id = kind.id;
+
+            const icon = document.createElement('canvas');
+            icon.width = 72;
+            icon.height = 72;
+            Stickers.drawIcon(icon, kind.id, theme);
+            btn.appendChild(icon);
+
+            btn.addEventListener('click', () => addSticker(kind));
+            dom.stickerPicker.appendChild(btn);
+        });
+    }
+
+    function addSticker(kind) {
+        const stickers = getPageStickers(StateManager.get());
+        if (stickers.length >= Stickers.getLimit()) {
+            Utils.notify(`A page can hold up to ${Stickers.getLimit()} stickers`);
+            return;
+        }
+
+        const sticker = Stickers.create(kind.id, stickers.length);
+        StateManager.update(StateManager.pagePath('design.stickers'), stickers.concat(sticker), {
+            label: `Add ${kind.label.toLowerCase()}`
+        });
+        CanvasEditor.select(sticker.id);
+    }
+
+    function getPageStickers(state) {
+        return StateManager.resolvePage(state, StateManager.getActivePage()).design.stickers || [];
+    }
+
+    /**
+     * The sticker selected on the canvas, or null.
+     */
+    function getSelectedSticker(state) {
+        const id = CanvasEditor.getSelection();
+        return getPageStickers(state).find(sticker => sticker.id === id) || null;
+    }
+
+    function editSticker(changes, label, coalesce = false) {
+        const state = StateManager.get();
+        const sticker = getSelectedSticker(state);
+        if (!sticker) return;
+
+        StateManager.update(StateManager.pagePath('design.stickers'),
+            Stickers.replace(getPageStickers(state), sticker.id, changes), { label, coalesce });
+    }
+
+    function bindStickerEvents() {
+        if (dom.stickerColors) {
+            dom.stickerColors.querySelectorAll('button').forEach(btn => {
+                btn.addEventListener('click', () => editSticker({ color: btn.dataset.color }, 'Recolor sticker'));
+            });
+        }
+
+        // Dragging through the color picker makes a single step
+        if (dom.inputStickerColor) {
+            dom.inputStickerColor.addEventListener('input', (e) => {
+                editSticker({ color: e.target.value.toLowerCase() }, 'Recolor sticker', true);
+            });
+        }
+
+        if (dom.stickerLayers) {
+            dom.stickerLayers.querySelectorAll('button[data-layer]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const above = btn.dataset.layer === 'above';
+                    editSticker({ layer: btn.dataset.layer }, above ? 'Bring sticker above text' : 'Send sticker below text');
+                });
+            });
+        }
+
+        if (dom.btnStickerDelete) {
+            dom.btnStickerDelete.addEventListener('click', () => {
+                const sticker = getSelectedSticker(StateManager.get());
+                if (sticker) CanvasEditor.removeSticker(sticker.id);
+            });
+        }
+    }
+
+    function syncFrameControls(state) {
+        if (!dom.framePicker) return;
+
+        const frame = state.design.frame;
+        const theme = StateManager.getTheme(state.design.themeId);
+        const off = frame.style === 'none';
+
+        dom.framePicker.querySelectorAll('button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.id === frame.style);
+        });
+        if (dom.inputFrameThickness) {
+            dom.inputFrameThickness.value = frame.thickness;
+            dom.inputFrameThickness.disabled = off;
+        }
+        if (dom.inputFrameMargin) {
+            dom.inputFrameMargin.value = frame.margin;
+            dom.inputFrameMargin.disabled = off;
+        }
+        if (dom.frameColors) {
+            dom.frameColors.querySelectorAll('button').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.color === frame.color);
+                btn.disabled = off;
+                btn.querySelector('.format-swatch').style.background = theme[btn.dataset.color];
+            });
+        }
+    }
+
+    /**
+     * Shows the color and placement controls while a sticker is selected.
+     */
+    function syncStickerControls(state) {
+        if (!dom.stickerControls) return;
+
+        const sticker = getSelectedSticker(state);
+        dom.stickerControls.classList.toggle('hidden', !sticker);
+        if (!sticker) return;
+
+        const theme = StateManager.getTheme(state.design.themeId);
+        const custom = Stickers.getColorRoles().indexOf(sticker.color) === -1;
+        dom.stickerColors.querySelectorAll('button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.color === sticker.color);
+            btn.querySelector('.format-swatch').style.background = theme[btn.dataset.color];
+        });
+        if (dom.inputStickerColor) {
+            dom.inputStickerColor.value = custom ? sticker.color : theme[sticker.color];
+            dom.inputStickerColor.classList.toggle('active', custom);
+        }
+        dom.stickerLayers.querySelectorAll('button[data-layer]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.layer === sticker.layer);
+        });
+    }
+
+    /**
+     * Renders the Front / Inside / Back tabs above the preview.
+     * Switching pages is a view change, not an edit, so it isn't undoable.
+     * Also used on its own by the read-only recipient view.
+     */
+    function initPageSwitcher() {
+        dom.pageSwitcher = document.getElementById('page-switcher');
+        if (!dom.pageSwitcher) return;
+
+        dom.pageSwitcher.innerHTML = '';
+
+        StateManager.getPages().forEach(page => {
+            const btn = document.createElement('button');
+            btn.dataset.id = page.id;
+            btn.textContent = page.label;
+
+            btn.addEventListener('click', () => {
+                StateManager.setActivePage(page.id);
+            });
+
+            dom.pageSwitcher.appendChild(btn);
+        });
+
+        syncPageSwitcher(StateManager.getActivePage());
+        EventBus.subscribe('page:changed', syncPageSwitcher);
+    }
+
+    function syncPageSwitcher(pageId) {
+        dom.pageSwitcher.querySelectorAll('button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.id === pageId);
+        });
+    }
+
+    /**
+     * Renders the undo history, newest first. Clicking a step jumps to the
+     * card as it was right after it; undone steps stay listed until a new edit.
+     * @param {{steps: Array, cursor: number}} data - StateManager.getHistory().
+     */
+    function renderHistory(data) {
+        if (!dom.historyList) return;
+
+        dom.historyList.innerHTML = '';
+
+        const items = data.steps.map((step, i) => ({ label: step.label, cursor: i + 1 }));
+        items.unshift({ label: 'Opened card', cursor: 0 });
+
+        items.reverse().forEach(item => {
+            const li = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.textContent = item.label;
+            btn.classList.toggle('active', item.cursor === data.cursor);
+            btn.classList.toggle('undone', item.cursor > data.cursor);
+
+            btn.addEventListener('click', () => StateManager.jumpTo(item.cursor));
+
+            li.appendChild(btn);
+            dom.historyList.appendChild(li);
+        });
+
+        if (dom.btnUndo) dom.btnUndo.disabled = data.cursor === 0;
+        if (dom.btnRedo) dom.btnRedo.disabled = data.cursor === data.steps.length;
+    }
+
+    /**
+     * Renders the "My Cards" list from the library snapshot.
+     * @param {Array} cards - Output of CardLibrary.getCards().
+     */
+    function renderLibrary(cards) {
+        if (!dom.libraryList) return;
+
+        dom.libraryList.innerHTML = '';
+
+        cards.forEach(card => {
+            const item = document.createElement('div');
+            item.className = 'library-item' + (card.active ? ' active' : '');
+            item.dataset.id = card.id;
+            item.title = card.name;
+
+            const thumb = document.createElement('img');
+            thumb.className = 'library-thumb';
+            thumb.alt = '';
+            if (card.thumbnail) thumb.src = card.thumbnail;
+
+            const meta = document.createElement('div');
+            meta.className = 'library-meta';
+
+            const name = document.createElement('span');
+            name.className = 'library-name';
+            name.textContent = card.name;
+
+            const date = document.createElement('span');
+            date.className = 'library-date';
+            date.textContent = new Date(card.updatedAt).toLocaleDateString();
+
+            meta.appendChild(name);
+            meta.appendChild(date);
+
+            const actions = document.createElement('div');
+            actions.className = 'library-actions';
+            actions.appendChild(createLibraryAction('pencil', 'Rename', () => {
+                const next = prompt("Rename card", card.name);
+                if (next !== null) CardLibrary.rename(card.id, next);
+            }));
+            actions.appendChild(createLibraryAction('copy', 'Duplicate', () => {
+                CardLibrary.duplicate(card.id);
+            }));
+            actions.appendChild(createLibraryAction('trash-2', 'Delete', () => {
+                if (confirm(`Delete "${card.name}"? This cannot be undone.`)) {
+                    CardLibrary.remove(card.id);
+                }
+            }));
+
+            item.addEventListener('click', () => {
+                CardLibrary.switchTo(card.id);
+            });
+
+            item.appendChild(thumb);
+            item.appendChild(meta);
+            item.appendChild(actions);
+            dom.libraryList.appendChild(item);
+        });
+
+        if (window.lucide) lucide.createIcons();
+    }
+
+    function createLibraryAction(icon, label, handler) {
+        const btn = document.createElement('button');
+        btn.className = 'library-action';
+        btn.title = label;
+        btn.innerHTML = `<i data-lucide="${icon}" class="w-3 h-3"></i>`;
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation(); // Don't switch cards
+            handler();
+        });
+        return btn;
+    }
+
+    function renderSizeSelector() {
+        if (!dom.inputSize) return;
+
+        dom.inputSize.innerHTML = '';
+        const sizes = Object.values(StateManager.getSizes()).concat([{ id: 'custom', label: 'Custom Size' }]);
+
+        sizes.forEach(size => {
+            const option = document.createElement('option');
+            option.value = size.id;
+            option.textContent = size.label;
+            dom.inputSize.appendChild(option);
+        });
+
+        const limits = StateManager.getCustomSizeLimits();
+        [dom.inputSizeW, dom.inputSizeH].forEach(input => {
+            if (!input) return;
+            input.min = limits.min;
+            input.max = limits.max;
+        });
+    }
+
+    function bindSizeEvents() {
+        if (dom.inputSize) {
+            dom.inputSize.addEventListener('change', (e) => {
+                const size = StateManager.getSizes()[e.target.value];
+
+                // Custom keeps the current dimensions as a starting point
+                StateManager.updateMany(size ? {
+                    'config.sizeId': size.id,
+                    'config.width': size.width,
+                    'config.height': size.height
+                } : {
+                    'config.sizeId': 'custom'
+                });
+            });
+        }
+
+        const limits = StateManager.getCustomSizeLimits();
+        [[dom.inputSizeW, 'config.width'], [dom.inputSizeH, 'config.height']].forEach(([input, path]) => {
+            if (!input) return;
+            input.addEventListener('change', (e) => {
+                const value = Math.round(Utils.clamp(parseFloat(e.target.value) || 0, limits.min, limits.max));
+                e.target.value = value;
+                StateManager.update(path, value);
+            });
+        });
+    }
+
+    function renderPrintSelectors() {
+        [[dom.inputPrintFold, PrintEngine.getFolds()], [dom.inputPrintPaper, PrintEngine.getPapers()],
+            [dom.inputPdfMode, StateManager.getPdfModes()]].forEach(([select, options]) => {
+            if (!select) return;
+            select.innerHTML = '';
+            Object.values(options).forEach(item => {
+                const option = document.createElement('option');
+                option.value = item.id;
+                option.textContent = item.label;
+                select.appendChild(option);
+            });
+        });
+    }
+
+    function bindPrintEvents() {
+        [[dom.inputPrintFold, 'fold'], [dom.inputPrintPaper, 'paper']].forEach(([select, key]) => {
+            if (!select) return;
+            select.addEventListener('change', (e) => {
+                StateManager.update(`config.print.${key}`, e.target.value);
+            });
+        });
+
+        [[dom.inputPrintBleed, 'bleed'], [dom.inputPrintMarks, 'cropMarks']].forEach(([input, key]) => {
+            if (!input) return;
+            input.addEventListener('change', (e) => {
+                StateManager.update(`config.print.${key}`, e.target.checked);
+            });
+        });
+
+        if (dom.inputPdfMode) {
+            dom.inputPdfMode.addEventListener('change', (e) => {
+                StateManager.update('config.pdfMode', e.target.value);
+            });
+        }
+
+        if (dom.btnPrint) {
+            dom.btnPrint.addEventListener('click', PrintEngine.downloadPrintPDF);
+        }
+    }
+
+    /**
+     * Formatting buttons and shortcuts for the message markup
+     * (see Renderer.parseMessage). Edits go through the field's input
+     * handler so they are saved and undoable like typing.
+     */
+    function bindFormatEvents() {
+        if (!dom.inputMsg || !dom.formatBar) return;
+
+        dom.formatBar.querySelectorAll('button').forEach(btn => {
+            // Keep the text selection while clicking
+            btn.addEventListener('mousedown', (e) => e.preventDefault());
+            btn.addEventListener('click', () => applyFormat(btn.dataset.format));
+        });
+
+        dom.inputMsg.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            const key = e.shiftKey
+                ? { KeyH: 'heading', Digit1: 'primary', Digit2: 'accent' }[e.code]
+                : { b: 'bold', i: 'italic' }[e.key.toLowerCase()];
+            if (!key) return;
+
+            e.preventDefault();
+            applyFormat(key);
+        });
+    }
+
+    /**
+     * Wraps the message selection in a format's markers, or unwraps it if
+     * it is already wrapped. Headings toggle on the selected line instead.
+     * @param {string} id - A MESSAGE_FORMATS id or 'heading'.
+     */
+    function applyFormat(id) {
+        const field = dom.inputMsg;
+        const value = field.value;
+        const start = field.selectionStart;
+        const end = field.selectionEnd;
+
+        if (id === 'heading') {
+            // Cycles plain -> "# " -> "## " -> plain
+            const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+            const marker = (value.slice(lineStart).match(/^#{1,2}\s+/) || [''])[0];
+            const next = !marker ? '# ' : marker.trim() === '#' ? '## ' : '';
+            const shift = next.length - marker.length;
+
+            field.value = value.slice(0, lineStart) + next + value.slice(lineStart + marker.length);
+            field.setSelectionRange(Math.max(lineStart, start + shift), Math.max(lineStart, end + shift));
+        } else {
+            const { before, after } = MESSAGE_FORMATS[id];
+            const wrapped = value.slice(start - before.length, start) === before &&
+                value.slice(end, end + after.length) === after;
+
+            if (wrapped) {
+                field.value = value.slice(0, start - before.length) + value.slice(start, end) + value.slice(end + after.length);
+                field.setSelectionRange(start - before.length, end - before.length);
+            } else {
+                field.value = value.slice(0, start) + before + value.slice(start, end) + after + value.slice(end);
+                field.setSelectionRange(start + before.length, end + before.length);
+            }
+        }
+
+        field.focus();
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    function renderFontSelector() {
+        // Font selector options are static in HTML for now, 
+        // but we could populate them dynamically here if we wanted to support more fonts.
+    }
+
+    /**
+     * Syncs the UI inputs with the current state.
+     * Useful for Undo/Redo or Reset.
+     */
+    function syncUI(state) {
+        if (!state) return;
+
+        // Text, photo, layout and decorations belong to the page being edited
+        const page = StateManager.resolvePage(state, StateManager.getActivePage());
+
+        // Inputs
+        if (dom.inputTo) dom.inputTo.value = page.content.to;
+        if (dom.inputMsg) dom.inputMsg.value = page.content.message;
+        if (dom.inputFrom) dom.inputFrom.value = page.content.from;
+        if (dom.inputFont) dom.inputFont.value = state.design.fontFamily;
+        if (dom.inputAutoFit) dom.inputAutoFit.checked = state.design.autoFit !== false;
+
+        // Card Size
+        const size = StateManager.getSize(state.config);
+        if (dom.inputSize) dom.inputSize.value = size.id;
+        if (dom.customSize) dom.customSize.classList.toggle('hidden', size.id !== 'custom');
+        if (dom.inputSizeW) dom.inputSizeW.value = state.config.width;
+        if (dom.inputSizeH) dom.inputSizeH.value = state.config.height;
+
+        // Print Options (older saves predate them)
+        const print = Object.assign({}, StateManager.getDefault().config.print, state.config.print);
+        if (dom.inputPrintFold) dom.inputPrintFold.value = print.fold;
+        if (dom.inputPrintPaper) dom.inputPrintPaper.value = print.paper;
+        if (dom.inputPrintBleed) dom.inputPrintBleed.checked = !!print.bleed;
+        if (dom.inputPrintMarks) dom.inputPrintMarks.checked = !!print.cropMarks;
+        if (dom.inputPdfMode) dom.inputPdfMode.value = state.config.pdfMode;
+
+        // Theme Buttons Active State
+        const themeBtns = dom.themePicker.querySelectorAll('button');
+        themeBtns.forEach(btn => {
+            if (btn.dataset.id === state.design.themeId) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
+
+        // Photo Controls
+        const photo = page.content.photo;
+        if (dom.photoControls) dom.photoControls.classList.toggle('hidden', !photo);
+        if (photo) {
+            if (dom.inputPhotoZoom) dom.inputPhotoZoom.value = photo.zoom;
+            if (dom.inputPhotoPanX) dom.inputPhotoPanX.value = photo.panX;
+            if (dom.inputPhotoPanY) dom.inputPhotoPanY.value = photo.panY;
+            if (dom.filterPicker) {
+                dom.filterPicker.querySelectorAll('button').forEach(btn => {
+                    btn.classList.toggle('active', btn.dataset.id === photo.filter);
+                });
+            }
+        }
+
+        // Only custom themes can be edited in place
+        if (dom.btnThemeEdit) {
+            dom.btnThemeEdit.disabled = !StateManager.getTheme(state.design.themeId).custom;
+        }
+
+        // Layout Buttons Active State
+        if (dom.layoutPicker) {
+            dom.layoutPicker.querySelectorAll('button').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.id === page.design.layoutMode);
+            });
+        }
+
+        if (dom.decorationPicker) {
+            dom.decorationPicker.querySelectorAll('button').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.id === (page.design.decorations || 'full'));
+            });
+        }
+
+        if (dom.formatBar) {
+            const theme = StateManager.getTheme(state.design.themeId);
+            dom.formatBar.querySelectorAll('.format-swatch').forEach(swatch => {
+                swatch.style.background = theme[swatch.dataset.color];
+            });
+        }
+
+        if (dom.texturePicker) {
+            dom.texturePicker.querySelectorAll('button').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.id === state.design.texture);
+            });
+        }
+        if (dom.btnTextureSeed) dom.btnTextureSeed.disabled = state.design.texture === 'none';
+
+        syncFrameControls(state);
+
+        if (dom.stickerPicker && dom.stickerPicker.dataset.themeId !== state.design.themeId) {
+            renderStickerPicker(StateManager.getTheme(state.design.themeId));
+        }
+        syncStickerControls(state);
+    }
+
+    // Public API
+    return {
+        init,
+        initPageSwitcher
+    };
+})();
+
+/* =========================================
+   5.1 CANVAS EDITOR (DIRECT MANIPULATION)
+   ========================================= */
+const CanvasEditor = (function() {
+    // Topmost first, matching the paint order in Renderer. Stickers are
+    // hit-tested above or below these (see elementOrder).
+    const ELEMENTS = ['watermark', 'from', 'message', 'to'];
+    const LABELS = { to: 'Recipient', message: 'Message', from: 'Sender', watermark: 'Watermark' };
+    const GESTURE_VERBS = { move: 'Move', scale: 'Resize', rotate: 'Rotate' };
+
+    const SNAP_DISTANCE = 6;   // Card units
+    const SAFE_GAP = 30;       // Breathing room inside the frame
+    const ROTATION_SNAP = 5;   // Degrees around 0/90/180/270
+    const MIN_SCALE = 0.3;
+    const MAX_SCALE = 4;
+    const HIT_PADDING = 6;
+
+    let canvas = null;
+    let selectedId = null;
+    let gesture = null;
+
+    function init() {
+        canvas = Renderer.getCanvas();
+        if (!canvas) return;
+
+        canvas.tabIndex = 0;
+        canvas.setAttribute('aria-label', 'Card preview. Click a text block to select it, use arrow keys to nudge.');
+
+        canvas.addEventListener('pointerdown', onPointerDown);
+        canvas.addEventListener('pointermove', onPointerMove);
+        canvas.addEventListener('pointerup', endGesture);
+        canvas.addEventListener('pointercancel', endGesture);
+        canvas.addEventListener('keydown', onKeyDown);
+
+        EventBus.subscribe('app:reset', () => select(null));
+        EventBus.subscribe('page:changed', () => select(null));
+
+        // A sticker can disappear under the selection (undo, delete)
+        EventBus.subscribe('state:updated', (state) => {
+            if (selectedId && !has(LABELS, selectedId) && !findSticker(state, selectedId)) select(null);
+        });
+    }
+
+    function has(map, key) {
+        return Object.prototype.hasOwnProperty.call(map, key);
+    }
+
+    /**
+     * Changes the selected element and refreshes the overlay.
+     * @param {string|null} id - Element id or null to deselect.
+     */
+    function select(id) {
+        selectedId = id;
+        Renderer.setOverlay({ selectedId, guides: [] });
+        EventBus.publish('editor:selection', { id, label: id ? labelFor(id) : null });
+    }
+
+    function getStickers(state) {
+        return StateManager.resolvePage(state, StateManager.getActivePage()).design.stickers || [];
+    }
+
+    function findSticker(state, id) {
+        return getStickers(state).find(sticker => sticker.id === id) || null;
+    }
+
+    function labelFor(id) {
+        if (has(LABELS, id)) return LABELS[id];
+        const sticker = findSticker(StateManager.get(), id);
+        const kind = sticker && Stickers.getKinds()[sticker.kind];
+        return kind ? `${kind.label} sticker` : 'Sticker';
+    }
+
+    /**
+     * Every selectable id on the active page, topmost first.
+     */
+    function elementOrder(state) {
+        const stickers = getStickers(state).slice().reverse();
+        const ids = (layer) => stickers.filter(sticker => sticker.layer === layer).map(sticker => sticker.id);
+        return ids('above').concat(ELEMENTS, ids('below'));
+    }
+
+    /**
+     * Converts a pointer event to card coordinates.
+     */
+    function toCardPoint(e, config) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) / rect.width * config.width,
+            y: (e.clientY - rect.top) / rect.height * config.height
+        };
+    }
+
+    /**
+     * Expresses a card point in a box's unrotated frame, relative to its center.
+     */
+    function toLocal(box, p) {
+        const r = -box.rotation * Math.PI / 180;
+        const dx = p.x - box.cx;
+        const dy = p.y - box.cy;
+        return {
+            x: dx * Math.cos(r) - dy * Math.sin(r),
+            y: dx * Math.sin(r) + dy * Math.cos(r)
+        };
+    }
+
+    /**
+     * Finds what lies under a point: a handle of the selection first,
+     * then the topmost element.
+     * @returns {{id: string, mode: string}|null}
+     */
+    function hitTest(p) {
+        const boxes = Renderer.getElementBoxes();
+        const handle = Renderer.getHandleMetrics();
+
+        const selected = selectedId && boxes[selectedId];
+        if (selected) {
+            const local = toLocal(selected, p);
+            const bw = selected.w * selected.scale;
+            const bh = selected.h * selected.scale;
+
+            if (Math.hypot(local.x, local.y + bh / 2 + handle.offset) <= handle.size) {
+                return { id: selectedId, mode: 'rotate' };
+            }
+            if (Math.abs(local.x - bw / 2) <= handle.size && Math.abs(local.y - bh / 2) <= handle.size) {
+                return { id: selectedId, mode: 'scale' };
+            }
+        }
+
+        for (const id of elementOrder(StateManager.get())) {
+            const box = boxes[id];
+            if (!box) continue;
+            const local = toLocal(box, p);
+            if (Math.abs(local.x) <= box.w * box.scale / 2 + HIT_PADDING &&
+                Math.abs(local.y) <= box.h * box.scale / 2 + HIT_PADDING) {
+                return { id, mode: 'move' };
+            }
+        }
+        return null;
+    }
+
+    function getTransform(state, id) {
+        const sticker = findSticker(state, id);
+        if (sticker) return { x: sticker.x, y: sticker.y, scale: sticker.scale, rotation: sticker.rotation };
+
+        const page = StateManager.resolvePage(state, StateManager.getActivePage());
+        const transforms = page.design.transforms || {};
+        return Object.assign({ x: 0, y: 0, scale: 1, rotation: 0 }, transforms[id]);
+    }
+
+    function onPointerDown(e) {
+        const state = StateManager.get();
+        const p = toCardPoint(e, state.config);
+        const hit = hitTest(p);
+
+        if (!hit) {
+            select(null);
+            return;
+        }
+
+        if (hit.id !== selectedId) select(hit.id);
+
+        gesture = {
+            id: hit.id,
+            mode: hit.mode,
+            config: state.config,
+            safeMargin: state.design.frame.margin + SAFE_GAP,
+            start: p,
+            startTransform: getTransform(state, hit.id),
+            box: Object.assign({}, Renderer.getElementBoxes()[hit.id]),
+            recorded: false
+        };
+
+        canvas.setPointerCapture(e.pointerId);
+        e.preventDefault();
+    }
+
+    function onPointerMove(e) {
+        if (!gesture) {
+            // Hover feedback only
+            const config = StateManager.get().config;
+            const hit = hitTest(toCardPoint(e, config));
+            canvas.style.cursor = !hit ? '' :
+                hit.mode === 'scale' ? 'nwse-resize' :
+                hit.mode === 'rotate' ? 'grab' : 'move';
+            return;
+        }
+
+        const p = toCardPoint(e, gesture.config);
+        const t = Object.assign({}, gesture.startTransform);
+        let guides = [];
+
+        if (gesture.mode === 'move') {
+            const snapped = snapMove(gesture.box, p.x - gesture.start.x, p.y - gesture.start.y, gesture.config, gesture.safeMargin);
+            t.x = gesture.startTransform.x + snapped.dx / gesture.config.width;
+            t.y = gesture.startTransform.y + snapped.dy / gesture.config.height;
+            guides = snapped.guides;
+        } else if (gesture.mode === 'scale') {
+            const c = gesture.box;
+            const ratio = Math.hypot(p.x - c.cx, p.y - c.cy) / Math.max(1, Math.hypot(gesture.start.x - c.cx, gesture.start.y - c.cy));
+            t.scale = Utils.clamp(gesture.startTransform.scale * ratio, MIN_SCALE, MAX_SCALE);
+        } else if (gesture.mode === 'rotate') {
+            const c = gesture.box;
+            const delta = Math.atan2(p.y - c.cy, p.x - c.cx) - Math.atan2(gesture.start.y - c.cy, gesture.start.x - c.cx);
+            t.rotation = snapRotation(gesture.startTransform.rotation + delta * 180 / Math.PI, e.shiftKey);
+        }
+
+        // One undo step per gesture, recorded on the first real change
+        if (!gesture.recorded) {
+            StateManager.checkpoint(`${GESTURE_VERBS[gesture.mode]} ${labelFor(gesture.id).toLowerCase()}`);
+            gesture.recorded = true;
+        }
+
+        setTransform(gesture.id, roundTransform(t), { skipHistory: true });
+        Renderer.setOverlay({ selectedId, guides });
+    }
+
+    /**
+     * Stores an element's transform: text blocks in design.transforms,
+     * stickers in their own record.
+     */
+    function setTransform(id, t, options) {
+        const state = StateManager.get();
+        if (findSticker(state, id)) {
+            StateManager.update(StateManager.pagePath('design.stickers'), Stickers.replace(getStickers(state), id, t), options);
+        } else {
+            StateManager.update(StateManager.pagePath(`design.transforms.${id}`), t, options);
+        }
+    }
+
+    function endGesture() {
+        if (!gesture) return;
+        gesture = null;
+        Renderer.setOverlay({ selectedId, guides: [] });
+    }
+
+    /**
+     * Snaps a moved box to the card center and the safe margins.
+     * Works on the axis-aligned extent of the (possibly rotated) box.
+     * @param {number} margin - Safe margin: the frame's inset plus SAFE_GAP.
+     * @returns {{dx: number, dy: number, guides: Array}}
+     */
+    function snapMove(box, dx, dy, config, margin) {
+        const r = box.rotation * Math.PI / 180;
+        const bw = box.w * box.scale;
+        const bh = box.h * box.scale;
+        const halfW = Math.abs(bw / 2 * Math.cos(r)) + Math.abs(bh / 2 * Math.sin(r));
+        const halfH = Math.abs(bw / 2 * Math.sin(r)) + Math.abs(bh / 2 * Math.cos(r));
+
+        const x = snapAxis(box.cx + dx, halfW, config.width, margin, 'x');
+        const y = snapAxis(box.cy + dy, halfH, config.height, margin, 'y');
+
+        return {
+            dx: x.center - box.cx,
+            dy: y.center - box.cy,
+            guides: [x.guide, y.guide].filter(Boolean)
+        };
+    }
+
+    function snapAxis(center, half, size, margin, axis) {
+        const candidates = [
+            { offset: size / 2 - center, guide: size / 2 },
+            { offset: margin - (center - half), guide: margin },
+            { offset: (size - margin) - (center + half), guide: size - margin }
+        ];
+
+        let best = null;
+        candidates.forEach(c => {
+            if (Math.abs(c.offset) <= SNAP_DISTANCE && (!best || Math.abs(c.offset) < Math.abs(best.offset))) {
+                best = c;
+            }
+        });
+
+        if (!best) return { center, guide: null };
+        return { center: center + best.offset, guide: { axis, value: best.guide } };
+    }
+
+    function snapRotation(angle, fine) {
+        // Normalize to -180..180
+        let a = ((angle + 180) % 360 + 360) % 360 - 180;
+
+        if (fine) return Math.round(a / 15) * 15;
+
+        const nearest = Math.round(a / 90) * 90;
+        if (Math.abs(a - nearest) <= ROTATION_SNAP) a = nearest;
+        return a === -180 ? 180 : a;
+    }
+
+    function roundTransform(t) {
+        return {
+            x: Math.round(t.x * 10000) / 10000,
+            y: Math.round(t.y * 10000) / 10000,
+            scale: Math.round(t.scale * 1000) / 1000,
+            rotation: Math.round(t.rotation * 10) / 10
+        };
+    }
+
+    /**
+     * Arrow keys nudge the selection by 1 unit (10 with Shift).
+     * Delete or Backspace removes a selected sticker.
+     */
+    function onKeyDown(e) {
+        if (!selectedId) return;
+
+        if (e.key === 'Escape') {
+            select(null);
+            return;
+        }
+
+        if ((e.key === 'Delete' || e.key === 'Backspace') && !has(LABELS, selectedId)) {
+            e.preventDefault();
+            removeSticker(selectedId);
+            return;
+        }
+
+        const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        const move = moves[e.key];
+        if (!move) return;
+
+        e.preventDefault();
+        const state = StateManager.get();
+        const step = e.shiftKey ? 10 : 1;
+        const t = getTransform(state, selectedId);
+        t.x += move[0] * step / state.config.width;
+        t.y += move[1] * step / state.config.height;
+
+        // Repeated nudges of one element make a single step
+        setTransform(selectedId, roundTransform(t), {
+            label: `Nudge ${labelFor(selectedId).toLowerCase()}`,
+            coalesce: true
+        });
+    }
+
+    /**
+     * Deletes a sticker from the active page.
+     * @param {string} id - Sticker id.
+     */
+    function removeSticker(id) {
+        const stickers = getStickers(StateManager.get());
+        if (!stickers.some(sticker => sticker.id === id)) return;
+
+        if (id === selectedId) select(null);
+        StateManager.update(StateManager.pagePath('design.stickers'), stickers.filter(sticker => sticker.id !== id), {
+            label: 'Delete sticker'
+        });
+    }
+
+    return {
+        init,
+        select,
+        removeSticker,
+        getSelection: () => selectedId
+    };
+})();
+
+/* =========================================
+   5.2 THEME EDITOR (CUSTOM PALETTES)
+   ========================================= */
+const ThemeEditor = (function() {
+    const FILE_KIND = 'heartify-theme';
+    const FILE_VERSION = 1;
+    const MAX_FILE_BYTES = 64 * 1024;
+
+    const dom = {};
+    let draft = null;
+
+    function init() {
+        dom.panel = document.getElementById('theme-editor');
+        if (!dom.panel) return;
+
+        dom.label = document.getElementById('te-label');
+        dom.colors = dom.panel.querySelectorAll('input[type="color"]');
+        dom.btnNew = document.getElementById('btn-theme-new');
+        dom.btnEdit = document.getElementById('btn-theme-edit');
+        dom.btnImport = document.getElementById('btn-theme-import');
+        dom.inputImport = document.getElementById('in-theme-import');
+        dom.btnSave = document.getElementById('te-save');
+        dom.btnExport = document.getElementById('te-export');
+        dom.btnDelete = document.getElementById('te-delete');
+        dom.btnCancel = document.getElementById('te-cancel');
+
+        dom.btnNew.addEventListener('click', () => open(false));
+        dom.btnEdit.addEventListener('click', () => open(true));
+        dom.btnImport.addEventListener('click', () => dom.inputImport.click());
+        dom.inputImport.addEventListener('change', (e) => {
+            if (e.target.files[0]) importFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        dom.label.addEventListener('input', (e) => {
+            if (draft) draft.label = e.target.value;
+        });
+        dom.colors.forEach(input => {
+            input.addEventListener('input', (e) => {
+                if (!draft) return;
+                setByKey(draft, e.target.dataset.key, e.target.value);
+                Renderer.setPreviewTheme(draft);
+            });
+        });
+
+        dom.btnSave.addEventListener('click', save);
+        dom.btnExport.addEventListener('click', exportDraft);
+        dom.btnDelete.addEventListener('click', remove);
+        dom.btnCancel.addEventListener('click', close);
+    }
+
+    /**
+     * Opens the editor seeded from the active theme.
+     * @param {boolean} editExisting - Edit the active custom theme in place
+     * instead of starting a new one from its colors.
+     */
+    function open(editExisting) {
+        const active = StateManager.getTheme(StateManager.get().design.themeId);
+
+        draft = {
+            id: editExisting && active.custom ? active.id : null,
+            label: editExisting && active.custom ? active.label : `${active.label} Remix`,
+            bg: active.bg.map(expandHex),
+            primary: expandHex(active.primary),
+            accent: expandHex(active.accent),
+            text: expandHex(active.text),
+            particleColors: [0, 1, 2].map(i => expandHex(active.particleColors[i] || active.accent))
+        };
+
+        dom.label.value = draft.label;
+        dom.colors.forEach(input => {
+            input.value = getByKey(draft, input.dataset.key);
+        });
+        dom.btnDelete.classList.toggle('hidden', !draft.id);
+        dom.panel.classList.remove('hidden');
+
+        Renderer.setPreviewTheme(draft);
+    }
+
+    function close() {
+        draft = null;
+        if (dom.panel) dom.panel.classList.add('hidden');
+        Renderer.setPreviewTheme(null);
+    }
+
+    function save() {
+        try {
+            const theme = StateManager.saveCustomTheme(draft);
+            close();
+            StateManager.update('design.themeId', theme.id);
+            Utils.notify(`Theme "${theme.label}" Saved 🎨`);
+        } catch (e) {
+            Utils.notify(e.message);
+        }
+    }
+
+    function remove() {
+        if (!draft || !draft.id) return;
+        if (!confirm(`Delete theme "${draft.label}"? Cards using it switch to Rose.`)) return;
+
+        const id = draft.id;
+        close();
+        StateManager.deleteCustomTheme(id);
+        if (StateManager.get().design.themeId === id) {
+            StateManager.update('design.themeId', 'rose');
+        }
+        Utils.notify("Theme Deleted");
+    }
+
+    /**
+     * Downloads the draft as a small JSON file others can import.
+     */
+    function exportDraft() {
+        let theme;
+        try {
+            theme = StateManager.validateTheme(draft);
+        } catch (e) {
+            Utils.notify(e.message);
+            return;
+        }
+
+        const file = JSON.stringify({ kind: FILE_KIND, version: FILE_VERSION, theme }, null, 2);
+        Utils.downloadBlob(new Blob([file], { type: 'application/json' }),
+            `heartify-theme-${Utils.sanitizeFilename(theme.label)}.json`);
+
+        Utils.notify("Theme Exported 📁");
+    }
+
+    /**
+     * Reads a theme file, validates it and saves it as a new custom theme.
+     * @param {File} file - The JSON file.
+     */
+    function importFile(file) {
+        if (file.size > MAX_FILE_BYTES) {
+            Utils.notify("Theme file is too large");
+            return;
+        }
+
+        file.text().then((text) => {
+            const data = JSON.parse(text);
+            if (!Utils.isPlainObject(data) || data.kind !== FILE_KIND) {
+                throw new Error("Not a Heartify theme file");
+            }
+            if (data.version !== FILE_VERSION) {
+                throw new Error("Unsupported theme file version");
+            }
+
+            // Always a new theme; ids from other devices mean nothing here
+            const theme = StateManager.saveCustomTheme(Object.assign({}, data.theme, { id: null }));
+            StateManager.update('design.themeId', theme.id);
+            Utils.notify(`Theme "${theme.label}" Imported 🎨`);
+        }).catch((e) => {
+            console.warn("ThemeEditor: Import failed", e);
+            Utils.notify(e instanceof SyntaxError ? "Theme file is not valid JSON" : e.message);
+        });
+    }
+
+    /**
+     * Reads 'bg.0' style keys from the draft.
+     */
+    function getByKey(obj, key) {
+        return key.split('.').reduce((value, part) => value[part], obj);
+    }
+
+    function setByKey(obj, key, value) {
+        const parts = key.split('.');
+        const last = parts.pop();
+        parts.reduce((target, part) => target[part], obj)[last] = value;
+    }
+
+    /**
+     * Color inputs only accept #rrggbb.
+     */
+    function expandHex(hex) {
+        if (/^#[A-Fa-f0-9]{3}$/.test(hex)) {
+            return '#' + hex.slice(1).split('').map(c => c + c).join('').toLowerCase();
+        }
+        return hex.toLowerCase();
+    }
+
+    return {
+        init,
+        open,
+        close
+    };
+})();
+
+/* =========================================
+   5.3 QUOTE STUDIO (OFFLINE MESSAGE WRITER)
+   ========================================= */
+const QuoteStudio = (function() {
+    const STORAGE_KEY = 'heartify_quotes_v1';
+    const MAX_FAVORITES = 100;
+    const MAX_ATTEMPTS = 40;
+
+    const TONES = {
+        romantic: { id: 'romantic', label: 'Romantic' },
+        funny: { id: 'funny', label: 'Funny' },
+        sweet: { id: 'sweet', label: 'Sweet' },
+        poetic: { id: 'poetic', label: 'Poetic' }
+    };
+
+    // Which phrase bank parts make up a message of each length. Openers
+    // always carry {name}; signed lengths end with a {from} closer when the
+    // card has a sender.
+    const LENGTHS = {
+        short: { id: 'short', label: 'Short', parts: ['opener'] },
+        medium: { id: 'medium', label: 'Medium', parts: ['opener', 'core'], signed: true },
+        long: { id: 'long', label: 'Long', parts: ['opener', 'core', 'closer'] }
+    };
+
+    // Pet names stand in for {name} when the card has no recipient
+    const RELATIONSHIPS = {
+        partner: { id: 'partner', label: 'Partner', pets: ['my love', 'sweetheart', 'darling'] },
+        spouse: { id: 'spouse', label: 'Husband / Wife', pets: ['my love', 'my darling', 'my better half'] },
+        crush: { id: 'crush', label: 'Crush', pets: ['you', 'gorgeous'] },
+        friend: { id: 'friend', label: 'Friend', pets: ['my friend', 'bestie'] },
+        family: { id: 'family', label: 'Family', pets: ['dear one', 'my favorite person'] }
+    };
+
+    // Romance isn't for everyone on the list
+    const LOVERS = ['partner', 'spouse', 'crush'];
+    const COUPLES = ['partner', 'spouse'];
+
+    /*
+     * Phrase banks by tone and part. Entries are plain strings or
+     * {text, only} where only lists the relationships they suit.
+     * Tokens: {name} (recipient or pet name), {pet}, {from} (closers only,
+     * skipped when the card has no sender).
+     */
+    const PHRASES = {
+        romantic: {
+            opener: [
+                { text: "{name}, every day with you still feels like the first.", only: LOVERS },
+                "{name}, I never knew my heart could be this full.",
+                { text: "From the moment I met you, {name}, I was yours.", only: LOVERS },
+                "{name}, you are the best part of every single day.",
+                { text: "Some people search a lifetime for what I found in you, {name}.", only: LOVERS },
+                { text: "{name}, I fall for you a little more every morning.", only: COUPLES }
+            ],
+            core: [
+                { text: "You are my favorite hello and my hardest goodbye.", only: LOVERS },
+                { text: "I would choose you in every lifetime, in every world.", only: LOVERS },
+                { text: "Loving you is the easiest thing I have ever done.", only: LOVERS },
+                { text: "Home is wherever I am with you.", only: COUPLES },
+                { text: "My heart has been yours since the very first hello.", only: LOVERS },
+                "You make the whole world softer and brighter.",
+                "With you, even ordinary days feel like celebrations.",
+                { text: "Every love story is beautiful, but ours is my favorite.", only: COUPLES }
+            ],
+            closer: [
+                { text: "Forever yours, {from}.", only: LOVERS },
+                "All my love, always.",
+                { text: "Yours, today and every day.", only: LOVERS },
+                "With all my heart, {from}.",
+                { text: "Happy Valentine's Day, {pet}.", only: LOVERS }
+            ]
+        },
+        funny: {
+            opener: [
+                "{name}, I like you more than pizza, and that is saying something.",
+                "Roses are red, violets are blue, {name}, nobody puts up with me like you do.",
+                "{name}, you are the cheese to my macaroni.",
+                { text: "{name}, I would share my fries with you. Think about that.", only: LOVERS },
+                "Dear {name}, this card is legally binding. Sort of."
+            ],
+            core: [
+                "You are the only person I would let pick the movie.",
+                "I love you even when you steal all the blankets.",
+                { text: "We make a great team: I make the mess, you find the snacks.", only: COUPLES },
+                "You still laugh at my jokes, which is true love or pity. I'll take it.",
+                "Thanks for not unfriending me after all these years.",
+                { text: "I'd fight a bear for you. A small one. Maybe a cardboard one.", only: LOVERS },
+                "You are my favorite notification."
+            ],
+            closer: [
+                "No refunds. Love, {from}.",
+                "Snacks are on me this time. Probably.",
+                "Keep being weird with me, {pet}.",
+                "Signed, sealed, and slightly ridiculous, {from}."
+            ]
+        },
+        sweet: {
+            opener: [
+                "{name}, you make my heart smile.",
+                "Hey {name}, just a little note to say you matter so much.",
+                "{name}, I'm so lucky to have you in my life.",
+                "To {name}, who makes everything better.",
+                "{name}, thinking of you always makes me happy."
+            ],
+            core: [
+                "You are kind, brilliant, and wonderfully you.",
+                "Life is sweeter with you around.",
+                "Thank you for every laugh, every hug, and every little thing.",
+                "You make ordinary days feel special.",
+                { text: "I love you more than words can say.", only: LOVERS },
+                "The world is a little brighter because you're in it.",
+                "You deserve all the happiness today can hold."
+            ],
+            closer: [
+                "Lots of love, {from}.",
+                "Hugs and kisses, always.",
+                "Have the loveliest day, {pet}.",
+                "Sending you all my love, {from}."
+            ]
+        },
+        poetic: {
+            opener: [
+                "{name}, you are the quiet song my heart keeps humming.",
+                "{name}, like the tide to the moon, I keep returning to you.",
+                { text: "{name}, you are the star I steer by.", only: LOVERS },
+                "In the garden of my days, {name}, you are the first bloom of spring."
+            ],
+            core: [
+                { text: "You are my sun, my moon, and all my stars.", only: LOVERS },
+                { text: "Whatever our souls are made of, yours and mine are the same.", only: LOVERS },
+                "Some hearts speak in whispers; mine says your name.",
+                "Every light in me was lit by you.",
+                "Time slows, the world hushes, and there is only this warmth.",
+                { text: "Two hearts, one rhythm, a lifetime of verses still to write.", only: COUPLES }
+            ],
+            closer: [
+                "Ever yours, beneath every sky, {from}.",
+                "Until the stars forget to shine.",
+                "Always, in every season, {from}.",
+                "With a heart that keeps writing your name."
+            ]
+        }
+    };
+
+    // Curated library, searchable by text and category
+    const CATEGORIES = {
+        classic: { id: 'classic', label: 'Classic' },
+        romantic: { id: 'romantic', label: 'Romantic' },
+        funny: { id: 'funny', label: 'Funny' },
+        sweet: { id: 'sweet', label: 'Sweet' },
+        poetic: { id: 'poetic', label: 'Poetic' },
+        friendship: { id: 'friendship', label: 'Friendship' }
+    };
+
+    const LIBRARY = [
+        ['classic', "You are my sun, my moon, and all my stars."],
+        ['classic', "I look at you and see the rest of my life."],
+        ['classic', "Every love story is beautiful, but ours is my favorite."],
+        ['classic', "You make my heart smile."],
+        ['classic', "I love you more than words can say."],
+        ['classic', "To the world you may be one person, but to me you are the world."],
+        ['classic', "Whatever our souls are made of, his and mine are the same."],
+        ['classic', "If I know what love is, it is because of you."],
+        ['classic', "I swear I couldn't love you more than I do right now, and yet I know I will tomorrow."],
+        ['classic', "You are the finest, loveliest, tenderest, and most beautiful person I have ever known."],
+        ['romantic', "I choose you. And I'll choose you over and over, without pause."],
+        ['romantic', "You are my today and all of my tomorrows."],
+        ['romantic', "In a sea of people, my eyes will always search for you."],
+        ['romantic', "I fell in love with you because of a million tiny things."],
+        ['funny', "I love you more than coffee. Please don't make me prove it."],
+        ['funny', "You're the avocado to my toast."],
+        ['funny', "Thanks for being my emergency contact and my favorite person."],
+        ['funny', "Love is sharing your last slice of pizza. I'm thinking about it."],
+        ['sweet', "You are my favorite place to be."],
+        ['sweet', "Every day with you is my new favorite day."],
+        ['sweet', "You had me at hello, and you still do."],
+        ['sweet', "Happiness looks a lot like you."],
+        ['poetic', "You are the poem I never knew how to write."],
+        ['poetic', "Where you are, there my heart is also."],
+        ['poetic', "Love is the flower you've got to let grow."],
+        ['poetic', "I carry your heart with me; I carry it in my heart."],
+        ['friendship', "A friend like you is a gift I never stop unwrapping."],
+        ['friendship', "Thank you for being my person, in every season."],
+        ['friendship', "Here's to the friend who knows all my stories and loves me anyway."],
+        ['friendship', "Galentine's Day is better with you in it."]
+    ].map(([category, text], i) => ({ id: `q${i + 1}`, category, text }));
+
+    const dom = {};
+    const seen = new Set(); // Generated lines this session (never repeated)
+    let saved = { favorites: [], options: { tone: 'romantic', length: 'medium', relationship: 'partner' } };
+    let current = null; // { text, tone } of the line in the preview
+    let category = 'all';
+
+    function init() {
+        dom.panel = document.getElementById('quote-studio');
+        if (!dom.panel) return;
+
+        dom.btnOpen = document.getElementById('btn-quote');
+        dom.tone = document.getElementById('qs-tone');
+        dom.length = document.getElementById('qs-length');
+        dom.relationship = document.getElementById('qs-relationship');
+        dom.preview = document.getElementById('qs-preview');
+        dom.btnGenerate = document.getElementById('qs-generate');
+        dom.btnUse = document.getElementById('qs-use');
+        dom.btnFavorite = document.getElementById('qs-favorite');
+        dom.search = document.getElementById('qs-search');
+        dom.categories = document.getElementById('qs-categories');
+        dom.library = document.getElementById('qs-library');
+        dom.inputMsg = document.getElementById('in-msg');
+
+        load();
+
+        fillSelect(dom.tone, TONES, 'tone');
+        fillSelect(dom.length, LENGTHS, 'length');
+        fillSelect(dom.relationship, RELATIONSHIPS, 'relationship');
+
+        dom.btnOpen.addEventListener('click', toggle);
+        dom.btnGenerate.addEventListener('click', showNext);
+        dom.btnUse.addEventListener('click', () => {
+            if (current) apply(current.text);
+        });
+        dom.btnFavorite.addEventListener('click', () => {
+            if (!current) return;
+            toggleFavorite(current.text, current.tone);
+            renderPreview();
+        });
+        dom.search.addEventListener('input', Utils.debounce(renderLibrary, 150));
+
+        renderCategories();
+        renderLibrary();
+    }
+
+    function fillSelect(select, options, key) {
+        select.innerHTML = '';
+        Object.values(options).forEach(option => {
+            const opt = document.createElement('option');
+            opt.value = option.id;
+            opt.textContent = option.label;
+            select.appendChild(opt);
+        });
+        select.value = saved.options[key];
+        select.addEventListener('change', () => {
+            saved.options[key] = select.value;
+            save();
+            showNext();
+        });
+    }
+
+    function toggle() {
+        const opening = dom.panel.classList.contains('hidden');
+        dom.panel.classList.toggle('hidden', !opening);
+        if (opening && !current) showNext();
+    }
+
+    /**
+     * Composes a message from the phrase banks.
+     * @param {object} options
+     * @param {string} options.tone - A TONES id.
+     * @param {string} options.length - A LENGTHS id.
+     * @param {string} options.relationship - A RELATIONSHIPS id.
+     * @param {string} [options.to] - Recipient name to weave in.
+     * @param {string} [options.from] - Sender name for sign-offs.
+     * @returns {string|null} A line not generated before this session, or
+     *     null once every combination has been used.
+     */
+    function generate(options) {
+        const tone = PHRASES[options.tone] || PHRASES.romantic;
+        const length = LENGTHS[options.length] || LENGTHS.medium;
+        const relationship = RELATIONSHIPS[options.relationship] || RELATIONSHIPS.partner;
+        const from = cleanName(options.from);
+
+        const entries = part => tone[part]
+            .filter(entry => typeof entry === 'string' || entry.only.indexOf(relationship.id) !== -1)
+            .map(entry => typeof entry === 'string' ? entry : entry.text);
+
+        const banks = length.parts.map(part => entries(part)
+            .filter(text => from || text.indexOf('{from}') === -1));
+        if (length.signed && from) {
+            banks.push(entries('closer').filter(text => text.indexOf('{from}') !== -1));
+        }
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const pet = pick(relationship.pets);
+            const tokens = { pet, name: cleanName(options.to) || pet, from };
+            const text = banks.map(bank => capitalize(fill(pick(bank), tokens))).join(' ');
+            if (!seen.has(text)) {
+                seen.add(text);
+                return text;
+            }
+        }
+        return null;
+    }
+
+    function pick(list) {
+        return list[Math.floor(Math.random() * list.length)];
+    }
+
+    function fill(template, tokens) {
+        return template.replace(/\{(name|pet|from)\}/g, (match, key) => tokens[key]);
+    }
+
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // "Alex," or "  Sam!  " from the card fields, as a name to write with
+    function cleanName(name) {
+        return String(name || '').trim().replace(/[\s,.;:!]+$/, '');
+    }
+
+    /**
+     * Generates the next line for the current options and card names.
+     */
+    function showNext() {
+        const page = StateManager.resolvePage(StateManager.get(), StateManager.getActivePage());
+        const front = StateManager.get().content;
+        const text = generate({
+            tone: dom.tone.value,
+            length: dom.length.value,
+            relationship: dom.relationship.value,
+            to: page.content.to || front.to,
+            from: page.content.from || front.from
+        });
+
+        if (text === null) {
+            Utils.notify("That's every line for these options. Try another tone or length");
+            return;
+        }
+
+        current = { text, tone: dom.tone.value };
+        renderPreview();
+    }
+
+    function renderPreview() {
+        dom.preview.textContent = current ? current.text : '';
+        dom.btnUse.disabled = !current;
+        dom.btnFavorite.disabled = !current;
+        dom.btnFavorite.classList.toggle('active', !!current && isFavorite(current.text));
+    }
+
+    function apply(text) {
+        StateManager.update(StateManager.pagePath('content.message'), text, { label: 'New quote' });
+        Utils.notify("Quote Applied ✨");
+
+        // Visual Flash
+        dom.inputMsg.classList.add('flash-highlight');
+        setTimeout(() => dom.inputMsg.classList.remove('flash-highlight'), 500);
+    }
+
+    function isFavorite(text) {
+        return saved.favorites.some(entry => entry.text === text);
+    }
+
+    /**
+     * Stars or unstars a line. Favorites show up in the library.
+     * @param {string} text - The quote.
+     * @param {string} [tone] - Tone or category it came from.
+     */
+    function toggleFavorite(text, tone) {
+        if (isFavorite(text)) {
+            saved.favorites = saved.favorites.filter(entry => entry.text !== text);
+        } else {
+            if (saved.favorites.length >= MAX_FAVORITES) {
+                Utils.notify(`You can keep up to ${MAX_FAVORITES} favorites`);
+                return;
+            }
+            saved.favorites.unshift({ text, tone: tone || null, savedAt: Date.now() });
+        }
+        save();
+        renderLibrary();
+    }
+
+    /**
+     * Finds library quotes and favorites.
+     * @param {string} query - Words that must all appear (case-insensitive).
+     * @param {string} [filter='all'] - 'all', 'favorites' or a CATEGORIES id.
+     * @returns {{text: string, category: string}[]}
+     */
+    function search(query, filter = 'all') {
+        const favorites = saved.favorites.map(entry => ({ text: entry.text, category: 'favorites' }));
+        let entries;
+        if (filter === 'favorites') entries = favorites;
+        else if (filter === 'all') entries = favorites.concat(LIBRARY.filter(entry => !isFavorite(entry.text)));
+        else entries = LIBRARY.filter(entry => entry.category === filter);
+
+        const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        return entries.filter(entry => {
+            const label = entry.category === 'favorites' ? 'favorites' : CATEGORIES[entry.category].label;
+            const haystack = `${entry.text} ${label}`.toLowerCase();
+            return words.every(word => haystack.indexOf(word) !== -1);
+        });
+    }
+
+    function renderCategories() {
+        dom.categories.innerHTML = '';
+
+        [{ id: 'all', label: 'All' }, { id: 'favorites', label: 'Favorites' }]
+            .concat(Object.values(CATEGORIES))
+            .forEach(option => {
+                const btn = document.createElement('button');
+                btn.dataset.id = option.id;
+                btn.textContent = option.label;
+                btn.classList.toggle('active', option.id === category);
+                btn.addEventListener('click', () => {
+                    category = option.id;
+                    renderCategories();
+                    renderLibrary();
+                });
+                dom.categories.appendChild(btn);
+            });
+    }
+
+    function renderLibrary() {
+        const results = search(dom.search.value, category);
+        dom.library.innerHTML = '';
+
+        if (results.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'quote-empty';
+            empty.textContent = category === 'favorites' && !dom.search.value
+                ? "Star a line to keep it here."
+                : "No quotes match your search.";
+            dom.library.appendChild(empty);
+            return;
+        }
+
+        results.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'quote-item';
+            item.title = "Use this quote";
+
+            const text = document.createElement('span');
+            text.className = 'quote-text';
+            text.textContent = entry.text;
+
+            const star = document.createElement('button');
+            star.className = 'library-action';
+            star.classList.toggle('active', isFavorite(entry.text));
+            star.title = isFavorite(entry.text) ? "Remove from favorites" : "Add to favorites";
+            star.innerHTML = '<i data-lucide="star" class="w-3 h-3"></i>';
+            star.addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleFavorite(entry.text, entry.category === 'favorites' ? null : entry.category);
+                renderPreview();
+            });
+
+            item.addEventListener('click', () => apply(entry.text));
+            item.append(text, star);
+            dom.library.appendChild(item);
+        });
+
+        if (window.lucide) lucide.createIcons();
+    }
+
+    function load() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            if (!raw) return;
+
+            const data = JSON.parse(raw);
+            if (Array.isArray(data.favorites)) {
+                saved.favorites = data.favorites
+                    .filter(entry => Utils.isPlainObject(entry) && typeof entry.text === 'string')
+                    .slice(0, MAX_FAVORITES);
+            }
+            if (Utils.isPlainObject(data.options)) {
+                [['tone', TONES], ['length', LENGTHS], ['relationship', RELATIONSHIPS]].forEach(([key, allowed]) => {
+                    if (Object.prototype.hasOwnProperty.call(allowed, data.options[key])) saved.options[key] = data.options[key];
+                });
+            }
+        } catch (e) {
+            console.error("QuoteStudio: Load failed", e);
+        }
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, favorites: saved.favorites, options: saved.options }));
+        } catch (e) {
+            console.error("QuoteStudio: Save failed", e);
+        }
+    }
+
+    return {
+        init,
+        generate,
+        search,
+        toggleFavorite,
+        isFavorite
+    };
+})();
+
+/* =========================================
+   5.4 SIDEBAR LANGUAGE (UI LOCALIZATION)
+   ========================================= */
+const I18n = (function() {
+    const STORAGE_KEY = 'heartify_ui_lang_v1';
+
+    // English comes from index.html itself; other languages override the
+    // elements tagged with data-i18n (text) or data-i18n-placeholder.
+    // Missing keys keep the English text.
+    const LANGUAGES = {
+        en: { id: 'en', label: 'English', dir: 'ltr', strings: {} },
+        es: {
+            id: 'es', label: 'Español', dir: 'ltr',
+            strings: {
+                'group.library': 'Mis tarjetas', 'btn.newCard': 'Nueva tarjeta', 'btn.openPng': 'Abrir PNG',
+                'group.message': 'Mensaje', 'label.to': 'Destinatario', 'label.message': 'Tu mensaje',
+                'btn.quote': 'Ideas', 'btn.another': 'Otra', 'btn.use': 'Usar', 'btn.favorite': 'Favorita',
+                'label.quoteLibrary': 'Biblioteca de frases', 'toggle.autofit': 'Ajustar mensajes largos',
+                'label.from': 'Remitente', 'group.photo': 'Foto', 'photo.drop': 'Suelta una foto o haz clic para subirla',
+                'label.zoom': 'Zoom', 'label.panX': 'Desplazamiento horizontal', 'label.panY': 'Desplazamiento vertical',
+                'label.filter': 'Filtro', 'btn.removePhoto': 'Quitar foto',
+                'group.stickers': 'Pegatinas', 'stickers.hint': 'Haz clic en una pegatina para añadirla y luego arrástrala, cambia su tamaño o gírala en la tarjeta.',
+                'label.stickerColor': 'Color de la pegatina', 'label.stickerLayer': 'Posición',
+                'btn.aboveText': 'Sobre el texto', 'btn.belowText': 'Bajo el texto',
+                'group.style': 'Estilo y tema', 'label.palette': 'Paleta de colores', 'btn.newTheme': 'Nuevo tema',
+                'btn.edit': 'Editar', 'btn.import': 'Importar', 'label.themeName': 'Nombre del tema',
+                'color.bgStart': 'Fondo inicial', 'color.bgEnd': 'Fondo final', 'color.primary': 'Principal',
+                'color.accent': 'Acento', 'color.text': 'Texto', 'color.particle1': 'Partícula 1',
+                'color.particle2': 'Partícula 2', 'color.particle3': 'Partícula 3',
+                'btn.saveTheme': 'Guardar tema', 'btn.exportJson': 'Exportar JSON', 'btn.delete': 'Eliminar', 'btn.cancel': 'Cancelar',
+                'label.layout': 'Diseño', 'label.decorations': 'Decoración de la página', 'label.texture': 'Textura del papel',
+                'label.frame': 'Estilo de marco', 'label.frameThickness': 'Grosor del marco', 'label.frameMargin': 'Margen del marco',
+                'btn.shuffleGrain': 'Cambiar grano', 'label.size': 'Tamaño', 'label.typography': 'Tipografía', 'btn.reset': 'Restablecer',
+                'group.animation': 'Animación', 'toggle.floatingHearts': 'Corazones flotantes', 'toggle.shimmer': 'Brillo del marco',
+                'label.reveal': 'Aparición del mensaje', 'btn.playPreview': 'Reproducir', 'btn.gif': 'GIF en bucle', 'btn.webm': 'Vídeo WebM',
+                'group.print': 'Imprimir', 'toggle.bleed': 'Añadir sangrado de 3 mm', 'toggle.marks': 'Marcas de corte y pliegue',
+                'label.pdfMode': 'Guardar como PDF', 'btn.printPdf': 'Descargar PDF para imprimir',
+                'group.batch': 'Envío masivo', 'label.recipients': 'Destinatarios (CSV o un nombre por línea)',
+                'btn.importCsv': 'Importar CSV', 'btn.clear': 'Borrar', 'toggle.previewRecipient': 'Ver destinatario en la tarjeta',
+                'btn.zip': 'ZIP de PNG', 'btn.onePdf': 'Un solo PDF',
+                'group.history': 'Historial', 'btn.undo': 'Deshacer', 'btn.redo': 'Rehacer',
+                'btn.png': 'Descargar tarjeta', 'btn.pdf': 'Guardar como PDF', 'btn.svg': 'Descargar SVG', 'btn.share': 'Copiar enlace', 'btn.ecard': 'Guardar tarjeta digital',
+                'ph.to': 'p. ej. Mi amor', 'ph.message': 'Escribe desde el corazón...', 'ph.from': 'p. ej. Siempre tuyo',
+                'ph.search': 'Buscar frases...'
+            }
+        },
+        fr: {
+            id: 'fr', label: 'Français', dir: 'ltr',
+            strings: {
+                'group.library': 'Mes cartes', 'btn.newCard': 'Nouvelle carte', 'btn.openPng': 'Ouvrir un PNG',
+                'group.message': 'Message', 'label.to': 'Destinataire', 'label.message': 'Votre message',
+                'btn.quote': 'Idées', 'btn.another': 'Une autre', 'btn.use': 'Utiliser', 'btn.favorite': 'Favori',
+                'label.quoteLibrary': 'Bibliothèque de citations', 'toggle.autofit': 'Ajuster les longs messages',
+                'label.from': 'Expéditeur', 'group.photo': 'Photo', 'photo.drop': 'Déposez une photo ou cliquez pour importer',
+                'label.zoom': 'Zoom', 'label.panX': 'Décalage horizontal', 'label.panY': 'Décalage vertical',
+                'label.filter': 'Filtre', 'btn.removePhoto': 'Retirer la photo',
+                'group.stickers': 'Autocollants', 'stickers.hint': 'Cliquez sur un autocollant pour l’ajouter, puis déplacez-le, redimensionnez-le ou tournez-le sur la carte.',
+                'label.stickerColor': 'Couleur de l’autocollant', 'label.stickerLayer': 'Position',
+                'btn.aboveText': 'Devant le texte', 'btn.belowText': 'Derrière le texte',
+                'group.style': 'Style et thème', 'label.palette': 'Palette de couleurs', 'btn.newTheme': 'Nouveau thème',
+                'btn.edit': 'Modifier', 'btn.import': 'Importer', 'label.themeName': 'Nom du thème',
+                'color.bgStart': 'Début du fond', 'color.bgEnd': 'Fin du fond', 'color.primary': 'Principale',
+                'color.accent': 'Accent', 'color.text': 'Texte', 'color.particle1': 'Particule 1',
+                'color.particle2': 'Particule 2', 'color.particle3': 'Particule 3',
+                'btn.saveTheme': 'Enregistrer le thème', 'btn.exportJson': 'Exporter en JSON', 'btn.delete': 'Supprimer', 'btn.cancel': 'Annuler',
+                'label.layout': 'Mise en page', 'label.decorations': 'Décorations de la page', 'label.texture': 'Texture du papier',
+                'label.frame': 'Style de cadre', 'label.frameThickness': 'Épaisseur du cadre', 'label.frameMargin': 'Marge du cadre',
+                'btn.shuffleGrain': 'Changer le grain', 'label.size': 'Format', 'label.typography': 'Typographie', 'btn.reset': 'Réinitialiser',
+                'group.animation': 'Animation', 'toggle.floatingHearts': 'Cœurs flottants', 'toggle.shimmer': 'Reflet du cadre',
+                'label.reveal': 'Apparition du message', 'btn.playPreview': 'Lire l’aperçu', 'btn.gif': 'GIF en boucle', 'btn.webm': 'Vidéo WebM',
+                'group.print': 'Impression', 'toggle.bleed': 'Ajouter 3 mm de fond perdu', 'toggle.marks': 'Traits de coupe et de pli',
+                'label.pdfMode': 'Enregistrer en PDF', 'btn.printPdf': 'Télécharger le PDF d’impression',
+                'group.batch': 'Envoi groupé', 'label.recipients': 'Destinataires (CSV ou un nom par ligne)',
+                'btn.importCsv': 'Importer un CSV', 'btn.clear': 'Effacer', 'toggle.previewRecipient': 'Aperçu du destinataire sur la carte',
+                'btn.zip': 'ZIP de PNG', 'btn.onePdf': 'Un seul PDF',
+                'group.history': 'Historique', 'btn.undo': 'Annuler', 'btn.redo': 'Rétablir',
+                'btn.png': 'Télécharger la carte', 'btn.pdf': 'Enregistrer en PDF', 'btn.svg': 'Télécharger en SVG', 'btn.share': 'Copier le lien', 'btn.ecard': 'Enregistrer l’e-carte',
+                'ph.to': 'ex. Mon amour', 'ph.message': 'Écrivez avec le cœur...', 'ph.from': 'ex. À toi pour toujours',
+                'ph.search': 'Rechercher une citation...'
+            }
+        },
+        ja: {
+            id: 'ja', label: '日本語', dir: 'ltr',
+            strings: {
+                'group.library': 'マイカード', 'btn.newCard': '新しいカード', 'btn.openPng': 'PNGを開く',
+                'group.message': 'メッセージ', 'label.to': '宛名', 'label.message': 'メッセージ',
+                'btn.quote': 'アイデア', 'btn.another': '別の案', 'btn.use': '使う', 'btn.favorite': 'お気に入り',
+                'label.quoteLibrary': '名言ライブラリ', 'toggle.autofit': '長いメッセージを自動調整',
+                'label.from': '差出人', 'group.photo': '写真', 'photo.drop': '写真をドロップ、またはクリックしてアップロード',
+                'label.zoom': 'ズーム', 'label.panX': '左右の位置', 'label.panY': '上下の位置',
+                'label.filter': 'フィルター', 'btn.removePhoto': '写真を削除',
+                'group.stickers': 'ステッカー', 'stickers.hint': 'ステッカーをクリックして追加し、カード上でドラッグ・拡大縮小・回転できます。',
+                'label.stickerColor': 'ステッカーの色', 'label.stickerLayer': '配置',
+                'btn.aboveText': '文字の前面', 'btn.belowText': '文字の背面',
+                'group.style': 'スタイルとテーマ', 'label.palette': 'カラーパレット', 'btn.newTheme': '新しいテーマ',
+                'btn.edit': '編集', 'btn.import': '読み込み', 'label.themeName': 'テーマ名',
+                'color.bgStart': '背景（始点）', 'color.bgEnd': '背景（終点）', 'color.primary': 'メイン',
+                'color.accent': 'アクセント', 'color.text': '文字', 'color.particle1': 'パーティクル 1',
+                'color.particle2': 'パーティクル 2', 'color.particle3': 'パーティクル 3',
+                'btn.saveTheme': 'テーマを保存', 'btn.exportJson': 'JSON を書き出す', 'btn.delete': '削除', 'btn.cancel': 'キャンセル',
+                'label.layout': 'レイアウト', 'label.decorations': 'ページの装飾', 'label.texture': '紙の質感',
+                'label.frame': '枠のスタイル', 'label.frameThickness': '枠の太さ', 'label.frameMargin': '枠の余白',
+                'btn.shuffleGrain': '質感を変える', 'label.size': 'カードサイズ', 'label.typography': 'フォント', 'btn.reset': 'リセット',
+                'group.animation': 'アニメーション', 'toggle.floatingHearts': '浮かぶハート', 'toggle.shimmer': '枠のきらめき',
+                'label.reveal': 'メッセージの表示', 'btn.playPreview': 'プレビュー再生', 'btn.gif': 'ループ GIF', 'btn.webm': 'WebM 動画',
+                'group.print': '印刷', 'toggle.bleed': '3mm の塗り足しを追加', 'toggle.marks': 'トンボと折り線',
+                'label.pdfMode': 'PDF で保存', 'btn.printPdf': '印刷用 PDF をダウンロード',
+                'group.batch': '一括送信', 'label.recipients': '宛先（CSV または 1 行に 1 名）',
+                'btn.importCsv': 'CSV を読み込む', 'btn.clear': 'クリア', 'toggle.previewRecipient': 'カードに宛先をプレビュー',
+                'btn.zip': 'PNG の ZIP', 'btn.onePdf': '1 つの PDF',
+                'group.history': '履歴', 'btn.undo': '元に戻す', 'btn.redo': 'やり直す',
+                'btn.png': 'カードをダウンロード', 'btn.pdf': 'PDF で保存', 'btn.svg': 'SVG をダウンロード', 'btn.share': '共有リンクをコピー', 'btn.ecard': 'e カードを保存',
+                'ph.to': '例：大好きなあなたへ', 'ph.message': '心を込めて書いてください...', 'ph.from': '例：いつまでも',
+                'ph.search': '名言を検索...'
+            }
+        },
+        ar: {
+            id: 'ar', label: 'العربية', dir: 'rtl',
+            strings: {
+                'group.library': 'بطاقاتي', 'btn.newCard': 'بطاقة جديدة', 'btn.openPng': 'فتح PNG',
+                'group.message': 'الرسالة', 'label.to': 'اسم المستلم', 'label.message': 'رسالتك',
+                'btn.quote': 'أفكار', 'btn.another': 'غيرها', 'btn.use': 'استخدام', 'btn.favorite': 'المفضلة',
+                'label.quoteLibrary': 'مكتبة العبارات', 'toggle.autofit': 'ملاءمة الرسائل الطويلة تلقائيًا',
+                'label.from': 'اسم المرسل', 'group.photo': 'صورة', 'photo.drop': 'اسحب صورة إلى هنا أو انقر للرفع',
+                'label.zoom': 'التكبير', 'label.panX': 'الإزاحة الأفقية', 'label.panY': 'الإزاحة الرأسية',
+                'label.filter': 'المرشّح', 'btn.removePhoto': 'إزالة الصورة',
+                'group.stickers': 'ملصقات', 'stickers.hint': 'انقر على ملصق لإضافته، ثم اسحبه أو غيّر حجمه أو دوّره على البطاقة.',
+                'label.stickerColor': 'لون الملصق', 'label.stickerLayer': 'الموضع',
+                'btn.aboveText': 'فوق النص', 'btn.belowText': 'خلف النص',
+                'group.style': 'النمط والسمة', 'label.palette': 'لوحة الألوان', 'btn.newTheme': 'سمة جديدة',
+                'btn.edit': 'تعديل', 'btn.import': 'استيراد', 'label.themeName': 'اسم السمة',
+                'color.bgStart': 'بداية الخلفية', 'color.bgEnd': 'نهاية الخلفية', 'color.primary': 'الأساسي',
+                'color.accent': 'اللون المميز', 'color.text': 'النص', 'color.particle1': 'جسيم 1',
+                'color.particle2': 'جسيم 2', 'color.particle3': 'جسيم 3',
+                'btn.saveTheme': 'حفظ السمة', 'btn.exportJson': 'تصدير JSON', 'btn.delete': 'حذف', 'btn.cancel': 'إلغاء',
+                'label.layout': 'التخطيط', 'label.decorations': 'زخارف الصفحة', 'label.texture': 'ملمس الورق',
+                'label.frame': 'نمط الإطار', 'label.frameThickness': 'سماكة الإطار', 'label.frameMargin': 'هامش الإطار',
+                'btn.shuffleGrain': 'تغيير الملمس', 'label.size': 'حجم البطاقة', 'label.typography': 'الخط', 'btn.reset': 'إعادة التعيين',
+                'group.animation': 'الحركة', 'toggle.floatingHearts': 'قلوب طائرة', 'toggle.shimmer': 'لمعان الإطار',
+                'label.reveal': 'ظهور الرسالة', 'btn.playPreview': 'تشغيل المعاينة', 'btn.gif': 'GIF متكرر', 'btn.webm': 'فيديو WebM',
+                'group.print': 'الطباعة', 'toggle.bleed': 'إضافة هامش نزف 3 مم', 'toggle.marks': 'علامات القص والطي',
+                'label.pdfMode': 'حفظ بصيغة PDF', 'btn.printPdf': 'تنزيل ملف PDF للطباعة',
+                'group.batch': 'إرسال جماعي', 'label.recipients': 'المستلمون (CSV أو اسم في كل سطر)',
+                'btn.importCsv': 'استيراد CSV', 'btn.clear': 'مسح', 'toggle.previewRecipient': 'معاينة المستلم على البطاقة',
+                'btn.zip': 'ملف ZIP بصيغة PNG', 'btn.onePdf': 'ملف PDF واحد',
+                'group.history': 'السجل', 'btn.undo': 'تراجع', 'btn.redo': 'إعادة',
+                'btn.png': 'تنزيل البطاقة', 'btn.pdf': 'حفظ بصيغة PDF', 'btn.svg': 'تنزيل SVG', 'btn.share': 'نسخ رابط المشاركة', 'btn.ecard': 'حفظ البطاقة الإلكترونية',
+                'ph.to': 'مثال: حبيبي', 'ph.message': 'اكتب من قلبك...', 'ph.from': 'مثال: لك إلى الأبد',
+                'ph.search': 'ابحث في العبارات...'
+            }
+        }
+    };
+
+    const dom = {};
+    const english = {}; // Key -> text as authored in index.html
+    let current = 'en';
+
+    function init() {
+        dom.sidebar = document.querySelector('.sidebar');
+        dom.select = document.getElementById('in-ui-lang');
+        if (!dom.sidebar || !dom.select) return;
+
+        dom.sidebar.querySelectorAll('[data-i18n]').forEach(el => {
+            english[el.dataset.i18n] = labelNode(el).textContent.trim();
+        });
+        dom.sidebar.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            english[el.dataset.i18nPlaceholder] = el.placeholder;
+        });
+
+        Object.values(LANGUAGES).forEach(language => {
+            const opt = document.createElement('option');
+            opt.value = language.id;
+            opt.textContent = language.label;
+            dom.select.appendChild(opt);
+        });
+        dom.select.addEventListener('change', () => setLanguage(dom.select.value));
+
+        setLanguage(load() || guess());
+    }
+
+    /**
+     * The text node holding an element's label. Buttons and titles keep
+     * their icon as a sibling element, so only the text is replaced.
+     */
+    function labelNode(el) {
+        const texts = Array.from(el.childNodes).filter(node => node.nodeType === 3 && node.textContent.trim());
+        if (texts.length === 0) el.appendChild(document.createTextNode(''));
+        return texts.length ? texts[texts.length - 1] : el.lastChild;
+    }
+
+    /**
+     * Applies a sidebar language and remembers it.
+     * @param {string} id - A LANGUAGES id (unknown ids fall back to English).
+     */
+    function setLanguage(id) {
+        const language = Object.prototype.hasOwnProperty.call(LANGUAGES, id) ? LANGUAGES[id] : LANGUAGES.en;
+        current = language.id;
+        const t = (key) => Object.prototype.hasOwnProperty.call(language.strings, key) ? language.strings[key] : english[key];
+
+        dom.sidebar.querySelectorAll('[data-i18n]').forEach(el => {
+            const node = labelNode(el);
+            const text = t(el.dataset.i18n);
+            // Keep the space that separates the label from its icon
+            node.textContent = node.previousSibling ? ` ${text}` : text;
+        });
+        dom.sidebar.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = t(el.dataset.i18nPlaceholder);
+        });
+
+        dom.sidebar.setAttribute('dir', language.dir);
+        dom.sidebar.setAttribute('lang', language.id);
+        dom.select.value = language.id;
+        save();
+    }
+
+    // First visit: the browser's language, if we have it
+    function guess() {
+        const code = String(navigator.language || 'en').slice(0, 2).toLowerCase();
+        return Object.prototype.hasOwnProperty.call(LANGUAGES, code) ? code : 'en';
+    }
+
+    function load() {
+        try {
+            return localStorage.getItem(STORAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, current);
+        } catch (e) {
+            console.error("I18n: Save failed", e);
+        }
+    }
+
+    return {
+        init,
+        setLanguage,
+        getLanguage: () => current
+    };
+})();
+
+/* =========================================
+   6.0 EXPORT MANAGER (PDF & IMAGE)
+   ========================================= */
+const ExportEngine = (function() {
+    let busy = false; // A PDF is being generated
+
+    /**
+     * Builds a download name from the recipient on the front cover.
+     * @param {string} extension - File extension without the dot.
+     * @param {string} [suffix] - Appended to the name (e.g. a page id).
+     */
+    function getFilename(extension, suffix) {
+        const state = StateManager.get();
+        const cleanName = Utils.sanitizeFilename(state.content.to);
+        const tail = suffix ? `-${Utils.sanitizeFilename(suffix)}` : '';
+        return `heartify-${cleanName}${tail}.${extension}`;
+    }
+
+    /**
+     * Renders a clean copy of one card page for export.
+     * The live canvas may carry editor overlays (selection, guides).
+     * Resolution comes from the card size preset.
+     */
+    function renderExportCanvas(pageId) {
+        const state = StateManager.get();
+        return Renderer.renderPage(state, pageId, StateManager.getSize(state.config).exportScale);
+    }
+
+    /**
+     * Asks before exporting pages whose message is clipped or overlapping.
+     * @param {string[]} [pageIds] - Pages going into the export (default: all).
+     * @returns {boolean} True when it is fine to export.
+     */
+    function confirmFit(pageIds) {
+        const state = StateManager.get();
+        const pages = StateManager.getPages().filter(page => !pageIds || pageIds.indexOf(page.id) !== -1);
+
+        for (const page of pages) {
+            const fit = Renderer.analyzeFit(StateManager.resolvePage(state, page.id));
+            if (!fit.overflow) continue;
+
+            const where = page.id === 'front' ? 'the card' : `the ${page.label} page`;
+            return confirm(
+                `Your message doesn't fit ${where} (${fit.lines.length} of ${fit.maxLines} lines), ` +
+                `so text will be clipped or overlap. Export anyway?`
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Downloads the page currently shown in the editor as a PNG. The whole
+     * card rides along inside it (see CardPNG), so opening the image in
+     * Heartify brings back an editable card.
+     */
+    function downloadPNG() {
+        const pageId = StateManager.getActivePage();
+        const page = StateManager.getPages().find(p => p.id === pageId);
+        if (!confirmFit([pageId])) return;
+
+        const canvas = renderExportCanvas(pageId);
+        if (!canvas) return;
+
+        const filename = getFilename('png', pageId === 'front' ? '' : page.label);
+        canvas.toBlob(async (blob) => {
+            if (!blob) {
+                Utils.notify("Image could not be created");
+                return;
+            }
+
+            let file = blob;
+            try {
+                file = await CardPNG.embed(blob, StateManager.get());
+            } catch (e) {
+                console.warn("ExportEngine: Card data not embedded", e);
+            }
+
+            Utils.downloadBlob(file, filename);
+            Utils.notify("Image Downloaded Successfully! 💌");
+        }, 'image/png');
+    }
+
+    /**
+     * Saves every page as one PDF, in the mode set by config.pdfMode:
+     * vector pages keep the message as real, selectable text in the card
+     * fonts (see PDFBackend); raster pages are a JPEG of the canvas.
+     */
+    async function downloadPDF() {
+        if (busy) return;
+        if (!window.jspdf) {
+            alert("PDF Library is loading. Please wait a moment.");
+            return;
+        }
+
+        if (!confirmFit()) return;
+
+        busy = true;
+        Utils.notify("Generating PDF... ⚙️");
+
+        try {
+            if (StateManager.get().config.pdfMode === 'raster') {
+                // Let the UI update before blocking
+                await new Promise(resolve => requestAnimationFrame(resolve));
+                saveRasterPDF();
+            } else {
+                await saveVectorPDF();
+            }
+        } catch (e) {
+            console.error("ExportEngine: PDF failed", e);
+            Utils.notify("PDF export failed");
+        } finally {
+            busy = false;
+        }
+    }
+
+    function saveRasterPDF() {
+        const { jsPDF } = window.jspdf;
+        const state = StateManager.get();
+
+        // Page matches the physical size of the card preset
+        const [pageW, pageH] = StateManager.getSize(state.config).mm;
+        const orientation = pageW > pageH ? 'landscape' : 'portrait';
+        const pdf = new jsPDF({
+            orientation,
+            unit: 'mm',
+            format: [pageW, pageH]
+        });
+        setMetadata(pdf, state);
+
+        // One PDF page per card page, in reading order
+        StateManager.getPages().forEach((page, index) => {
+            if (index > 0) pdf.addPage([pageW, pageH], orientation);
+
+            const imgData = renderExportCanvas(page.id).toDataURL('image/jpeg', 0.95);
+            pdf.addImage(imgData, 'JPEG', 0, 0, pageW, pageH);
+        });
+
+        pdf.save(getFilename('pdf'));
+
+        Utils.notify("PDF Saved! 📄");
+    }
+
+    async function saveVectorPDF() {
+        const { jsPDF } = window.jspdf;
+        const state = StateManager.get();
+
+        // Points, so the vector backend draws in the PDF's own units
+        const format = StateManager.getSize(state.config).mm.map(mm => mm * 72 / 25.4);
+        const orientation = format[0] > format[1] ? 'landscape' : 'portrait';
+        const pdf = new jsPDF({ orientation, unit: 'pt', format, compress: true });
+        setMetadata(pdf, state);
+
+        try {
+            const resources = await PDFBackend.prepare(pdf, state);
+            StateManager.getPages().forEach((page, index) => {
+                if (index > 0) pdf.addPage(format, orientation);
+                Renderer.renderPagePDF(pdf, state, page.id, resources);
+            });
+            pdf.save(getFilename('pdf'));
+
+            Utils.notify(resources.missing.length
+                ? `PDF Saved! ${resources.missing.join(', ')} couldn't be embedded, so that text is an image 📄`
+                : "PDF Saved! 📄");
+        } catch (e) {
+            console.error("ExportEngine: Vector PDF failed", e);
+            Utils.notify("PDF export failed");
+        }
+    }
+
+    // Document properties shown by PDF readers and used by search tools
+    function setMetadata(pdf, state) {
+        const to = state.content.to.trim();
+        const from = state.content.from.trim();
+        pdf.setProperties({
+            title: to ? `To ${to}` : 'Heartify Card',
+            author: from,
+            subject: ['Greeting card', to && `to ${to}`, from && `from ${from}`].filter(Boolean).join(' '),
+            creator: 'Heartify Studio'
+        });
+    }
+
+    /**
+     * Downloads the page currently shown in the editor as a vector SVG.
+     */
+    async function downloadSVG() {
+        const pageId = StateManager.getActivePage();
+        const page = StateManager.getPages().find(p => p.id === pageId);
+        if (!confirmFit([pageId])) return;
+
+        Utils.notify("Generating SVG... ✒️");
+        const state = StateManager.get();
+        const svg = Renderer.renderPageSVG(state, pageId, await loadFonts(state));
+
+        Utils.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }),
+            getFilename('svg', pageId === 'front' ? '' : page.label));
+        Utils.notify("SVG Downloaded! ✒️");
+    }
+
+    /**
+     * Compares the SVG and canvas renderings of every page (or the given
+     * ones). Run from the console as `compareSVG()`.
+     * @param {string[]} [pageIds] - Pages to check (default: all).
+     * @returns {Promise<object[]>} One {page, mismatched, meanDifference,
+     *     passed} report per page; null values when a page can't be read back.
+     */
+    async function compareSVG(pageIds) {
+        const state = StateManager.get();
+        const css = await loadFonts(state);
+        const pages = StateManager.getPages().filter(page => !pageIds || pageIds.indexOf(page.id) !== -1);
+
+        const reports = [];
+        for (const page of pages) {
+            const result = await checkSVG(Renderer.renderPageSVG(state, page.id, css), state, page.id);
+            reports.push(Object.assign({ page: page.id, mismatched: null, meanDifference: null, passed: null }, result));
+        }
+        console.table(reports);
+        return reports;
+    }
+
+    /**
+     * Rasterizes an exported SVG and compares it with the canvas at 1×.
+     * @returns {Promise<object|null>} See SVGBackend.compare(); null when
+     *     the browser can't read the SVG back (e.g. a tainted canvas).
+     */
+    async function checkSVG(svg, state, pageId) {
+        try {
+            return await SVGBackend.compare(svg, Renderer.renderPage(state, pageId, 1));
+        } catch (e) {
+            console.warn("ExportEngine: SVG comparison skipped", e);
+            return null;
+        }
+    }
+
+    // Text in an SVG only looks right with the card fonts inside it
+    async function loadFonts(state) {
+        try {
+            return await ECard.embedFonts(state);
+        } catch (e) {
+            console.warn("ExportEngine: Fonts not embedded in the SVG", e);
+            return '';
+        }
+    }
+
+    return {
+        downloadPNG,
+        downloadPDF,
+        downloadSVG,
+        compareSVG,
+        getFilename,
+        confirmFit
+    };
+})();
+
+/* =========================================
+   6.1 SHARE LINKS (URL HASH TRANSPORT)
+   ========================================= */
+const ShareLink = (function() {
+    // Hash layout: #card=<version><codec>.<base64url data>.<checksum>
+    const PREFIX = '#card=';
+    const VERSION = '1';
+    const CODEC_DEFLATE = 'z';
+    const CODEC_PLAIN = 'j';
+
+    // Hard limits so a hostile link cannot exhaust memory
+    const MAX_HASH_LENGTH = 32768;
+    const MAX_JSON_BYTES = 131072;
+    const TEXT_LIMITS = { to: 120, message: 4000, from: 120 };
+
+    // Messages from payloads before this schema predate message markup.
+    // Links without a version were made before it was recorded, which is
+    // also before markup.
+    const MARKUP_VERSION = '6.2.0';
+    const LEGACY_VERSION = '6.1.0';
+
+    /**
+     * Checks whether the current URL carries a shared card.
+     * @returns {boolean}
+     */
+    function hasPayload() {
+        return window.location.hash.indexOf(PREFIX) === 0;
+    }
+
+    /**
+     * Encodes the shareable parts of a state into a URL hash.
+     * @param {object} state - The full state tree.
+     * @returns {Promise<string>} The hash, including the leading '#'.
+     */
+    async function encode(state) {
+        // Photos are far too large for a URL and stay with the sender.
+        // Custom themes only exist on the sender's device, so they travel along.
+        const theme = StateManager.getTheme(state.design.themeId);
+        const pages = {};
+        Object.keys(state.pages || {}).forEach(id => {
+            const page = state.pages[id];
+            pages[id] = Object.assign({}, page, { content: Object.assign({}, page.content, { photo: null }) });
+        });
+        const json = JSON.stringify({
+            version: state.meta.version,
+            content: Object.assign({}, state.content, { photo: null }),
+            design: state.design,
+            config: state.config,
+            pages,
+            theme: theme.custom ? theme : undefined
+        });
+        const checksum = Utils.hashString(json).toString(36);
+        const raw = new TextEncoder().encode(json);
+
+        let codec = CODEC_PLAIN;
+        let bytes = raw;
+        const packed = await Utils.deflate(raw, 'deflate-raw');
+        if (packed && packed.length < raw.length) {
+            codec = CODEC_DEFLATE;
+            bytes = packed;
+        }
+
+        return `${PREFIX}${VERSION}${codec}.${toBase64Url(bytes)}.${checksum}`;
+    }
+
+    /**
+     * Decodes and validates a hash produced by encode().
+     * Rejects with an Error on any malformed or tampered input.
+     * @param {string} hash - The URL hash.
+     * @returns {Promise<{state: object, theme: object|null}>} A complete,
+     * sanitized state tree plus the custom theme it uses, if any.
+     */
+    async function decode(hash) {
+        if (typeof hash !== 'string' || hash.indexOf(PREFIX) !== 0) {
+            throw new Error("ShareLink: Not a card link");
+        }
+        if (hash.length > MAX_HASH_LENGTH) {
+            throw new Error("ShareLink: Payload too large");
+        }
+
+        const parts = hash.slice(PREFIX.length).split('.');
+        if (parts.length !== 3 || parts[0].length !== 2) {
+            throw new Error("ShareLink: Malformed payload");
+        }
+
+        const [header, data, checksum] = parts;
+        if (header[0] !== VERSION) {
+            throw new Error("ShareLink: Unsupported version");
+        }
+
+        let bytes = fromBase64Url(data);
+        if (header[1] === CODEC_DEFLATE) {
+            bytes = await Utils.inflate(bytes, 'deflate-raw', MAX_JSON_BYTES);
+        } else if (header[1] !== CODEC_PLAIN) {
+            throw new Error("ShareLink: Unknown codec");
+        }
+        if (bytes.length > MAX_JSON_BYTES) {
+            throw new Error("ShareLink: Payload too large");
+        }
+
+        const json = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        if (Utils.hashString(json).toString(36) !== checksum) {
+            throw new Error("ShareLink: Checksum mismatch");
+        }
+
+        return sanitize(JSON.parse(json));
+    }
+
+    /**
+     * Builds a fresh state from DEFAULT_STATE, copying over only
+     * well-typed, known values from the untrusted payload.
+     */
+    function sanitize(data) {
+        if (!Utils.isPlainObject(data) ||
+            !Utils.isPlainObject(data.content) ||
+            !Utils.isPlainObject(data.design) ||
+            !Utils.isPlainObject(data.config)) {
+            throw new Error("ShareLink: Missing sections");
+        }
+
+        const version = data.version === undefined ? LEGACY_VERSION : data.version;
+        if (typeof version !== 'string' || !/^\d+\.\d+\.\d+$/.test(version)) {
+            throw new Error("ShareLink: Invalid version");
+        }
+        const escape = isOlder(version, MARKUP_VERSION);
+
+        const state = StateManager.getDefault();
+        state.meta.lastModified = Date.now();
+
+        // A bundled custom theme gets a session-only id derived from its colors
+        let theme = null;
+        if (data.theme !== undefined) {
+            theme = StateManager.validateTheme(data.theme);
+            theme.id = 'shared-' + Utils.hashString(JSON.stringify(theme)).toString(36);
+        }
+
+        Object.keys(TEXT_LIMITS).forEach(key => {
+            const value = data.content[key];
+            if (typeof value !== 'string' || value.length > TEXT_LIMITS[key]) {
+                throw new Error(`ShareLink: Invalid content.${key}`);
+            }
+            state.content[key] = key === 'message' && escape ? Utils.escapeMarkup(value) : value;
+        });
+
+        const design = data.design;
+        const builtIn = Object.prototype.hasOwnProperty.call(StateManager.getThemes(), design.themeId) &&
+            !StateManager.getTheme(design.themeId).custom;
+        if (!theme && !builtIn) {
+            throw new Error("ShareLink: Unknown theme");
+        }
+        if (StateManager.getFonts().indexOf(design.fontFamily) === -1) {
+            throw new Error("ShareLink: Unknown font");
+        }
+        state.design.themeId = theme ? theme.id : design.themeId;
+        state.design.fontFamily = design.fontFamily;
+        if (Object.prototype.hasOwnProperty.call(StateManager.getLayouts(), design.layoutMode)) {
+            state.design.layoutMode = design.layoutMode;
+        }
+        if (typeof design.showWatermark === 'boolean') state.design.showWatermark = design.showWatermark;
+        if (typeof design.autoFit === 'boolean') state.design.autoFit = design.autoFit;
+        if (Object.prototype.hasOwnProperty.call(StateManager.getDecorations(), design.decorations)) state.design.decorations = design.decorations;
+        if (Object.prototype.hasOwnProperty.call(Textures.getTextures(), design.texture)) state.design.texture = design.texture;
+        if (Number.isInteger(design.textureSeed) && design.textureSeed >= 0) state.design.textureSeed = design.textureSeed >>> 0;
+        if (Utils.isPlainObject(design.frame)) sanitizeFrame(design.frame, state.design.frame);
+        if (Utils.isPlainObject(design.animation)) sanitizeAnimation(design.animation, data.config.animation, state);
+        state.design.transforms = sanitizeTransforms(design.transforms);
+        state.design.stickers = Stickers.clean(design.stickers);
+
+        // Inner pages are optional so links from single-page cards stay valid
+        if (data.pages !== undefined) {
+            if (!Utils.isPlainObject(data.pages)) throw new Error("ShareLink: Invalid pages");
+            Object.keys(state.pages).forEach(id => {
+                if (data.pages[id] !== undefined) sanitizePage(data.pages[id], state.pages[id], id, escape);
+            });
+        }
+
+        // Preset sizes bring their own dimensions; anything else is a custom
+        // size held to the same bounds as the size editor
+        const sizes = StateManager.getSizes();
+        const sizeId = data.config.sizeId;
+        if (sizeId !== 'custom' && Object.prototype.hasOwnProperty.call(sizes, sizeId)) {
+            state.config.sizeId = sizeId;
+            state.config.width = sizes[sizeId].width;
+            state.config.height = sizes[sizeId].height;
+        } else {
+            const limits = StateManager.getCustomSizeLimits();
+            ['width', 'height'].forEach(key => {
+                const value = data.config[key];
+                if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+                    throw new Error(`ShareLink: Invalid config.${key}`);
+                }
+                state.config[key] = Math.round(value);
+            });
+            state.config.sizeId = 'custom';
+        }
+
+        return { state, theme };
+    }
+
+    /**
+     * Copies one inner page over its default, rejecting malformed text.
+     * @param {object} data - Untrusted page data.
+     * @param {object} page - Default page to fill in (mutated).
+     * @param {string} id - Page id, for error messages.
+     * @param {boolean} escape - Whether the message predates markup.
+     */
+    function sanitizePage(data, page, id, escape) {
+        if (!Utils.isPlainObject(data)) throw new Error(`ShareLink: Invalid pages.${id}`);
+
+        const content = Utils.isPlainObject(data.content) ? data.content : {};
+        Object.keys(TEXT_LIMITS).forEach(key => {
+            const value = content[key];
+            if (value === undefined) return;
+            if (typeof value !== 'string' || value.length > TEXT_LIMITS[key]) {
+                throw new Error(`ShareLink: Invalid pages.${id}.content.${key}`);
+            }
+            page.content[key] = key === 'message' && escape ? Utils.escapeMarkup(value) : value;
+        });
+
+        const design = Utils.isPlainObject(data.design) ? data.design : {};
+        if (Object.prototype.hasOwnProperty.call(StateManager.getLayouts(), design.layoutMode)) {
+            page.design.layoutMode = design.layoutMode;
+        }
+        if (Object.prototype.hasOwnProperty.call(StateManager.getDecorations(), design.decorations)) page.design.decorations = design.decorations;
+        if (typeof design.showWatermark === 'boolean') page.design.showWatermark = design.showWatermark;
+        page.design.transforms = sanitizeTransforms(design.transforms);
+        page.design.stickers = Stickers.clean(design.stickers);
+    }
+
+    /**
+     * Compares two "major.minor.patch" versions.
+     * @returns {boolean} Whether a comes before b.
+     */
+    function isOlder(a, b) {
+        const x = a.split('.').map(Number);
+        const y = b.split('.').map(Number);
+        for (let i = 0; i < 3; i++) {
+            if (x[i] !== y[i]) return x[i] < y[i];
+        }
+        return false;
+    }
+
+    /**
+     * Copies the known frame fields over the default frame (mutated).
+     */
+    function sanitizeFrame(data, frame) {
+        const limits = Frames.getLimits();
+        if (Object.prototype.hasOwnProperty.call(Frames.getStyles(), data.style)) frame.style = data.style;
+        if (Frames.getColorRoles().indexOf(data.color) !== -1) frame.color = data.color;
+        ['thickness', 'margin'].forEach(key => {
+            if (Number.isFinite(data[key])) frame[key] = Utils.clamp(data[key], limits[key].min, limits[key].max);
+        });
+    }
+
+    /**
+     * Copies the animation settings the recipient view plays back.
+     */
+    function sanitizeAnimation(data, timing, state) {
+        const animation = state.design.animation;
+        ['hearts', 'shimmer'].forEach(key => {
+            if (typeof data[key] === 'boolean') animation[key] = data[key];
+        });
+        if (Object.prototype.hasOwnProperty.call(Animator.getReveals(), data.reveal)) animation.reveal = data.reveal;
+
+        const limits = Animator.getLimits().duration;
+        if (Utils.isPlainObject(timing) && Number.isFinite(timing.duration)) {
+            state.config.animation.duration = Math.round(Utils.clamp(timing.duration, limits.min, limits.max));
+        }
+    }
+
+    /**
+     * Keeps only known element ids with finite, in-range values.
+     */
+    function sanitizeTransforms(transforms) {
+        const clean = {};
+        if (!Utils.isPlainObject(transforms)) return clean;
+
+        ['to', 'message', 'from', 'watermark'].forEach(id => {
+            const t = transforms[id];
+            if (!Utils.isPlainObject(t)) return;
+            if (![t.x, t.y, t.scale, t.rotation].every(Number.isFinite)) return;
+            clean[id] = {
+                x: Utils.clamp(t.x, -1, 1),
+                y: Utils.clamp(t.y, -1, 1),
+                scale: Utils.clamp(t.scale, 0.3, 4),
+                rotation: Utils.clamp(t.rotation, -180, 180)
+            };
+        });
+        return clean;
+    }
+
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(str) {
+        if (!/^[A-Za-z0-9_-]+$/.test(str)) {
+            throw new Error("ShareLink: Invalid encoding");
+        }
+        const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Builds the share URL for the active card and copies it.
+     */
+    async function copyLink() {
+        try {
+            const state = StateManager.get();
+            const hash = await encode(state);
+            const url = window.location.href.split('#')[0] + hash;
+
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(url);
+                const hasPhoto = StateManager.getPages().some(page => StateManager.resolvePage(state, page.id).content.photo);
+                Utils.notify(hasPhoto
+                    ? "Share Link Copied! (photo not included) 🔗"
+                    : "Share Link Copied! 🔗");
+            } else {
+                prompt("Copy this link to share your card:", url);
+            }
+        } catch (e) {
+            console.error("ShareLink: Copy failed", e);
+            Utils.notify("Could not create share link");
+        }
+    }
+
+    /**
+     * Switches the page into the read-only recipient layout.
+     */
+    function showRecipientView() {
+        document.body.className = 'mode-recipient';
+
+        const cta = document.getElementById('recipient-cta');
+        if (cta) cta.href = window.location.href.split('#')[0];
+    }
+
+    return {
+        hasPayload,
+        encode,
+        decode,
+        copyLink,
+        showRecipientView
+    };
+})();
+
+/* =========================================
+   6.2 PRINT IMPOSITION (FOLDED CARDS)
+   ========================================= */
+const PrintEngine = (function() {
+    // Paper sizes in portrait orientation (mm)
+    const PAPERS = {
+        a4: { id: 'a4', label: 'A4', mm: [210, 297] },
+        letter: { id: 'letter', label: 'US Letter', mm: [215.9, 279.4] }
+    };
+
+    // Impositions. Each sheet side lists the card pages by grid cell; `rotate`
+    // panels are printed upside down so they read correctly once folded.
+    const FOLDS = {
+        half: {
+            id: 'half',
+            label: 'Half-fold (print double-sided)',
+            landscape: true,
+            cols: 2,
+            rows: 1,
+            pages: [
+                [{ page: 'back', col: 0, row: 0 }, { page: 'front', col: 1, row: 0 }],
+                [{ page: 'insideLeft', col: 0, row: 0 }, { page: 'insideRight', col: 1, row: 0 }]
+            ]
+        },
+        quarter: {
+            id: 'quarter',
+            label: 'Quarter-fold (single side)',
+            landscape: false,
+            cols: 2,
+            rows: 2,
+            pages: [[
+                { page: 'insideRight', col: 0, row: 0, rotate: true },
+                { page: 'insideLeft', col: 1, row: 0, rotate: true },
+                { page: 'back', col: 0, row: 1 },
+                { page: 'front', col: 1, row: 1 }
+            ]]
+        }
+    };
+
+    const BLEED_MM = 3;
+    const MARK_MARGIN_MM = 12; // Paper kept free around the trim for marks
+    const MARK_LENGTH_MM = 5;
+    const DPI = 200;
+
+    /**
+     * Works out where every panel of a fold lands on the sheet.
+     * @param {object} options - config.print
+     * @returns {object} Sheet size, trim box and per-page panel rects (mm).
+     */
+    function getImposition(options) {
+        const fold = FOLDS[options.fold] || FOLDS.half;
+        const paper = PAPERS[options.paper] || PAPERS.a4;
+        const [sheetW, sheetH] = fold.landscape ? [paper.mm[1], paper.mm[0]] : paper.mm;
+
+        const margin = (options.bleed || options.cropMarks) ? MARK_MARGIN_MM : 0;
+        const bleed = options.bleed ? BLEED_MM : 0;
+        const trim = { x: margin, y: margin, w: sheetW - margin * 2, h: sheetH - margin * 2 };
+        const panelW = trim.w / fold.cols;
+        const panelH = trim.h / fold.rows;
+
+        const pages = fold.pages.map(panels => panels.map(panel => {
+            const cell = {
+                x: trim.x + panel.col * panelW,
+                y: trim.y + panel.row * panelH,
+                w: panelW,
+                h: panelH
+            };
+
+            // Bleed only grows the edges that sit on the outside of the trim
+            const grow = {
+                left: panel.col === 0 ? bleed : 0,
+                right: panel.col === fold.cols - 1 ? bleed : 0,
+                top: panel.row === 0 ? bleed : 0,
+                bottom: panel.row === fold.rows - 1 ? bleed : 0
+            };
+
+            return Object.assign({}, panel, {
+                cell,
+                rect: {
+                    x: cell.x - grow.left,
+                    y: cell.y - grow.top,
+                    w: cell.w + grow.left + grow.right,
+                    h: cell.h + grow.top + grow.bottom
+                }
+            });
+        }));
+
+        return { fold, paper, sheetW, sheetH, trim, bleed, pages };
+    }
+
+    /**
+     * Paints one panel (with its bleed) into a canvas ready for the PDF.
+     * The page is centered on its trim cell and scaled to cover the bleed
+     * too, so the paper edge never shows when the sheet is cut.
+     */
+    function renderPanelImage(state, panel) {
+        const pxPerMm = DPI / 25.4;
+
+        const out = document.createElement('canvas');
+        out.width = Math.round(panel.rect.w * pxPerMm);
+        out.height = Math.round(panel.rect.h * pxPerMm);
+        const ctx = out.getContext('2d', { alpha: false });
+
+        // Bleed can sit on one side of the cell only; centered on the cell,
+        // the page has to reach the wider side on both
+        const bleedX = Math.max(panel.cell.x - panel.rect.x,
+            (panel.rect.x + panel.rect.w) - (panel.cell.x + panel.cell.w));
+        const bleedY = Math.max(panel.cell.y - panel.rect.y,
+            (panel.rect.y + panel.rect.h) - (panel.cell.y + panel.cell.h));
+        const scale = Math.max(
+            (panel.cell.w + bleedX * 2) * pxPerMm / state.config.width,
+            (panel.cell.h + bleedY * 2) * pxPerMm / state.config.height
+        );
+        const content = Renderer.renderPage(state, panel.page, scale);
+        const dw = state.config.width * scale;
+        const dh = state.config.height * scale;
+        const cx = (panel.cell.x - panel.rect.x + panel.cell.w / 2) * pxPerMm;
+        const cy = (panel.cell.y - panel.rect.y + panel.cell.h / 2) * pxPerMm;
+
+        ctx.save();
+        ctx.translate(cx, cy);
+        if (panel.rotate) ctx.rotate(Math.PI);
+        ctx.drawImage(content, -dw / 2, -dh / 2, dw, dh);
+        ctx.restore();
+
+        return out;
+    }
+
+    /**
+     * Crop marks at the trim corners and fold marks at the fold lines,
+     * all drawn in the margin outside the bleed.
+     */
+    function drawMarks(pdf, imposition) {
+        const { trim, bleed, fold } = imposition;
+        const gap = bleed + 1;
+        const len = MARK_LENGTH_MM;
+        const right = trim.x + trim.w;
+        const bottom = trim.y + trim.h;
+
+        pdf.setDrawColor(0, 0, 0);
+        pdf.setLineWidth(0.2);
+
+        [[trim.x, trim.y], [right, trim.y], [trim.x, bottom], [right, bottom]].forEach(([x, y]) => {
+            const dirX = x === trim.x ? -1 : 1;
+            const dirY = y === trim.y ? -1 : 1;
+            pdf.line(x + dirX * gap, y, x + dirX * (gap + len), y);
+            pdf.line(x, y + dirY * gap, x, y + dirY * (gap + len));
+        });
+
+        // Dashed fold marks
+        pdf.setLineDashPattern([1, 1], 0);
+        for (let c = 1; c < fold.cols; c++) {
+            const x = trim.x + trim.w / fold.cols * c;
+            pdf.line(x, trim.y - gap, x, trim.y - gap - len);
+            pdf.line(x, bottom + gap, x, bottom + gap + len);
+        }
+        for (let r = 1; r < fold.rows; r++) {
+            const y = trim.y + trim.h / fold.rows * r;
+            pdf.line(trim.x - gap, y, trim.x - gap - len, y);
+            pdf.line(right + gap, y, right + gap + len, y);
+        }
+        pdf.setLineDashPattern([], 0);
+    }
+
+    /**
+     * Builds and downloads the print-ready PDF.
+     */
+    function downloadPrintPDF() {
+        if (!window.jspdf) {
+            alert("PDF Library is loading. Please wait a moment.");
+            return;
+        }
+
+        if (!ExportEngine.confirmFit()) return;
+
+        Utils.notify("Preparing print sheets... 🖨️");
+
+        requestAnimationFrame(() => {
+            const { jsPDF } = window.jspdf;
+            const state = StateManager.get();
+            const options = Object.assign({}, StateManager.getDefault().config.print, state.config.print);
+            const imposition = getImposition(options);
+            const orientation = imposition.fold.landscape ? 'landscape' : 'portrait';
+
+            const pdf = new jsPDF({
+                orientation,
+                unit: 'mm',
+                format: imposition.paper.mm
+            });
+
+            imposition.pages.forEach((panels, index) => {
+                if (index > 0) pdf.addPage(imposition.paper.mm, orientation);
+
+                panels.forEach(panel => {
+                    const image = renderPanelImage(state, panel).toDataURL('image/jpeg', 0.92);
+                    pdf.addImage(image, 'JPEG', panel.rect.x, panel.rect.y, panel.rect.w, panel.rect.h);
+                });
+
+                if (options.cropMarks) drawMarks(pdf, imposition);
+            });
+
+            pdf.save(ExportEngine.getFilename('pdf').replace(/\.pdf$/, '-print.pdf'));
+
+            Utils.notify(imposition.fold.id === 'half'
+                ? "Print PDF Saved! Print double-sided, flip on short edge 🖨️"
+                : "Print PDF Saved! Fold in half twice 🖨️");
+        });
+    }
+
+    return {
+        getPapers: () => PAPERS,
+        getFolds: () => FOLDS,
+        getImposition,
+        downloadPrintPDF
+    };
+})();
+
+/* =========================================
+   6.3 BATCH MAIL-MERGE (CSV TO MANY CARDS)
+   ========================================= */
+const MailMerge = (function() {
+    const MAX_FILE_BYTES = 1024 * 1024;
+    const MAX_ROWS = 500;
+    const TOKEN = /\{([^{}\n]+)\}/g;
+    const TEXT_FIELDS = ['to', 'message', 'from'];
+
+    // A one-column paste whose first line isn't one of these has no header
+    const HEADER_HINTS = ['name', 'to', 'recipient', 'message', 'from', 'sender', 'email'];
+
+    const dom = {};
+    let table = null;     // { columns: [], rows: [{column: value}] }
+    let rowIndex = 0;
+    let lastField = null; // Card text input that receives column tokens
+    let busy = false;     // A batch export is running
+
+    function init() {
+        dom.input = document.getElementById('merge-input');
+        if (!dom.input) return;
+
+        dom.btnImport = document.getElementById('merge-import');
+        dom.inputFile = document.getElementById('merge-file');
+        dom.btnClear = document.getElementById('merge-clear');
+        dom.status = document.getElementById('merge-status');
+        dom.columns = document.getElementById('merge-columns');
+        dom.nav = document.getElementById('merge-nav');
+        dom.label = document.getElementById('merge-label');
+        dom.btnPrev = document.getElementById('merge-prev');
+        dom.btnNext = document.getElementById('merge-next');
+        dom.inputPreview = document.getElementById('merge-preview');
+        dom.btnZip = document.getElementById('merge-zip');
+        dom.btnPdf = document.getElementById('merge-pdf');
+        dom.fields = ['in-to', 'in-msg', 'in-from'].map(id => document.getElementById(id)).filter(Boolean);
+
+        dom.input.addEventListener('input', Utils.debounce(() => load(dom.input.value), 300));
+        dom.btnImport.addEventListener('click', () => dom.inputFile.click());
+        dom.inputFile.addEventListener('change', (e) => {
+            if (e.target.files[0]) importFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        dom.btnClear.addEventListener('click', () => {
+            dom.input.value = '';
+            load('');
+        });
+
+        dom.btnPrev.addEventListener('click', () => showRow(rowIndex - 1));
+        dom.btnNext.addEventListener('click', () => showRow(rowIndex + 1));
+        dom.inputPreview.addEventListener('change', refreshPreview);
+
+        dom.btnZip.addEventListener('click', downloadZip);
+        dom.btnPdf.addEventListener('click', downloadPDF);
+
+        // Column chips insert their token where the user was last typing
+        dom.fields.forEach(field => field.addEventListener('focus', () => { lastField = field; }));
+
+        // Tokens typed into the card change the unknown-column report
+        EventBus.subscribe('state:updated', () => {
+            if (table) renderStatus();
+        });
+
+        render();
+    }
+
+    /**
+     * Splits delimited text into rows of cells.
+     * Handles quoted cells with escaped quotes ("") and line breaks.
+     */
+    function parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"' && cell === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+
+        row.push(cell);
+        rows.push(row);
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Parses a CSV/TSV file or a pasted list into named columns.
+     * The first line holds the column names, except for a plain
+     * one-per-line list of names.
+     * @param {string} text - Raw text.
+     * @returns {{columns: string[], rows: object[]}}
+     * @throws {Error} If there are no rows or too many.
+     */
+    function parse(text) {
+        const clean = String(text || '').replace(/^\uFEFF/, '');
+        const firstLine = clean.split(/\r?\n/, 1)[0];
+        const delimiter = ['\t', ';', ','].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+        const rows = parseDelimited(clean, delimiter);
+        if (rows.length === 0) throw new Error("No recipients found");
+
+        let header = rows[0];
+        let data = rows.slice(1);
+        if (header.length === 1 && HEADER_HINTS.indexOf(header[0].trim().toLowerCase()) === -1) {
+            header = ['name'];
+            data = rows;
+        }
+
+        // Column names become token names: lower case, no spaces, unique
+        const columns = [];
+        header.forEach((raw, i) => {
+            let name = raw.trim().toLowerCase().replace(/\s+/g, '_').replace(/[{}]/g, '') || `column${i + 1}`;
+            if (columns.indexOf(name) !== -1) name = `${name}_${i + 1}`;
+            columns.push(name);
+        });
+
+        if (data.length === 0) throw new Error("The list has a header but no recipients");
+        if (data.length > MAX_ROWS) throw new Error(`Batches are limited to ${MAX_ROWS} recipients`);
+
+        return {
+            columns,
+            rows: data.map(cells => {
+                const record = {};
+                columns.forEach((column, i) => {
+                    record[column] = (cells[i] || '').trim();
+                });
+                return record;
+            })
+        };
+    }
+
+    /**
+     * Replaces {column} tokens with a row's values.
+     * Tokens that don't name a column are left as typed.
+     * @param {boolean} [markup] - Escape the values for the message markup.
+     */
+    function fillTokens(text, row, markup) {
+        return String(text).replace(TOKEN, (match, key) => {
+            const column = key.trim().toLowerCase();
+            if (!Object.prototype.hasOwnProperty.call(row, column)) return match;
+            return markup ? Utils.escapeMarkup(row[column]) : row[column];
+        });
+    }
+
+    /**
+     * The text blocks of every page, as {to, message, from} objects.
+     */
+    function contentBlocks(state) {
+        const pages = Object.keys(state.pages || {}).map(id => state.pages[id].content);
+        return [state.content].concat(pages).filter(Utils.isPlainObject);
+    }
+
+    /**
+     * Builds the card for one recipient.
+     * @param {object} state - The template state (with tokens).
+     * @param {object} row - One parsed row.
+     * @returns {object} A new state tree.
+     */
+    function applyRow(state, row) {
+        const merged = Utils.deepClone(state);
+        contentBlocks(merged).forEach(content => {
+            TEXT_FIELDS.forEach(key => {
+                if (typeof content[key] === 'string') content[key] = fillTokens(content[key], row, key === 'message');
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * Lists tokens used on the card that no column provides.
+     */
+    function findUnknownTokens(state) {
+        const unknown = [];
+        contentBlocks(state).forEach(content => {
+            TEXT_FIELDS.forEach(key => {
+                String(content[key] || '').replace(TOKEN, (match, name) => {
+                    const column = name.trim().toLowerCase();
+                    if (table.columns.indexOf(column) === -1 && unknown.indexOf(match) === -1) unknown.push(match);
+                    return match;
+                });
+            });
+        });
+        return unknown;
+    }
+
+    function load(text) {
+        if (!text.trim()) {
+            table = null;
+        } else {
+            try {
+                table = parse(text);
+            } catch (e) {
+                table = null;
+                render(e.message);
+                return;
+            }
+        }
+
+        rowIndex = 0;
+        render();
+    }
+
+    function importFile(file) {
+        if (file.size > MAX_FILE_BYTES) {
+            Utils.notify("That file is too large for a batch");
+            return;
+        }
+
+        file.text().then((text) => {
+            dom.input.value = text;
+            load(text);
+        }).catch((e) => {
+            console.warn("MailMerge: Import failed", e);
+            Utils.notify("That file could not be read");
+        });
+    }
+
+    function render(error) {
+        const ready = !!table;
+        dom.nav.classList.toggle('hidden', !ready);
+        setBusy(busy);
+
+        dom.columns.innerHTML = '';
+        if (ready) {
+            table.columns.forEach(column => {
+                const btn = document.createElement('button');
+                btn.textContent = `{${column}}`;
+                btn.title = `Insert {${column}} into the selected card field`;
+                btn.addEventListener('click', () => insertToken(`{${column}}`));
+                dom.columns.appendChild(btn);
+            });
+        }
+
+        renderStatus(error);
+        showRow(rowIndex);
+    }
+
+    function renderStatus(error) {
+        dom.status.classList.toggle('merge-error', !!error);
+        if (error) {
+            dom.status.textContent = error;
+            return;
+        }
+        if (!table) {
+            dom.status.textContent = "Paste a list or import a CSV, then use {name}-style tokens in the card text.";
+            return;
+        }
+
+        const unknown = findUnknownTokens(StateManager.get());
+        const count = table.rows.length;
+        dom.status.textContent = `${count} recipient${count === 1 ? '' : 's'}.` +
+            (unknown.length ? ` No column for ${unknown.join(', ')}.` : '');
+    }
+
+    /**
+     * Types a token into the last focused card field, through its normal
+     * input handler so the edit is saved and undoable like any other.
+     */
+    function insertToken(token) {
+        const field = lastField || document.getElementById('in-msg');
+        if (!field) return;
+
+        const start = field.selectionStart != null ? field.selectionStart : field.value.length;
+        const end = field.selectionEnd != null ? field.selectionEnd : start;
+        field.value = field.value.slice(0, start) + token + field.value.slice(end);
+        field.focus();
+        field.setSelectionRange(start + token.length, start + token.length);
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    function showRow(index) {
+        if (table) {
+            rowIndex = Utils.clamp(index, 0, table.rows.length - 1);
+            dom.label.textContent = `Recipient ${rowIndex + 1} of ${table.rows.length}`;
+            dom.btnPrev.disabled = rowIndex === 0;
+            dom.btnNext.disabled = rowIndex === table.rows.length - 1;
+        }
+        refreshPreview();
+    }
+
+    /**
+     * Shows the current row on the live canvas without touching the
+     * template, so the card fields keep their tokens.
+     */
+    function refreshPreview() {
+        const row = table && dom.inputPreview.checked ? table.rows[rowIndex] : null;
+        Renderer.setPreviewFilter(row ? (state) => applyRow(state, row) : null);
+    }
+
+    /**
+     * Asks once if any recipient's message is clipped.
+     * @param {string[]} pageIds - Pages going into the export.
+     */
+    function confirmBatchFit(template, pageIds) {
+        const clipped = table.rows.filter(row => {
+            const merged = applyRow(template, row);
+            return pageIds.some(id => Renderer.analyzeFit(StateManager.resolvePage(merged, id)).overflow);
+        }).length;
+        if (clipped === 0) return true;
+
+        return confirm(
+            `${clipped} of ${table.rows.length} cards have a message that doesn't fit, ` +
+            `so text will be clipped or overlap. Export anyway?`
+        );
+    }
+
+    /**
+     * Unique, sanitized file names from each recipient's front-cover name.
+     */
+    function buildFilenames(template, extension) {
+        const used = {};
+        return table.rows.map((row, i) => {
+            const to = applyRow(template, row).content.to;
+            const base = `heartify-${Utils.sanitizeFilename(to || `card_${i + 1}`)}`;
+            used[base] = (used[base] || 0) + 1;
+            return used[base] > 1 ? `${base}_${used[base]}.${extension}` : `${base}.${extension}`;
+        });
+    }
+
+    function setBusy(value) {
+        busy = value;
+        [dom.btnZip, dom.btnPdf].forEach(btn => {
+            btn.disabled = value || !table;
+        });
+    }
+
+    const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    function canvasToBytes(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (!blob) {
+                    reject(new Error("MailMerge: Canvas encoding failed"));
+                    return;
+                }
+                blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Exports the page shown in the editor once per recipient, zipped.
+     */
+    async function downloadZip() {
+        if (!table || busy) return;
+
+        const template = StateManager.get();
+        const pageId = StateManager.getActivePage();
+        if (!confirmBatchFit(template, [pageId])) return;
+
+        // The table can be edited while the batch runs
+        const rows = table.rows;
+        const scale = StateManager.getSize(template.config).exportScale;
+        const names = buildFilenames(template, 'png');
+        const files = [];
+        setBusy(true);
+
+        try {
+            for (let i = 0; i < rows.length; i++) {
+                Utils.notify(`Rendering card ${i + 1} of ${rows.length}... 💌`);
+                const canvas = Renderer.renderPage(applyRow(template, rows[i]), pageId, scale);
+                files.push({ name: names[i], data: await canvasToBytes(canvas) });
+            }
+
+            Utils.downloadBlob(createZip(files), 'heartify-batch.zip');
+            Utils.notify(`${files.length} Cards Zipped! 🗂️`);
+        } catch (e) {
+            console.error("MailMerge: Batch export failed", e);
+            Utils.notify("Batch export failed");
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    /**
+     * Exports every recipient's card, all pages, into one PDF.
+     */
+    async function downloadPDF() {
+        if (!table || busy) return;
+        if (!window.jspdf) {
+            alert("PDF Library is loading. Please wait a moment.");
+            return;
+        }
+
+        const template = StateManager.get();
+        const pages = StateManager.getPages();
+        if (!confirmBatchFit(template, pages.map(page => page.id))) return;
+
+        const rows = table.rows;
+        setBusy(true);
+
+        try {
+            const { jsPDF } = window.jspdf;
+            const size = StateManager.getSize(template.config);
+            const [pageW, pageH] = size.mm;
+            const orientation = pageW > pageH ? 'landscape' : 'portrait';
+            const pdf = new jsPDF({ orientation, unit: 'mm', format: [pageW, pageH] });
+
+            // One card per task so the page stays responsive
+            for (let r = 0; r < rows.length; r++) {
+                Utils.notify(`Rendering card ${r + 1} of ${rows.length}... 📄`);
+                await nextTask();
+
+                const merged = applyRow(template, rows[r]);
+                pages.forEach((page, p) => {
+                    if (r > 0 || p > 0) pdf.addPage([pageW, pageH], orientation);
+                    const imgData = Renderer.renderPage(merged, page.id, size.exportScale).toDataURL('image/jpeg', 0.92);
+                    pdf.addImage(imgData, 'JPEG', 0, 0, pageW, pageH);
+                });
+            }
+
+            pdf.save('heartify-batch.pdf');
+            Utils.notify(`Batch PDF Saved! ${rows.length} cards 📄`);
+        } catch (e) {
+            console.error("MailMerge: Batch PDF failed", e);
+            Utils.notify("Batch PDF failed");
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    // --- ZIP (stored, no compression: PNGs are already compressed) ---
+
+    /**
+     * Packs files into a ZIP archive.
+     * @param {Array<{name: string, data: Uint8Array}>} files
+     * @returns {Blob}
+     */
+    function createZip(files) {
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const encoder = new TextEncoder();
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = Utils.crc32(file.data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);          // Version needed
+            local.setUint16(6, 0x0800, true);      // UTF-8 names
+            local.setUint16(8, 0, true);           // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local, name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);          // Version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, file.data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);     // Local header offset
+            central.push(entry, name);
+
+            offset += 30 + name.length + file.data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob(parts.concat(central, [end]), { type: 'application/zip' });
+    }
+
+    return {
+        init,
+        parse,
+        applyRow,
+        createZip
+    };
+})();
+
+/* =========================================
+   6.4 ANIMATED CARDS (GIF & WEBM EXPORT)
+   ========================================= */
+const Animator = (function() {
+    // Message reveal styles (see Renderer.drawTextLayer)
+    const REVEALS = {
+        none: { id: 'none', label: 'None' },
+        fade: { id: 'fade', label: 'Fade In' },
+        typewriter: { id: 'typewriter', label: 'Typewriter' }
+    };
+
+    const DURATIONS = [2, 3, 4, 5, 6, 8, 10]; // Seconds per loop
+    const FRAME_RATES = [10, 15, 24, 30];
+    const LIMITS = {
+        duration: { min: 2, max: 10 },
+        fps: { min: 5, max: 30 }
+    };
+
+    // Longest side of exported frames, in pixels. GIFs stay small enough
+    // for messaging apps; video can afford more.
+    const GIF_MAX_SIDE = 800;
+    const WEBM_MAX_SIDE = 1920;
+    const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+    // Pixels sampled per frame when building the GIF palette
+    const PALETTE_SAMPLES = 20000;
+
+    const dom = {};
+    let playing = null; // Live preview animation frame id
+    let busy = false;
+
+    function init() {
+        dom.hearts = document.getElementById('in-anim-hearts');
+        if (!dom.hearts) return;
+
+        dom.shimmer = document.getElementById('in-anim-shimmer');
+        dom.reveal = document.getElementById('anim-reveal');
+        dom.duration = document.getElementById('in-anim-duration');
+        dom.fps = document.getElementById('in-anim-fps');
+        dom.btnPreview = document.getElementById('anim-preview');
+        dom.btnGif = document.getElementById('anim-gif');
+        dom.btnWebm = document.getElementById('anim-webm');
+
+        Object.values(REVEALS).forEach(reveal => {
+            const btn = document.createElement('button');
+            btn.dataset.id = reveal.id;
+            btn.textContent = reveal.label;
+            btn.addEventListener('click', () => StateManager.update('design.animation.reveal', reveal.id));
+            dom.reveal.appendChild(btn);
+        });
+        DURATIONS.forEach(seconds => dom.duration.add(new Option(`${seconds} seconds`, seconds)));
+        FRAME_RATES.forEach(fps => dom.fps.add(new Option(`${fps} fps`, fps)));
+
+        dom.hearts.addEventListener('change', (e) => StateManager.update('design.animation.hearts', e.target.checked));
+        dom.shimmer.addEventListener('change', (e) => StateManager.update('design.animation.shimmer', e.target.checked));
+        dom.duration.addEventListener('change', (e) => StateManager.update('config.animation.duration', parseInt(e.target.value, 10)));
+        dom.fps.addEventListener('change', (e) => StateManager.update('config.animation.fps', parseInt(e.target.value, 10)));
+
+        dom.btnPreview.addEventListener('click', () => (playing ? stop() : play()));
+        dom.btnGif.addEventListener('click', downloadGIF);
+        dom.btnWebm.addEventListener('click', downloadWebM);
+
+        EventBus.subscribe('state:updated', sync);
+        EventBus.subscribe('page:changed', stop);
+        sync(StateManager.get());
+    }
+
+    function sync(state) {
+        const animation = state.design.animation;
+        dom.hearts.checked = animation.hearts;
+        dom.shimmer.checked = animation.shimmer;
+        dom.reveal.querySelectorAll('button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.id === animation.reveal);
+        });
+        dom.duration.value = state.config.animation.duration;
+        dom.fps.value = state.config.animation.fps;
+    }
+
+    /**
+     * Plays the animation once on the live canvas.
+     * Also used by the recipient view, which has no controls.
+     */
+    function play() {
+        stop();
+        const duration = StateManager.get().config.animation.duration;
+        const start = performance.now();
+
+        const tick = (now) => {
+            const time = (now - start) / 1000;
+            if (time >= duration) {
+                stop();
+                return;
+            }
+            Renderer.setPlayback({ time, duration });
+            playing = requestAnimationFrame(tick);
+        };
+        playing = requestAnimationFrame(tick);
+        if (dom.btnPreview) dom.btnPreview.classList.add('active');
+    }
+
+    function stop() {
+        if (!playing) return;
+        cancelAnimationFrame(playing);
+        playing = null;
+        Renderer.setPlayback(null);
+        if (dom.btnPreview) dom.btnPreview.classList.remove('active');
+    }
+
+    /**
+     * Settings for an export of the page shown in the editor.
+     */
+    function getJob(maxSide) {
+        const state = StateManager.get();
+        const pageId = StateManager.getActivePage();
+        const page = StateManager.getPages().find(p => p.id === pageId);
+        const { duration, fps } = state.config.animation;
+
+        return {
+            state: StateManager.resolvePage(state, pageId),
+            suffix: pageId === 'front' ? '' : page.label,
+            scale: Math.min(StateManager.getSize(state.config).exportScale, maxSide / Math.max(state.config.width, state.config.height)),
+            duration,
+            fps,
+            count: Math.round(duration * fps)
+        };
+    }
+
+    function setBusy(value) {
+        busy = value;
+        [dom.btnGif, dom.btnWebm].forEach(btn => {
+            if (btn) btn.disabled = value;
+        });
+    }
+
+    const nextTask = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+    /**
+     * Renders every frame of the loop and encodes a looping GIF locally.
+     */
+    async function downloadGIF() {
+        if (busy || !ExportEngine.confirmFit([StateManager.getActivePage()])) return;
+        stop();
+        setBusy(true);
+
+        const job = getJob(GIF_MAX_SIDE);
+        const canvas = document.createElement('canvas');
+        const frameAt = (i) => {
+            Renderer.renderAnimationFrame(canvas, job.state, job.scale, { time: i / job.fps, duration: job.duration });
+            return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+        };
+
+        try {
+            // One palette for the whole loop, from the start, middle and end
+            Utils.notify("Preparing GIF colors... 🎞️");
+            await nextTask();
+            const samples = [0, Math.floor(job.count / 2), job.count - 1].map(i => samplePixels(frameAt(i)));
+            const palette = buildPalette(samples);
+
+            const gif = createGif(canvas.width, canvas.height, palette.colors);
+            for (let i = 0; i < job.count; i++) {
+                if (i % 5 === 0) {
+                    Utils.notify(`Encoding GIF frame ${i + 1} of ${job.count}... 🎞️`);
+                    await nextTask();
+                }
+                // Delays are whole hundredths, so the rounding is spread
+                // over the frames to keep the loop at its chosen length
+                const delay = Math.round((i + 1) * 100 / job.fps) - Math.round(i * 100 / job.fps);
+                gif.addFrame(palette.map(frameAt(i)), delay);
+            }
+
+            Utils.downloadBlob(gif.finish(), ExportEngine.getFilename('gif', job.suffix));
+            Utils.notify("Animated GIF Downloaded! 🎞️");
+        } catch (e) {
+            console.error("Animator: GIF export failed", e);
+            Utils.notify("GIF export failed");
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    /**
+     * Records the loop in real time through MediaRecorder.
+     */
+    async function downloadWebM() {
+        if (busy) return;
+
+        const type = window.MediaRecorder && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+            ? WEBM_TYPES.find(t => MediaRecorder.isTypeSupported(t))
+            : null;
+        if (!type) {
+            Utils.notify("This browser can't record WebM video");
+            return;
+        }
+        if (!ExportEngine.confirmFit([StateManager.getActivePage()])) return;
+
+        stop();
+        setBusy(true);
+
+        const job = getJob(WEBM_MAX_SIDE);
+        const canvas = document.createElement('canvas');
+        const drawFrame = (i) => Renderer.renderAnimationFrame(canvas, job.state, job.scale, { time: i / job.fps, duration: job.duration });
+        let stream = null;
+
+        try {
+            drawFrame(0);
+
+            // Frames are pushed by hand where supported, so slow frames
+            // never get dropped or duplicated by the capture clock
+            stream = canvas.captureStream(0);
+            let track = stream.getVideoTracks()[0];
+            if (!track || typeof track.requestFrame !== 'function') {
+                stream.getTracks().forEach(t => t.stop());
+                stream = canvas.captureStream(job.fps);
+                track = null;
+            }
+
+            const chunks = [];
+            const recorder = new MediaRecorder(stream, { mimeType: type });
+            recorder.ondataavailable = (e) => {
+                if (e.data && e.data.size) chunks.push(e.data);
+            };
+            const stopped = new Promise(resolve => {
+                recorder.onstop = resolve;
+            });
+
+            Utils.notify(`Recording ${job.duration}s video... 🎬`);
+            recorder.start();
+            const start = performance.now();
+            for (let i = 0; i < job.count; i++) {
+                drawFrame(i);
+                if (track) track.requestFrame();
+                await nextTask(Math.max(0, start + (i + 1) * 1000 / job.fps - performance.now()));
+            }
+            recorder.stop();
+            await stopped;
+
+            Utils.downloadBlob(new Blob(chunks, { type: 'video/webm' }), ExportEngine.getFilename('webm', job.suffix));
+            Utils.notify("WebM Video Downloaded! 🎬");
+        } catch (e) {
+            console.error("Animator: WebM export failed", e);
+            Utils.notify("WebM export failed");
+        } finally {
+            // Also when MediaRecorder setup throws
+            if (stream) stream.getTracks().forEach(t => t.stop());
+            setBusy(false);
+        }
+    }
+
+    /**
+     * Picks up to PALETTE_SAMPLES evenly spaced pixels as packed 0xRRGGBB.
+     */
+    function samplePixels(data) {
+        const pixels = data.length / 4;
+        const step = Math.max(1, Math.floor(pixels / PALETTE_SAMPLES));
+        const out = [];
+        for (let p = 0; p < pixels; p += step) {
+            const i = p * 4;
+            out.push(data[i] << 16 | data[i + 1] << 8 | data[i + 2]);
+        }
+        return out;
+    }
+
+    /**
+     * Median-cut quantizer: splits the sampled colors into up to 256 boxes
+     * along their widest channel and averages each box.
+     * @param {number[][]} samples - Packed colors from samplePixels().
+     * @returns {{colors: Uint8Array, map: Function}} RGB palette, and a
+     *     function mapping RGBA frame data to palette indices.
+     */
+    function buildPalette(samples) {
+        const channel = (color, c) => (color >> (16 - c * 8)) & 255;
+        const spread = (box) => {
+            let best = { c: 0, range: -1 };
+            for (let c = 0; c < 3; c++) {
+                let min = 255;
+                let max = 0;
+                box.forEach(color => {
+                    const v = channel(color, c);
+                    if (v < min) min = v;
+                    if (v > max) max = v;
+                });
+                if (max - min > best.range) best = { c, range: max - min };
+            }
+            return best;
+        };
+
+        const makeBox = (list) => Object.assign(spread(list), { list });
+        let boxes = [makeBox([].concat(...samples))];
+        while (boxes.length < 256) {
+            let target = -1;
+            let bestScore = 0;
+            boxes.forEach((box, i) => {
+                const score = box.range * box.list.length;
+                if (box.list.length > 1 && score > bestScore) {
+                    bestScore = score;
+                    target = i;
+                }
+            });
+            if (target === -1) break;
+
+            const { list, c } = boxes[target];
+            list.sort((a, b) => channel(a, c) - channel(b, c));
+            const half = list.length >> 1;
+            boxes.splice(target, 1, makeBox(list.slice(0, half)), makeBox(list.slice(half)));
+        }
+        boxes = boxes.map(box => box.list);
+
+        const colors = new Uint8Array(256 * 3);
+        boxes.forEach((box, i) => {
+            for (let c = 0; c < 3; c++) {
+                colors[i * 3 + c] = Math.round(box.reduce((sum, color) => sum + channel(color, c), 0) / box.length);
+            }
+        });
+
+        // Nearest palette entry per 15-bit color, filled in as colors appear
+        const lookup = new Int16Array(32768).fill(-1);
+        const nearest = (r, g, b) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let i = 0; i < boxes.length; i++) {
+                const dr = colors[i * 3] - r;
+                const dg = colors[i * 3 + 1] - g;
+                const db = colors[i * 3 + 2] - b;
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = i;
+                }
+            }
+            return best;
+        };
+
+        return {
+            colors,
+            map(data) {
+                const indices = new Uint8Array(data.length / 4);
+                for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+                    const key = (data[i] >> 3) << 10 | (data[i + 1] >> 3) << 5 | data[i + 2] >> 3;
+                    if (lookup[key] === -1) lookup[key] = nearest(data[i] | 4, data[i + 1] | 4, data[i + 2] | 4);
+                    indices[p] = lookup[key];
+                }
+                return indices;
+            }
+        };
+    }
+
+    /**
+     * Minimal GIF89a writer: one global 256-color palette, looping forever.
+     * addFrame() takes the frame's delay in hundredths of a second.
+     */
+    function createGif(width, height, colors) {
+        const parts = [];
+        const bytes = (...values) => parts.push(new Uint8Array(values));
+        const word = (n) => [n & 255, (n >> 8) & 255];
+
+        parts.push(new TextEncoder().encode('GIF89a'));
+        bytes(...word(width), ...word(height), 0xF7, 0, 0); // Global table of 2^8 colors
+        parts.push(colors);
+        // NETSCAPE2.0 extension: loop forever
+        bytes(0x21, 0xFF, 0x0B, ...new TextEncoder().encode('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0);
+
+        return {
+            addFrame(indices, delay) {
+                bytes(0x21, 0xF9, 0x04, 0x04, ...word(delay), 0, 0); // Graphic control: keep previous
+                bytes(0x2C, 0, 0, 0, 0, ...word(width), ...word(height), 0);
+                bytes(8);
+                const data = lzw(indices, 8);
+                for (let i = 0; i < data.length; i += 255) {
+                    const block = data.subarray(i, i + 255);
+                    bytes(block.length);
+                    parts.push(block);
+                }
+                bytes(0);
+            },
+            finish() {
+                bytes(0x3B);
+                return new Blob(parts, { type: 'image/gif' });
+            }
+        };
+    }
+
+    /**
+     * Variable-width LZW as used by GIF image data.
+     */
+    function lzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+
+        let out = new Uint8Array(Math.max(1024, indices.length >> 1));
+        let length = 0;
+        let buffer = 0;
+        let bits = 0;
+
+        const emit = (code) => {
+            buffer |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                if (length === out.length) {
+                    const grown = new Uint8Array(out.length * 2);
+                    grown.set(out);
+                    out = grown;
+                }
+                out[length++] = buffer & 255;
+                buffer >>>= 8;
+                bits -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = prefix << 8 | k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                // The decoder widens its codes one entry later than it adds them
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = k;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bits > 0) emit(0);
+
+        return out.subarray(0, length);
+    }
+
+    return {
+        init,
+        play,
+        stop,
+        getReveals: () => REVEALS,
+        getLimits: () => LIMITS
+    };
+})();
+
+/* =========================================
+   6.5 OFFLINE E-CARD (SINGLE HTML FILE)
+   ========================================= */
+const ECard = (function() {
+    const DATA_ID = 'heartify-ecard';
+
+    // The envelope opens, then the card rises in (see cards.css 1.6)
+    const OPEN_MS = 1600;
+
+    // Card fonts are embedded in full; the script fallbacks only for the
+    // character ranges the card actually uses (see loadExtraFonts)
+    const CARD_FONTS = ['Lato', 'Montserrat'];
+    const EXTRA_CHARS = /[^\u0000-\u024F\u2000-\u206F]/;
+
+    let busy = false;
+
+    /**
+     * True when this page is an exported e-card.
+     */
+    function hasPayload() {
+        return !!document.getElementById(DATA_ID);
+    }
+
+    /**
+     * Writes the whole card as one HTML file that opens offline: the
+     * state, this script, the stylesheets and the fonts are all inlined.
+     */
+    async function download() {
+        if (busy || !ExportEngine.confirmFit()) return;
+        busy = true;
+        Utils.notify("Packing your e-card... 💌");
+
+        try {
+            const state = StateManager.get();
+            const theme = StateManager.getTheme(state.design.themeId);
+
+            let source;
+            try {
+                source = await fetchText(Utils.getScriptURL());
+            } catch (e) {
+                console.error("ECard: Script unavailable", e);
+                Utils.notify("E-cards can only be saved when Heartify is opened from a web address");
+                return;
+            }
 
-        ctx.restore();
+            const sheets = await Promise.all(Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+                .filter(link => new URL(link.href).origin === window.location.origin)
+                .map(link => fetchText(link.href).catch(() => '')));
+
+            let fonts = '';
+            try {
+                fonts = await embedFonts(state);
+            } catch (e) {
+                console.warn("ECard: Fonts not embedded", e);
+            }
+
+            const html = buildHTML({
+                state,
+                theme: theme.custom ? theme : undefined,
+                css: fonts + sheets.join('\n'),
+                source
+            });
+            Utils.downloadBlob(new Blob([html], { type: 'text/html' }), ExportEngine.getFilename('html'));
+            Utils.notify(fonts ? "E-Card Saved! 💌" : "E-Card saved, but its fonts couldn't be embedded");
+        } finally {
+            busy = false;
+        }
+    }
+
+    async function fetchText(url) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+        return res.text();
     }
 
     /**
-     * Helper to draw a heart path
+     * Inlines the web fonts the card draws with as data URLs. Also used by
+     * the SVG export.
+     * @returns {Promise<string>} @font-face rules.
      */
-    function drawHeartPath(ctx, x, y, size) {
-        ctx.save();
-        ctx.translate(x, y);
-        ctx.beginPath();
-        ctx.moveTo(0, 0);
-        ctx.bezierCurveTo(-size / 2, -size / 2, -size, size / 3, 0, size);
-        ctx.bezierCurveTo(size, size / 3, size / 2, -size / 2, 0, 0);
-        ctx.closePath();
-        ctx.restore();
+    async function embedFonts(state) {
+        const link = document.querySelector('link[href*="fonts.googleapis.com"]');
+        if (!link) return '';
+
+        const text = [state.content].concat(Object.values(state.pages).map(page => page.content))
+            .map(content => [content.to, content.message, content.from].join(' ')).join(' ');
+        const codes = new Set(Array.from(text, ch => ch.codePointAt(0)));
+        for (let code = 0x20; code < 0x7F; code++) codes.add(code);
+        const extras = Array.from(codes).filter(code => EXTRA_CHARS.test(String.fromCodePoint(code)));
+
+        const families = CARD_FONTS.concat(state.design.fontFamily);
+        const cardFonts = StateManager.getFonts();
+        const faces = (await fetchText(link.href)).match(/@font-face\s*{[^}]*}/g) || [];
+
+        const wanted = faces.filter(face => {
+            const family = (/font-family:\s*['"]?([^;'"]+)/.exec(face) || [])[1];
+            const ranges = parseRanges((/unicode-range:\s*([^;]+)/.exec(face) || [])[1]);
+            if (families.indexOf(family) !== -1) return ranges.some(([from, to]) => Array.from(codes).some(c => c >= from && c <= to));
+            if (cardFonts.indexOf(family) !== -1) return false;
+            return ranges.some(([from, to]) => extras.some(c => c >= from && c <= to));
+        });
+
+        const embedded = await Promise.all(wanted.map(async face => {
+            const url = (/url\(([^)]+)\)/.exec(face) || [])[1];
+            if (!url) return face;
+            const res = await fetch(url.replace(/['"]/g, ''));
+            if (!res.ok) throw new Error(`Font ${url}: HTTP ${res.status}`);
+            return face.replace(url, await toDataURL(await res.blob()));
+        }));
+        return embedded.join('\n');
     }
 
     /**
-     * Layer 3: Text Content
+     * Reads a CSS unicode-range ("U+0000-00FF, U+4??") into [from, to]
+     * pairs. Faces without one cover everything.
      */
-    function drawTextContent(ctx, content, design, theme, w, h) {
-        ctx.save();
-        ctx.textAlign = 'center';
-        ctx.fillStyle = theme.primary;
-
-        const centerX = w / 2;
+    function parseRanges(value) {
+        if (!value) return [[0, 0x10FFFF]];
+        return value.split(',').map(part => {
+            const [from, to] = part.trim().replace(/^U\+/i, '').split('-');
+            if (to) return [parseInt(from, 16), parseInt(to, 16)];
+            return [parseInt(from.replace(/\?/g, '0'), 16), parseInt(from.replace(/\?/g, 'F'), 16)];
+        });
+    }
 
-        // 1. Recipient Name
-        // Font loading check could be implemented here, but we rely on window.onload
-        ctx.font = `italic 36px '${design.fontFamily}'`;
-        ctx.fillText(content.to, centerX, 160);
+    function toDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
 
-        // 2. Divider Graphic
-        ctx.beginPath();
-        ctx.moveTo(centerX - 50, 190);
-        ctx.lineTo(centerX + 50, 190);
-        ctx.strokeStyle = theme.primary;
-        ctx.lineWidth = 1;
-        ctx.stroke();
+    /**
+     * Assembles the e-card page. It reuses the recipient view markup, with
+     * the envelope on top until it is opened.
+     */
+    function buildHTML({ state, theme, css, source }) {
+        const to = state.content.to.trim();
+        const colors = StateManager.getTheme(state.design.themeId);
+        const payload = JSON.stringify({ state, theme }).replace(/</g, '\\u003c');
+        // Keeps the inlined script from ending its own <script> element
+        const script = source.replace(/<\/(script)/gi, '<\\/$1');
 
-        // 3. Message Body
-        ctx.font = `400 24px 'Lato'`;
-        // High contrast logic
-        ctx.fillStyle = (design.themeId === 'midnight') ? '#cbd5e1' : '#475569';
-        
-        const msgY = 320;
-        const msgWidth = w - 120; // Padding side
-        wrapText(ctx, content.message, centerX, msgY, msgWidth, 38);
+        return `<!DOCTYPE html>
+<html lang="en" data-theme="light">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${Utils.escapeXML(to ? `A card for ${to}` : 'A card for you')} 💌</title>
+    <style>
+${css}
+    </style>
+</head>
+<body class="mode-recipient mode-ecard">
+    <main class="preview-stage">
+        <div id="bg-particles"></div>
+        <nav id="page-switcher" class="page-switcher" aria-label="Card pages"></nav>
+        <canvas id="cardCanvas"></canvas>
+        <div id="toast"><span id="toast-text"></span></div>
+    </main>
 
-        // 4. Sender Name (Footer)
-        const footerY = h - 100;
-        ctx.fillStyle = theme.accent;
-        ctx.font = `italic 28px '${design.fontFamily}'`;
-        ctx.fillText(content.from, centerX, footerY);
+    <div id="ecard-envelope" class="ecard-envelope" style="--ecard-primary: ${colors.primary}; --ecard-accent: ${colors.accent};">
+        <button class="ecard-envelope-body" aria-label="Open the card">
+            <span class="ecard-letter"></span>
+            <span class="ecard-pocket"></span>
+            <span class="ecard-flap"></span>
+            <span class="ecard-seal">❤</span>
+        </button>
+        <p class="ecard-hint">${Utils.escapeXML(to ? `For ${to}` : 'For you')} · tap to open</p>
+    </div>
 
-        ctx.restore();
+    <script type="application/json" id="${DATA_ID}">${payload}<\/script>
+    <script>
+${script}
+    <\/script>
+</body>
+</html>
+`;
     }
 
     /**
-     * Layer 4: Watermark
+     * Reads and checks the card embedded in an e-card page.
+     * @returns {{state: object, theme: (object|null)}}
+     * @throws {Error} If the embedded card is unreadable.
      */
-    function drawWatermark(ctx, theme, w, h) {
-        ctx.save();
-        ctx.font = "10px sans-serif";
-        ctx.textAlign = "center";
-        
-        if (theme.id === 'midnight') {
-            ctx.fillStyle = "rgba(255,255,255,0.15)";
-        } else {
-            ctx.fillStyle = "rgba(0,0,0,0.1)";
+    function read() {
+        const data = JSON.parse(document.getElementById(DATA_ID).textContent);
+        if (!Utils.isPlainObject(data) || !Utils.isPlainObject(data.state)) throw new Error("ECard: Missing card");
+
+        // A custom theme has to be known before the state is checked
+        let theme = null;
+        if (data.theme !== undefined) {
+            const design = data.state.design;
+            theme = StateManager.validateTheme(data.theme);
+            theme.id = Utils.isPlainObject(design) && typeof design.themeId === 'string' ? design.themeId : 'ecard';
+            StateManager.registerTemporaryTheme(theme);
         }
-        
-        ctx.fillText("HEARTIFY STUDIO", w/2, h - 20);
-        ctx.restore();
+
+        return { state: StateManager.upgrade(data.state), theme };
     }
 
     /**
-     * Wraps text within a given width.
+     * Waits for the recipient to open the envelope, then reveals the card.
+     * @param {Function} onOpen - Called once the card is showing.
      */
-    function wrapText(ctx, text, x, y, maxWidth, lineHeight) {
-        // Handle explicit newlines first
-        const paragraphs = text.split('\n');
-        let cursorY = y;
+    function showEnvelope(onOpen) {
+        const envelope = document.getElementById('ecard-envelope');
+        if (!envelope) {
+            onOpen();
+            return;
+        }
 
-        paragraphs.forEach(paragraph => {
-            const words = paragraph.split(' ');
-            let line = '';
-
-            for (let n = 0; n < words.length; n++) {
-                let testLine = line + words[n] + ' ';
-                let metrics = ctx.measureText(testLine);
-                let testWidth = metrics.width;
-                
-                if (testWidth > maxWidth && n > 0) {
-                    ctx.fillText(line, x, cursorY);
-                    line = words[n] + ' ';
-                    cursorY += lineHeight;
-                } else {
-                    line = testLine;
-                }
-            }
-            ctx.fillText(line, x, cursorY);
-            cursorY += lineHeight; // Newline for paragraph break
-        });
+        const button = envelope.querySelector('button');
+        button.focus();
+        button.addEventListener('click', () => {
+            envelope.classList.add('open');
+            setTimeout(() => {
+                document.body.classList.add('ecard-opened');
+                envelope.remove();
+                onOpen();
+            }, OPEN_MS);
+        }, { once: true });
     }
 
-    // Public API
     return {
-        init,
-        update: requestRender,
-        getCanvas: () => canvas
+        hasPayload,
+        download,
+        read,
+        showEnvelope,
+        embedFonts
     };
 })();
 
 /* =========================================
-   5.0 UI CONTROLLER (INTERACTION)
+   6.6 CARD PNG (ROUND-TRIP IMAGES)
    ========================================= */
-const UI = (function() {
-    
-    // DOM Elements Cache
-    const dom = {};
+const CardPNG = (function() {
+    const SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
 
-    function init() {
-        console.log("UIController: Initializing...");
-        cacheDOM();
-        bindEvents();
-        renderThemePicker();
-        renderFontSelector(); // Ensure font selector respects state
-        
-        // Initial State Sync
-        syncUI(StateManager.get());
+    // The card lives in an iTXt chunk under this keyword
+    const KEYWORD = 'heartify-card';
+    const FORMAT = 1;
 
-        // Sub to state updates
-        EventBus.subscribe('state:updated', (state) => {
-            syncUI(state);
-        });
-        
-        // Spawn bg particles
-        Motion.spawnParticles();
-    }
+    // Hard limits so a hostile file cannot exhaust memory. Photos travel
+    // inside the state as data URLs, hence the roomy JSON budget.
+    const MAX_FILE_BYTES = 64 * 1024 * 1024;
+    const MAX_JSON_BYTES = 32 * 1024 * 1024;
 
-    function cacheDOM() {
-        dom.inputTo = document.getElementById('in-to');
-        dom.inputMsg = document.getElementById('in-msg');
-        dom.inputFrom = document.getElementById('in-from');
-        dom.inputFont = document.getElementById('in-font');
-        dom.themePicker = document.getElementById('theme-picker');
-        dom.btnQuote = document.getElementById('btn-quote');
-        dom.btnPng = document.getElementById('export-png');
-        dom.btnPdf = document.getElementById('export-pdf');
-        dom.toast = document.getElementById('toast');
-        dom.sidebar = document.querySelector('.sidebar');
+    /**
+     * Stores the card in a PNG as a compressed iTXt chunk, just before
+     * IEND. Image viewers skip the chunk; Heartify reads it back.
+     * @param {Blob} blob - A PNG, e.g. from canvas.toBlob.
+     * @param {object} state - The full state tree, photos included.
+     * @returns {Promise<Blob>} The PNG carrying the card.
+     */
+    async function embed(blob, state) {
+        const png = new Uint8Array(await blob.arrayBuffer());
+        const end = isPNG(png) && parseChunks(png).find(chunk => chunk.type === 'IEND');
+        if (!end) throw new Error("CardPNG: Not a PNG");
+
+        // Custom themes only exist on this device, so they travel along
+        const theme = StateManager.getTheme(state.design.themeId);
+        const json = JSON.stringify({ format: FORMAT, state, theme: theme.custom ? theme : undefined });
+        const raw = new TextEncoder().encode(json);
+        const packed = await Utils.deflate(raw, 'deflate');
+
+        // keyword \0 compression-flag method(0) language \0 translated-keyword \0 text
+        const header = Array.from(KEYWORD, ch => ch.charCodeAt(0)).concat([0, packed ? 1 : 0, 0, 0, 0]);
+        const chunk = createChunk('iTXt', concat([new Uint8Array(header), packed || raw]));
+
+        return new Blob([png.subarray(0, end.offset), chunk, png.subarray(end.offset)], { type: 'image/png' });
     }
 
-    function bindEvents() {
-        // Text Inputs (Debounced update for perf)
-        // Actually, for immediate canvas feedback, we might want 'input' without debounce, 
-        // or a very short debounce. Renderer uses RAF so it's safe.
-        
-        if (dom.inputTo) {
-            dom.inputTo.addEventListener('input', (e) => {
-                StateManager.update('content.to', e.target.value);
-            });
+    /**
+     * Reads and checks the card stored in a PNG. A custom theme it carries
+     * is reused when this device already has it, otherwise registered for
+     * the session once the state has passed.
+     * @param {Blob} file - Any file; only PNGs are looked into.
+     * @returns {Promise<{state: object, theme: (object|null)}|null>} null
+     * when the file carries no card (e.g. an ordinary photo); `theme` is
+     * set when it is new to this device.
+     * @throws {Error} If the embedded card is damaged or invalid.
+     */
+    async function read(file) {
+        if (file.size > MAX_FILE_BYTES) return null;
+        if (!isPNG(new Uint8Array(await file.slice(0, SIGNATURE.length).arrayBuffer()))) return null;
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const chunk = parseChunks(bytes).find(c => c.type === 'iTXt' && readKeyword(c.data) === KEYWORD);
+        if (!chunk) return null;
+
+        if (Utils.crc32(bytes.subarray(chunk.offset + 4, chunk.offset + 8 + chunk.data.length)) !== chunk.crc) {
+            throw new Error("CardPNG: Checksum mismatch");
         }
-        
-        if (dom.inputMsg) {
-            dom.inputMsg.addEventListener('input', (e) => {
-                StateManager.update('content.message', e.target.value);
-            });
+
+        const data = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(await readText(chunk.data)));
+        if (!Utils.isPlainObject(data) || !Utils.isPlainObject(data.state)) {
+            throw new Error("CardPNG: Missing card");
         }
-        
-        if (dom.inputFrom) {
-            dom.inputFrom.addEventListener('input', (e) => {
-                StateManager.update('content.from', e.target.value);
-            });
+        if (data.format !== FORMAT) {
+            throw new Error("CardPNG: Unsupported format");
         }
 
-        if (dom.inputFont) {
-            dom.inputFont.addEventListener('change', (e) => {
-                StateManager.update('design.fontFamily', e.target.value);
-            });
+        // The state is checked against a built-in theme, so a card that
+        // fails leaves no theme behind; its own is registered afterwards
+        let theme = null;
+        const design = data.state.design;
+        if (data.theme !== undefined && Utils.isPlainObject(design)) {
+            theme = StateManager.validateTheme(data.theme);
+            design.themeId = StateManager.getDefault().design.themeId;
         }
+        const state = StateManager.upgrade(data.state);
 
-        // Actions
-        if (dom.btnQuote) {
-            dom.btnQuote.addEventListener('click', () => {
-                const quote = StateManager.getRandomQuote();
-                StateManager.update('content.message', quote);
-                Utils.notify("AI Magic: New Quote Applied ✨");
-                
-                // Visual Flash
-                dom.inputMsg.classList.add('flash-highlight');
-                setTimeout(() => dom.inputMsg.classList.remove('flash-highlight'), 500);
-            });
+        if (theme) {
+            const known = findTheme(theme);
+            if (known) {
+                state.design.themeId = known.id;
+                theme = null;
+            } else {
+                theme.id = 'png-' + Utils.hashString(JSON.stringify(theme)).toString(36);
+                state.design.themeId = theme.id;
+                StateManager.registerTemporaryTheme(theme);
+            }
         }
+        return { state, theme };
+    }
 
-        if (dom.btnPng) {
-            dom.btnPng.addEventListener('click', ExportEngine.downloadPNG);
+    /**
+     * Opens a card PNG as a new card in the library, keeping the custom
+     * theme it carries.
+     * @param {Blob} file - A dropped or picked file.
+     * @returns {Promise<boolean>} False when the file carries no card, so
+     * the caller can use it some other way (e.g. as a photo).
+     */
+    async function open(file) {
+        let card;
+        try {
+            card = await read(file);
+        } catch (e) {
+            console.error("CardPNG: Open failed", e);
+            Utils.notify("This card PNG is damaged and could not be opened");
+            return true;
         }
+        if (!card) return false;
 
-        if (dom.btnPdf) {
-            dom.btnPdf.addEventListener('click', ExportEngine.downloadPDF);
+        const { state, theme } = card;
+        let saved = null;
+        if (theme) {
+            StateManager.deleteCustomTheme(theme.id);
+            saved = StateManager.saveCustomTheme(theme);
+            state.design.themeId = saved.id;
         }
 
-        // Keyboard Shortcuts (Undo/Redo)
-        document.addEventListener('keydown', (e) => {
-            if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
-                e.preventDefault();
-                StateManager.undo();
-            }
-            if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
-                e.preventDefault();
-                StateManager.redo();
-            }
-        });
+        const to = state.content.to.trim();
+        if (!CardLibrary.import(state, to ? `For ${to}` : '')) {
+            if (saved) StateManager.deleteCustomTheme(saved.id);
+            Utils.notify("Storage is full, this card could not be opened");
+            return true;
+        }
+        Utils.notify("Card Opened! 💌");
+        return true;
     }
 
-    function renderThemePicker() {
-        if (!dom.themePicker) return;
-        
-        dom.themePicker.innerHTML = '';
-        const themes = StateManager.getThemes();
-        
-        Object.values(themes).forEach(theme => {
-            const btn = document.createElement('button');
-            btn.title = theme.label;
-            btn.dataset.id = theme.id;
-            
-            // CSS Gradient visual
-            btn.style.background = `linear-gradient(135deg, ${theme.bg[0]}, ${theme.bg[1]})`;
-            
-            btn.addEventListener('click', () => {
-                StateManager.update('design.themeId', theme.id);
-            });
-            
-            dom.themePicker.appendChild(btn);
-        });
+    /**
+     * A saved custom theme with the same colors and name, if any.
+     * Session-only themes (share links, e-cards) don't count.
+     */
+    function findTheme(theme) {
+        const json = JSON.stringify(theme);
+        return Object.values(StateManager.getThemes()).find(known =>
+            known.custom && known.id.indexOf('custom-') === 0 &&
+            JSON.stringify(StateManager.validateTheme(known)) === json) || null;
     }
 
-    function renderFontSelector() {
-        // Font selector options are static in HTML for now, 
-        // but we could populate them dynamically here if we wanted to support more fonts.
+    function isPNG(bytes) {
+        return bytes.length >= SIGNATURE.length && SIGNATURE.every((byte, i) => bytes[i] === byte);
     }
 
     /**
-     * Syncs the UI inputs with the current state.
-     * Useful for Undo/Redo or Reset.
+     * Lists the chunks of a PNG up to IEND. A truncated file simply ends
+     * the list early.
+     * @returns {{type: string, offset: number, data: Uint8Array, crc: number}[]}
      */
-    function syncUI(state) {
-        if (!state) return;
-
-        // Inputs
-        if (dom.inputTo) dom.inputTo.value = state.content.to;
-        if (dom.inputMsg) dom.inputMsg.value = state.content.message;
-        if (dom.inputFrom) dom.inputFrom.value = state.content.from;
-        if (dom.inputFont) dom.inputFont.value = state.design.fontFamily;
-
-        // Theme Buttons Active State
-        const themeBtns = dom.themePicker.querySelectorAll('button');
-        themeBtns.forEach(btn => {
-            if (btn.dataset.id === state.design.themeId) {
-                btn.classList.add('active');
-            } else {
-                btn.classList.remove('active');
-            }
-        });
-    }
-
-    // Public API
-    return {
-        init
-    };
-})();
+    function parseChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let offset = SIGNATURE.length;
 
-/* =========================================
-   6.0 EXPORT MANAGER (PDF & IMAGE)
-   ========================================= */
-const ExportEngine = (function() {
+        while (offset + 12 <= bytes.length) {
+            const length = view.getUint32(offset);
+            if (length > bytes.length - offset - 12) break;
 
-    function getFilename(extension) {
-        const state = StateManager.get();
-        const cleanName = Utils.sanitizeFilename(state.content.to);
-        return `heartify-${cleanName}.${extension}`;
+            const type = String.fromCharCode.apply(null, bytes.subarray(offset + 4, offset + 8));
+            chunks.push({
+                type,
+                offset,
+                data: bytes.subarray(offset + 8, offset + 8 + length),
+                crc: view.getUint32(offset + 8 + length)
+            });
+            if (type === 'IEND') break;
+            offset += length + 12;
+        }
+        return chunks;
     }
 
-    function downloadPNG() {
-        const canvas = Renderer.getCanvas();
-        if (!canvas) return;
-
-        // Create temporary link
-        const link = document.createElement('a');
-        link.download = getFilename('png');
-        link.href = canvas.toDataURL('image/png', 1.0);
-        
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        Utils.notify("Image Downloaded Successfully! 💌");
+    function readKeyword(data) {
+        const end = data.indexOf(0);
+        return end > 0 ? String.fromCharCode.apply(null, data.subarray(0, end)) : '';
     }
 
-    function downloadPDF() {
-        if (!window.jspdf) {
-            alert("PDF Library is loading. Please wait a moment.");
-            return;
+    /**
+     * Unpacks the text of an iTXt chunk, inflating it when compressed.
+     */
+    async function readText(data) {
+        const flag = KEYWORD.length + 1;
+        const language = data.indexOf(0, flag + 2);
+        const translated = language === -1 ? -1 : data.indexOf(0, language + 1);
+        if (translated === -1 || data[flag + 1] !== 0) {
+            throw new Error("CardPNG: Malformed chunk");
         }
 
-        Utils.notify("Generating PDF... ⚙️");
+        const text = data.subarray(translated + 1);
+        if (data[flag] === 1) return Utils.inflate(text, 'deflate', MAX_JSON_BYTES);
+        if (data[flag] !== 0) throw new Error("CardPNG: Malformed chunk");
+        if (text.length > MAX_JSON_BYTES) throw new Error("CardPNG: Payload too large");
+        return text;
+    }
 
-        // Use requestAnimationFrame to let the UI update before blocking 
-        requestAnimationFrame(() => {
-            const { jsPDF } = window.jspdf;
-            const canvas = Renderer.getCanvas();
-            
-            // A4-ish ratio setup for PDF
-            // We use 'px' unit to match canvas roughly, or standard point size
-            const pdf = new jsPDF({
-                orientation: 'portrait',
-                unit: 'px',
-                format: [600, 800]
-            });
+    function createChunk(type, data) {
+        const chunk = new Uint8Array(data.length + 12);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, Utils.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
 
-            const imgData = canvas.toDataURL('image/jpeg', 0.95);
-            
-            // Add image to PDF (Fit to page)
-            pdf.addImage(imgData, 'JPEG', 0, 0, 600, 800);
-            
-            pdf.save(getFilename('pdf'));
-            
-            Utils.notify("PDF Saved! 📄");
+    function concat(parts) {
+        const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            out.set(part, offset);
+            offset += part.length;
         });
+        return out;
     }
 
     return {
-        downloadPNG,
-        downloadPDF
+        embed,
+        read,
+        open
     };
 })();
 
@@ -1064,6 +10447,9 @@ window.setMode = (mode) => {
     }
 };
 
+// Checks the SVG export against the canvas for every page (developer aid)
+window.compareSVG = (pageIds) => ExportEngine.compareSVG(pageIds);
+
 window.toggleTheme = () => {
     const root = document.documentElement;
     const current = root.dataset.theme;
@@ -1081,6 +10467,12 @@ window.toggleTheme = () => {
    9.0 BOOTSTRAP (INITIALIZATION)
    ========================================= */
 (function Bootstrap() {
+
+    // Loaded into the live preview's render worker (see Renderer)
+    if (typeof document === 'undefined') {
+        Renderer.serveWorker();
+        return;
+    }
     
     // Wait for DOM
     window.onload = () => {
@@ -1104,14 +10496,77 @@ window.toggleTheme = () => {
     };
 
     function initApp() {
+        // Saved e-cards carry their own card and open it like a letter
+        if (ECard.hasPayload()) {
+            initECardView();
+            return;
+        }
+
+        // Shared card links open the read-only recipient view instead
+        if (ShareLink.hasPayload()) {
+            initRecipientView();
+            return;
+        }
+
         // Init Core Modules
         StateManager.init();
         Renderer.init();
+        CardLibrary.init();
         UI.init();
+        CanvasEditor.init();
+        ThemeEditor.init();
+        QuoteStudio.init();
+        MailMerge.init();
+        Animator.init();
+        I18n.init();
         
         console.log("Heartify: System Online.");
     }
 
+    function initRecipientView() {
+        ShareLink.decode(window.location.hash).then(({ state, theme }) => {
+            // Recipient never reads or writes the local saved card
+            StateManager.init({ state, persist: false });
+            if (theme) StateManager.registerTemporaryTheme(theme);
+            Renderer.init();
+            UI.initPageSwitcher();
+            ShareLink.showRecipientView();
+            Motion.spawnParticles();
+            Animator.play();
+            
+            console.log("Heartify: Recipient View Online.");
+        }).catch((e) => {
+            console.warn("Heartify: Rejected shared card", e);
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            initApp();
+            Utils.notify("This card link is invalid or damaged 💔");
+        });
+    }
+
+    function initECardView() {
+        try {
+            const { state, theme } = ECard.read();
+            StateManager.init({ state, persist: false });
+            if (theme) StateManager.registerTemporaryTheme(theme);
+            Renderer.init();
+            UI.initPageSwitcher();
+            ECard.showEnvelope(() => {
+                Motion.spawnParticles();
+                Animator.play();
+            });
+
+            console.log("Heartify: E-Card Online.");
+        } catch (e) {
+            console.error("Heartify: Unreadable e-card", e);
+            Utils.notify("This e-card is damaged and can't be opened 💔");
+        }
+    }
+
+    // Pasting a different share link into the same tab
+    window.addEventListener('hashchange', () => {
+        if (ShareLink.hasPayload()) window.location.reload();
+    });
+
 })();
 
 /**